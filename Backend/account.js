@@ -0,0 +1,100 @@
+import crypto from 'crypto'
+import { HttpError } from './errors.js'
+import { hashToken } from './sessions.js'
+import { releaseReservations } from './reservations.js'
+import { removeFromCart } from './cart.js'
+
+// Tokens de un solo uso que se mandan por email, con su vigencia en horas
+export const ACCOUNT_TOKEN_TYPES = {
+  email_verification: { hours: 48 },
+  password_reset: { hours: 1 }
+}
+
+// Dirección del frontend para armar los links de los emails (y la vuelta desde el pago)
+export const appUrl = () => process.env.APP_URL || 'http://localhost:5173'
+
+// Crea un token nuevo e invalida los anteriores del mismo tipo que no se usaron
+export const issueAccountToken = async (repositories, user, type) => {
+  const token = crypto.randomBytes(32).toString('base64url')
+  const now = new Date()
+
+  for (const previous of await repositories.accountTokens.findByUserId(user.id)) {
+    if (previous.type === type && !previous.usedAt) {
+      await repositories.accountTokens.update(previous.id, { usedAt: now.toISOString() })
+    }
+  }
+
+  await repositories.accountTokens.create({
+    userId: user.id,
+    type,
+    tokenHash: hashToken(token),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ACCOUNT_TOKEN_TYPES[type].hours * 60 * 60 * 1000).toISOString(),
+    usedAt: null
+  })
+
+  return token
+}
+
+// Elimina la cuenta junto con lo que solo le sirve a ella: sesiones, tokens, reservas, carrito y direcciones.
+// Una cuenta con ventas no se elimina porque las ventas y las órdenes la necesitan. Devuelve el usuario eliminado
+export const deleteAccount = async (repositories, userId) => {
+  const user = await repositories.users.findById(userId)
+  if (!user) {
+    throw new HttpError(404, 'Usuario no encontrado')
+  }
+
+  if ((await repositories.sales.findByUserId(userId)).length > 0) {
+    throw new HttpError(400, 'No se puede eliminar el usuario con ventas registradas', { code: 'USER_HAS_SALES' })
+  }
+
+  for (const session of await repositories.sessions.findByUserId(userId)) {
+    await repositories.sessions.delete(session.id)
+  }
+  for (const token of await repositories.accountTokens.findByUserId(userId)) {
+    await repositories.accountTokens.delete(token.id)
+  }
+  for (const address of await repositories.addresses.findByUserId(userId)) {
+    await repositories.addresses.delete(address.id)
+  }
+  await releaseReservations(repositories, userId)
+  await removeFromCart(repositories, userId)
+  await repositories.users.delete(userId)
+  return user
+}
+
+// Devuelve el registro del token si es del tipo pedido, no se usó y no venció
+export const findUsableAccountToken = async (repositories, token, type) => {
+  const record = await repositories.accountTokens.findByTokenHash(hashToken(token))
+  if (!record || record.type !== type || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+    return null
+  }
+  return record
+}
+
+export const verificationEmail = (user, token) => ({
+  to: user.email,
+  subject: 'Confirma tu email en TechStore',
+  text: [
+    `Hola ${user.name},`,
+    '',
+    'Para confirmar tu email entra a este link:',
+    `${appUrl()}/?verifyToken=${token}`,
+    '',
+    `El link vence en ${ACCOUNT_TOKEN_TYPES.email_verification.hours} horas.`
+  ].join('\n')
+})
+
+export const passwordResetEmail = (user, token) => ({
+  to: user.email,
+  subject: 'Restablecer tu contraseña de TechStore',
+  text: [
+    `Hola ${user.name},`,
+    '',
+    'Para elegir una contraseña nueva entra a este link:',
+    `${appUrl()}/?resetToken=${token}`,
+    '',
+    `El link vence en ${ACCOUNT_TOKEN_TYPES.password_reset.hours} hora y se puede usar una sola vez.`,
+    'Si no pediste el cambio, ignora este mensaje.'
+  ].join('\n')
+})
@@ -0,0 +1,88 @@
+import { HttpError } from './errors.js'
+
+// Libreta de direcciones de cada usuario. Una es la predeterminada (isDefault), la que el checkout
+// propone primero. La orden guarda una copia de la dirección (ver orderAddress): si después se edita
+// o se borra, la orden conserva la original
+
+// Máximo de direcciones guardadas por usuario
+export const MAX_ADDRESSES = 10
+
+// Direcciones del usuario: la predeterminada primero y después de la más nueva a la más vieja
+export const listAddresses = async (repositories, userId) =>
+  (await repositories.addresses.findByUserId(userId))
+    .sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || b.id - a.id)
+
+export const findUserAddress = async (repositories, userId, id) => {
+  const address = await repositories.addresses.findById(id)
+  if (!address || address.userId !== Number(userId)) {
+    throw new HttpError(404, 'Dirección no encontrada')
+  }
+  return address
+}
+
+// Registro completo a partir del body validado (PUT reemplaza todo)
+const addressRecord = (values) => ({
+  label: values.label ?? null,
+  street: values.street,
+  number: values.number,
+  city: values.city,
+  province: values.province,
+  postalCode: values.postalCode,
+  notes: values.notes ?? null
+})
+
+// Marca id como predeterminada y desmarca las demás
+const setDefaultAddress = async (repositories, userId, id) => {
+  for (const address of await repositories.addresses.findByUserId(userId)) {
+    const isDefault = address.id === id
+    if (address.isDefault !== isDefault) await repositories.addresses.update(address.id, { isDefault })
+  }
+}
+
+// La primera dirección del usuario queda como predeterminada aunque no se pida
+export const createAddress = async (repositories, userId, values) => {
+  const existing = await repositories.addresses.findByUserId(userId)
+  if (existing.length >= MAX_ADDRESSES) {
+    throw new HttpError(409, `Puedes guardar hasta ${MAX_ADDRESSES} direcciones`, { code: 'ADDRESS_LIMIT' })
+  }
+
+  const now = new Date().toISOString()
+  const address = await repositories.addresses.create({
+    userId,
+    ...addressRecord(values),
+    isDefault: false,
+    createdAt: now,
+    updatedAt: now
+  })
+
+  if (values.isDefault || existing.length === 0) await setDefaultAddress(repositories, userId, address.id)
+  return repositories.addresses.findById(address.id)
+}
+
+// isDefault: true la vuelve predeterminada; para dejar de serlo hay que elegir otra
+export const updateAddress = async (repositories, userId, id, values) => {
+  const address = await findUserAddress(repositories, userId, id)
+  await repositories.addresses.update(address.id, { ...addressRecord(values), updatedAt: new Date().toISOString() })
+
+  if (values.isDefault) await setDefaultAddress(repositories, userId, address.id)
+  return repositories.addresses.findById(address.id)
+}
+
+// Si se borra la predeterminada pasa a serlo la más nueva de las que quedan
+export const deleteAddress = async (repositories, userId, id) => {
+  const address = await findUserAddress(repositories, userId, id)
+  await repositories.addresses.delete(address.id)
+
+  const [newest] = await listAddresses(repositories, userId)
+  if (address.isDefault && newest) await setDefaultAddress(repositories, userId, newest.id)
+}
+
+// Copia de la dirección que se guarda en la orden
+export const orderAddress = (address) => ({
+  street: address.street,
+  number: address.number,
+  city: address.city,
+  province: address.province,
+  postalCode: address.postalCode,
+  notes: address.notes
+})
@@ -0,0 +1,160 @@
+import { PAID_STATUSES } from './orders.js'
+
+// Métricas de ventas calculadas a partir de sales, unidas con productos, usuarios y órdenes.
+// Las ventas viejas tienen solo la fecha (2025-10-01) y las nuevas fecha y hora: se compara por día
+
+export const ANALYTICS_PERIODS = ['day', 'week', 'month']
+
+const sum = (rows, fn) => rows.reduce((total, row) => total + fn(row), 0)
+
+// Las ventas anteriores a las órdenes no tienen orderId: cada una cuenta como una compra
+const purchaseKey = (sale) => sale.orderId ? `order-${sale.orderId}` : `sale-${sale.id}`
+
+// Ventas dentro del rango (from y to inclusive, AAAA-MM-DD) de órdenes pagas. Las pendientes todavía no se
+// cobraron y las canceladas o reembolsadas no se van a cobrar; las ventas sin orderId se cobraron al crearse
+export const countedSales = (sales, orders, { from, to } = {}) => {
+  const paid = new Set(orders.filter(o => PAID_STATUSES.includes(o.status)).map(o => o.id))
+
+  return sales.filter(sale => {
+    const day = sale.date.slice(0, 10)
+    if (from && day < from) return false
+    if (to && day > to) return false
+    return !sale.orderId || paid.has(sale.orderId)
+  })
+}
+
+export const salesSummary = (sales) => {
+  const revenue = sum(sales, s => s.total)
+  const purchases = new Set(sales.map(purchaseKey)).size
+
+  return {
+    revenue,
+    orders: purchases,
+    units: sum(sales, s => s.quantity),
+    averageOrderValue: purchases > 0 ? Math.round(revenue / purchases) : 0
+  }
+}
+
+// Las semanas empiezan el lunes y se identifican por esa fecha
+const startOfWeek = (day) => {
+  const date = new Date(`${day}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7)
+  return date.toISOString().slice(0, 10)
+}
+
+const PERIODS = {
+  day: {
+    of: (day) => day,
+    next: (period) => {
+      const date = new Date(`${period}T00:00:00Z`)
+      date.setUTCDate(date.getUTCDate() + 1)
+      return date.toISOString().slice(0, 10)
+    }
+  },
+  week: {
+    of: startOfWeek,
+    next: (period) => {
+      const date = new Date(`${period}T00:00:00Z`)
+      date.setUTCDate(date.getUTCDate() + 7)
+      return date.toISOString().slice(0, 10)
+    }
+  },
+  month: {
+    of: (day) => day.slice(0, 7),
+    next: (period) => {
+      const date = new Date(`${period}-01T00:00:00Z`)
+      date.setUTCMonth(date.getUTCMonth() + 1)
+      return date.toISOString().slice(0, 7)
+    }
+  }
+}
+
+// Ingresos agrupados por día, semana o mes. Los períodos sin ventas van en 0 para que el gráfico no tenga huecos
+export const revenueByPeriod = (sales, groupBy = 'day') => {
+  const { of, next } = PERIODS[groupBy]
+  const groups = new Map()
+
+  for (const sale of sales) {
+    const period = of(sale.date.slice(0, 10))
+    const group = groups.get(period) || { revenue: 0, units: 0, purchases: new Set() }
+    group.revenue += sale.total
+    group.units += sale.quantity
+    group.purchases.add(purchaseKey(sale))
+    groups.set(period, group)
+  }
+
+  const periods = [...groups.keys()].sort()
+  const result = []
+  for (let period = periods[0]; period && period <= periods.at(-1); period = next(period)) {
+    const group = groups.get(period)
+    result.push({
+      period,
+      revenue: group ? group.revenue : 0,
+      orders: group ? group.purchases.size : 0,
+      units: group ? group.units : 0
+    })
+  }
+  return result
+}
+
+export const topProducts = (sales, products, limit = 5) => {
+  const byProduct = new Map()
+
+  for (const sale of sales) {
+    const row = byProduct.get(sale.productId) || { productId: sale.productId, units: 0, revenue: 0 }
+    row.units += sale.quantity
+    row.revenue += sale.total
+    byProduct.set(sale.productId, row)
+  }
+
+  return [...byProduct.values()]
+    .sort((a, b) => b.revenue - a.revenue)
+    .slice(0, limit)
+    .map(row => {
+      const product = products.find(p => p.id === row.productId)
+      return {
+        ...row,
+        name: product ? product.name : 'Producto no encontrado',
+        category: product ? product.category : null
+      }
+    })
+}
+
+export const revenueByCategory = (sales, products) => {
+  const byCategory = new Map()
+
+  for (const sale of sales) {
+    const product = products.find(p => p.id === sale.productId)
+    const category = product ? product.category : 'Sin categoría'
+    const row = byCategory.get(category) || { category, units: 0, revenue: 0 }
+    row.units += sale.quantity
+    row.revenue += sale.total
+    byCategory.set(category, row)
+  }
+
+  return [...byCategory.values()].sort((a, b) => b.revenue - a.revenue)
+}
+
+export const topCustomers = (sales, users, limit = 5) => {
+  const byUser = new Map()
+
+  for (const sale of sales) {
+    const row = byUser.get(sale.userId) || { userId: sale.userId, revenue: 0, purchases: new Set() }
+    row.revenue += sale.total
+    row.purchases.add(purchaseKey(sale))
+    byUser.set(sale.userId, row)
+  }
+
+  return [...byUser.values()]
+    .sort((a, b) => b.revenue - a.revenue)
+    .slice(0, limit)
+    .map(({ purchases, ...row }) => {
+      const user = users.find(u => u.id === row.userId)
+      return {
+        ...row,
+        name: user ? user.name : 'Usuario eliminado',
+        email: user ? user.email : null,
+        orders: purchases.size
+      }
+    })
+}
@@ -0,0 +1,49 @@
+// Registro de auditoría de las acciones administrativas y de los eventos de autenticación: quién (actor),
+// qué (action), sobre qué registro (target), qué cambió, desde qué IP y cuándo. Las entradas no se editan
+// ni se borran. Conviene guardarlas en la misma transacción que el cambio, así no queda uno sin el otro
+
+// Acciones que se registran, agrupadas por el tipo de registro que afectan
+export const AUDIT_ACTIONS = [
+  'auth.register', 'auth.login', 'auth.login_failed', 'auth.password_change', 'auth.password_reset', 'auth.account_delete',
+  'product.create', 'product.update', 'product.import', 'product.restock', 'product.adjust', 'product.archive', 'product.restore',
+  'coupon.create', 'coupon.update', 'coupon.delete',
+  'promotion.create', 'promotion.update', 'promotion.delete',
+  'tax_rates.update',
+  'shipping_zone.create', 'shipping_zone.update', 'shipping_zone.delete',
+  'user.role_change', 'user.disable', 'user.enable', 'user.delete',
+  'order.status_change'
+]
+
+// Campos que nunca se copian al registro
+const SECRET_FIELDS = ['password', 'tokenHash', 'previousTokenHash']
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Campos que cambiaron, como { campo: { from, to } }. Sin before es un alta y sin after una baja
+export const diffChanges = (before, after) => {
+  const changes = {}
+  for (const field of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    if (SECRET_FIELDS.includes(field)) continue
+    const from = before?.[field] ?? null
+    const to = after?.[field] ?? null
+    if (!sameValue(from, to)) changes[field] = { from, to }
+  }
+  return changes
+}
+
+// Agrega una entrada. El actor es el usuario de la sesión salvo que se indique otro (en el login todavía
+// no hay sesión, y en un login fallido no hay actor); el email se copia por si después se elimina la cuenta.
+// target es { type, id } y before/after el registro antes y después del cambio
+export const recordAudit = (repositories, req, { action, actor = req.user, target = null, before = null, after = null, details = null }) =>
+  repositories.auditLogs.create({
+    actorId: actor ? actor.id : null,
+    actorEmail: actor ? actor.email : null,
+    action,
+    targetType: target ? target.type : null,
+    targetId: target?.id ?? null,
+    changes: before || after ? diffChanges(before, after) : null,
+    details,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || '',
+    createdAt: new Date().toISOString()
+  })
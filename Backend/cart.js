@@ -0,0 +1,138 @@
+import { HttpError } from './errors.js'
+import { reservedQuantities, withAvailability } from './reservations.js'
+
+// Carrito guardado en el servidor: una fila de cartItems por usuario y producto.
+// Se valida contra el stock disponible sin contar lo que reservó el mismo usuario
+
+// Máximo de unidades de un producto en el carrito (igual que en una orden)
+const MAX_QUANTITY = 100
+
+const availability = async (repos, userId) =>
+  reservedQuantities(await repos.reservations.findAll(), { exceptUserId: userId })
+
+// Carrito como lo usa el frontend: cada item es el producto con su cantidad.
+// Los productos archivados o eliminados quedan guardados pero no se muestran
+export const loadCart = async (repos, userId) => {
+  const reserved = await availability(repos, userId)
+  const items = []
+
+  for (const item of await repos.cartItems.findByUserId(userId)) {
+    const product = await repos.products.findById(item.productId)
+    if (!product || product.archived) continue
+    items.push({ ...withAvailability(product, reserved), quantity: item.quantity })
+  }
+
+  return {
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    total: items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  }
+}
+
+const findCartProduct = async (tx, productId) => {
+  const product = await tx.products.findById(productId)
+  if (!product) {
+    throw new HttpError(404, 'Producto no encontrado')
+  }
+  if (product.archived) {
+    throw new HttpError(400, `El producto ${product.name} ya no está disponible`, { code: 'PRODUCT_UNAVAILABLE' })
+  }
+  return product
+}
+
+// Guarda la cantidad del producto en el carrito, creando la fila si no existe
+const saveQuantity = async (tx, userId, productId, quantity) => {
+  const existing = (await tx.cartItems.findByUserId(userId)).find(item => item.productId === productId)
+  const now = new Date().toISOString()
+
+  if (existing) return tx.cartItems.update(existing.id, { quantity, updatedAt: now })
+  return tx.cartItems.create({ userId, productId, quantity, addedAt: now, updatedAt: now })
+}
+
+// Deja el producto con esa cantidad; falla si supera el stock disponible
+export const setCartQuantity = async (tx, userId, productId, quantity) => {
+  const product = await findCartProduct(tx, productId)
+  const { available } = withAvailability(product, await availability(tx, userId))
+  const limit = Math.min(available, MAX_QUANTITY)
+
+  if (quantity > limit) {
+    throw new HttpError(400, `Stock insuficiente para ${product.name}. Disponible: ${limit}`, {
+      code: 'INSUFFICIENT_STOCK',
+      fields: { quantity: `Stock disponible: ${limit}` }
+    })
+  }
+  return saveQuantity(tx, userId, product.id, quantity)
+}
+
+export const addToCart = async (tx, userId, productId, quantity) => {
+  const existing = (await tx.cartItems.findByUserId(userId)).find(item => item.productId === productId)
+  return setCartQuantity(tx, userId, productId, (existing ? existing.quantity : 0) + quantity)
+}
+
+// Quita productos del carrito. Sin productIds lo vacía
+export const removeFromCart = async (tx, userId, productIds = null) => {
+  let removed = 0
+  for (const item of await tx.cartItems.findByUserId(userId)) {
+    if (productIds && !productIds.includes(item.productId)) continue
+    await tx.cartItems.delete(item.id)
+    removed++
+  }
+  return removed
+}
+
+// Combina el carrito armado sin sesión con el guardado. Si un producto está en los dos queda la cantidad mayor
+// (así no se duplica si es el mismo carrito). Los productos sin stock o archivados se descartan
+// y las cantidades se recortan al stock disponible
+export const mergeCart = async (tx, userId, items) => {
+  const reserved = await availability(tx, userId)
+  const saved = await tx.cartItems.findByUserId(userId)
+
+  for (const item of items) {
+    const product = await tx.products.findById(item.id)
+    if (!product || product.archived) continue
+
+    const existing = saved.find(s => s.productId === product.id)
+    const wanted = Math.max(existing ? existing.quantity : 0, item.quantity)
+    const quantity = Math.min(wanted, withAvailability(product, reserved).available, MAX_QUANTITY)
+
+    if (quantity > 0 && (!existing || quantity !== existing.quantity)) {
+      await saveQuantity(tx, userId, product.id, quantity)
+    }
+  }
+}
+
+// Suma al carrito los productos de una compra anterior (volver a comprar), con los precios actuales.
+// Cada item se recorta a lo que el stock disponible permite sumar a lo que ya está en el carrito;
+// los productos archivados, eliminados o sin stock se saltean. Devuelve qué se agregó de cada item:
+// reason es UNAVAILABLE, OUT_OF_STOCK, LIMITED_STOCK o null si se agregó todo
+export const reorderItems = async (tx, userId, items) => {
+  const reserved = await availability(tx, userId)
+  const inCart = new Map((await tx.cartItems.findByUserId(userId)).map(item => [item.productId, item.quantity]))
+  const results = []
+
+  for (const item of items) {
+    const product = await tx.products.findById(item.id)
+    if (!product || product.archived) {
+      results.push({ productId: item.id, requested: item.quantity, added: 0, reason: 'UNAVAILABLE' })
+      continue
+    }
+
+    const current = inCart.get(product.id) || 0
+    const limit = Math.min(withAvailability(product, reserved).available, MAX_QUANTITY)
+    const added = Math.max(Math.min(item.quantity, limit - current), 0)
+    if (added > 0) {
+      await saveQuantity(tx, userId, product.id, current + added)
+      inCart.set(product.id, current + added)
+    }
+
+    results.push({
+      productId: product.id,
+      productName: product.name,
+      price: product.price,
+      requested: item.quantity,
+      added,
+      reason: added === 0 ? 'OUT_OF_STOCK' : added < item.quantity ? 'LIMITED_STOCK' : null
+    })
+  }
+  return results
+}
@@ -0,0 +1,83 @@
+// Lectura y escritura de CSV (RFC 4180): los campos con separador, comillas o saltos de línea van entre comillas
+
+// Excel y otras planillas ejecutan como fórmula el texto que empieza con estos caracteres
+const FORMULA_START = /^[=+\-@\t\r]/
+
+// Un texto que parece fórmula (un nombre como =HYPERLINK(...)) se exporta con ' adelante para que
+// la planilla lo muestre como texto. Los números no se tocan: -5 sigue siendo un número
+const escapeField = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value)
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Al importar se quita el ' que agregó escapeField, así exportar e importar devuelve el mismo texto
+const unescapeField = (text) => text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text
+
+// columns: [{ key, header }]. El BOM hace que Excel reconozca los acentos
+export const toCSV = (columns, rows) => {
+  const lines = [columns.map(c => escapeField(c.header)).join(',')]
+  for (const row of rows) {
+    lines.push(columns.map(c => escapeField(row[c.key])).join(','))
+  }
+  return '\uFEFF' + lines.join('\r\n') + '\r\n'
+}
+
+// Excel en español guarda los CSV con punto y coma: se detecta por la primera línea
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/))
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+}
+
+// Devuelve [{ line, values }] con el número de línea donde empieza cada fila (para reportar errores).
+// Las líneas vacías se descartan
+export const parseCSV = (text) => {
+  text = text.replace(/^\uFEFF/, '')
+  const delimiter = detectDelimiter(text)
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === '\n') line++
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push({ line: rowLine, values: row })
+      row = []
+      field = ''
+      line++
+      rowLine = line
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push({ line: rowLine, values: row })
+  }
+
+  return rows
+    .filter(r => r.values.some(value => value.trim() !== ''))
+    .map(r => ({ ...r, values: r.values.map(unescapeField) }))
+}
@@ -0,0 +1,207 @@
+import { RESTOCK_STATUSES } from './orders.js'
+
+// Cupones (los carga el cliente) y promociones automáticas. Ambos se aplican sobre las líneas de la orden
+// y el descuento de cada línea queda en line.discount, así las ventas guardan lo que realmente se cobró
+
+export const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping']
+
+// percentage: value % de descuento. bundle: llevando buyQuantity unidades se pagan payQuantity (2x1, 3x2),
+// contando juntas las unidades de todos los productos alcanzados
+export const PROMOTION_TYPES = ['percentage', 'bundle']
+
+// Los códigos se guardan y se buscan en mayúsculas
+export const normalizeCouponCode = (code) => code.trim().toUpperCase()
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// startsAt y endsAt son fechas AAAA-MM-DD inclusive; sin fecha no hay límite
+const isInWindow = ({ startsAt, endsAt }, day = today()) =>
+  (!startsAt || day >= startsAt) && (!endsAt || day <= endsAt)
+
+// Sin categorías ni productos la regla aplica a todo el catálogo
+const appliesTo = (rule, product) => {
+  const targeted = rule.categories.length > 0 || rule.productIds.length > 0
+  return !targeted || rule.categories.includes(product.category) || rule.productIds.includes(product.id)
+}
+
+export const isPromotionActive = (promotion) => promotion.active && isInWindow(promotion)
+
+// Errores de valores que dependen entre sí, con el mismo formato que validate: { campo: mensaje }
+export const couponProblems = (values) => {
+  const fields = {}
+  if (values.type !== 'free_shipping' && !(values.value > 0)) fields.value = 'Es requerido'
+  if (values.type === 'percentage' && values.value > 100) fields.value = 'Debe ser menor o igual a 100'
+  if (values.startsAt && values.endsAt && values.startsAt > values.endsAt) fields.endsAt = 'Debe ser posterior al inicio'
+  return fields
+}
+
+export const promotionProblems = (values) => {
+  const fields = {}
+  if (values.type === 'percentage') {
+    if (!(values.value > 0)) fields.value = 'Es requerido'
+    else if (values.value > 100) fields.value = 'Debe ser menor o igual a 100'
+  }
+  if (values.type === 'bundle') {
+    if (!values.buyQuantity) fields.buyQuantity = 'Es requerido'
+    if (!values.payQuantity) fields.payQuantity = 'Es requerido'
+    else if (values.payQuantity >= values.buyQuantity) fields.payQuantity = 'Debe ser menor que la cantidad que se lleva'
+  }
+  if (values.startsAt && values.endsAt && values.startsAt > values.endsAt) fields.endsAt = 'Debe ser posterior al inicio'
+  return fields
+}
+
+// Registro completo a partir del body validado: lo que no vino queda en null o vacío (PUT reemplaza todo)
+export const couponRecord = (values) => ({
+  code: normalizeCouponCode(values.code),
+  description: values.description || '',
+  type: values.type,
+  value: values.type === 'free_shipping' ? 0 : values.value,
+  minOrderAmount: values.minOrderAmount ?? null,
+  maxUses: values.maxUses ?? null,
+  maxUsesPerUser: values.maxUsesPerUser ?? null,
+  categories: values.categories || [],
+  productIds: values.productIds || [],
+  startsAt: values.startsAt || null,
+  endsAt: values.endsAt || null,
+  active: values.active ?? true
+})
+
+export const promotionRecord = (values) => ({
+  name: values.name,
+  type: values.type,
+  value: values.type === 'percentage' ? values.value : null,
+  buyQuantity: values.type === 'bundle' ? values.buyQuantity : null,
+  payQuantity: values.type === 'bundle' ? values.payQuantity : null,
+  categories: values.categories || [],
+  productIds: values.productIds || [],
+  startsAt: values.startsAt || null,
+  endsAt: values.endsAt || null,
+  active: values.active ?? true
+})
+
+// Órdenes que usaron el cupón, sin contar las canceladas o reembolsadas
+export const couponUses = (coupon, orders) =>
+  orders.filter(o => o.couponId === coupon.id && !RESTOCK_STATUSES.includes(o.status))
+
+// Descuento del bundle sobre un grupo de líneas, como Map de índice de línea → monto. Se juntan las unidades
+// de todas las líneas (un 2x1 vale llevando dos productos distintos de la categoría) y las que salen gratis
+// son las más baratas; cada línea recibe el precio de sus unidades gratis
+const bundleAmounts = (promotion, lines, indices) => {
+  const units = indices.reduce((sum, index) => sum + lines[index].quantity, 0)
+  let free = Math.floor(units / promotion.buyQuantity) * (promotion.buyQuantity - promotion.payQuantity)
+  const amounts = new Map()
+  for (const index of [...indices].sort((a, b) => lines[a].unitPrice - lines[b].unitPrice)) {
+    const quantity = Math.min(free, lines[index].quantity)
+    amounts.set(index, quantity * lines[index].unitPrice)
+    free -= quantity
+  }
+  return amounts
+}
+
+// Descuentos posibles entre las líneas que quedan libres: el porcentaje se ofrece línea por línea y el bundle
+// toma todas las líneas alcanzadas a la vez, porque su descuento depende del grupo
+const promotionCandidates = (promotion, lines, indices) => {
+  if (promotion.type === 'bundle') return [bundleAmounts(promotion, lines, indices)]
+  return indices.map(index => new Map([[index, Math.round(lines[index].subtotal * promotion.value / 100)]]))
+}
+
+const candidateTotal = (amounts) => [...amounts.values()].reduce((sum, amount) => sum + amount, 0)
+
+// Cada línea recibe una sola promoción (no se acumulan entre sí). Se elige primero el descuento que más
+// ahorra y se repite con las líneas que quedan sin promoción. products tiene el producto de cada línea,
+// en el mismo orden
+export const applyPromotions = (lines, products, promotions) => {
+  const active = promotions.filter(isPromotionActive)
+  const discounts = lines.map(() => 0)
+  const totals = new Map()
+  let free = lines.map((line, index) => index)
+
+  while (free.length > 0) {
+    let best = null
+    for (const promotion of active) {
+      const indices = free.filter(index => appliesTo(promotion, products[index]))
+      if (indices.length === 0) continue
+      for (const amounts of promotionCandidates(promotion, lines, indices)) {
+        const amount = candidateTotal(amounts)
+        if (amount > 0 && (!best || amount > best.amount)) best = { promotion, amounts, amount }
+      }
+    }
+    if (!best) break
+
+    const { promotion, amounts, amount } = best
+    for (const [index, lineAmount] of amounts) discounts[index] = lineAmount
+    free = free.filter(index => !amounts.has(index))
+    totals.set(promotion.id, { promotion, amount: (totals.get(promotion.id)?.amount || 0) + amount })
+  }
+
+  return {
+    lines: lines.map((line, index) => ({ ...line, discount: discounts[index] })),
+    discounts: [...totals.values()].map(({ promotion, amount }) => ({
+      type: 'promotion',
+      id: promotion.id,
+      name: promotion.name,
+      amount
+    }))
+  }
+}
+
+// Motivo por el que el cupón no se puede usar en esta compra ({ code, message }), o null si se puede
+export const couponProblem = (coupon, { userId, orders, lines, products }) => {
+  if (!coupon || !coupon.active) {
+    return { code: 'COUPON_INVALID', message: 'El cupón no existe o no está activo' }
+  }
+  if (coupon.startsAt && today() < coupon.startsAt) {
+    return { code: 'COUPON_NOT_STARTED', message: `El cupón es válido desde el ${coupon.startsAt}` }
+  }
+  if (coupon.endsAt && today() > coupon.endsAt) {
+    return { code: 'COUPON_EXPIRED', message: 'El cupón venció' }
+  }
+
+  const uses = couponUses(coupon, orders)
+  if (coupon.maxUses !== null && uses.length >= coupon.maxUses) {
+    return { code: 'COUPON_EXHAUSTED', message: 'El cupón ya no tiene usos disponibles' }
+  }
+  if (coupon.maxUsesPerUser !== null && uses.filter(o => o.userId === userId).length >= coupon.maxUsesPerUser) {
+    return { code: 'COUPON_ALREADY_USED', message: 'Ya usaste este cupón la cantidad de veces permitida' }
+  }
+
+  // El mínimo se compara con lo que se paga por los productos, después de las promociones
+  const amount = lines.reduce((sum, line) => sum + line.subtotal - line.discount, 0)
+  if (coupon.minOrderAmount !== null && amount < coupon.minOrderAmount) {
+    return { code: 'COUPON_MIN_AMOUNT', message: `El cupón requiere una compra mínima de $${coupon.minOrderAmount}` }
+  }
+  if (!products.some(product => appliesTo(coupon, product))) {
+    return { code: 'COUPON_NOT_APPLICABLE', message: 'El cupón no aplica a los productos del carrito' }
+  }
+  return null
+}
+
+// Aplica un cupón ya validado sobre lo que queda por pagar de cada línea alcanzada.
+// El monto fijo se reparte en proporción y el redondeo se ajusta en la última línea
+export const applyCoupon = (coupon, lines, products) => {
+  const eligible = lines.map((line, index) => appliesTo(coupon, products[index]))
+  const base = lines.map((line, index) => eligible[index] ? line.subtotal - line.discount : 0)
+  const baseTotal = base.reduce((sum, amount) => sum + amount, 0)
+
+  let amounts = base.map(() => 0)
+  if (coupon.type === 'percentage') {
+    amounts = base.map(amount => Math.round(amount * coupon.value / 100))
+  } else if (coupon.type === 'fixed' && baseTotal > 0) {
+    const total = Math.min(coupon.value, baseTotal)
+    amounts = base.map(amount => Math.floor(total * amount / baseTotal))
+    const last = eligible.lastIndexOf(true)
+    amounts[last] += total - amounts.reduce((sum, amount) => sum + amount, 0)
+  }
+
+  return {
+    lines: lines.map((line, index) => ({ ...line, discount: line.discount + amounts[index] })),
+    discount: {
+      type: 'coupon',
+      id: coupon.id,
+      name: coupon.description || coupon.code,
+      code: coupon.code,
+      amount: amounts.reduce((sum, amount) => sum + amount, 0)
+    },
+    freeShipping: coupon.type === 'free_shipping'
+  }
+}
@@ -0,0 +1,40 @@
+// Código por defecto según el status HTTP
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  500: 'INTERNAL_ERROR'
+}
+
+// Error con código HTTP que las rutas y middlewares pueden lanzar.
+// Se responde como { error: { code, message, fields } }
+export class HttpError extends Error {
+  constructor(status, message, { code, fields } = {}) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+    this.code = code || DEFAULT_CODES[status] || 'ERROR'
+    this.fields = fields
+  }
+}
+
+// Middleware final: convierte cualquier error en el formato común de la API
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error)
+
+  // JSON mal formado en el body (lo lanza express.json)
+  if (error.type === 'entity.parse.failed') {
+    error = new HttpError(400, 'El cuerpo de la solicitud no es un JSON válido', { code: 'INVALID_JSON' })
+  }
+
+  if (!(error instanceof HttpError)) {
+    console.error(`Error en ${req.method} ${req.originalUrl}:`, error)
+    error = new HttpError(500, 'Error interno del servidor')
+  }
+
+  const body = { code: error.code, message: error.message }
+  if (error.fields) body.fields = error.fields
+  res.status(error.status).json({ error: body })
+}
@@ -0,0 +1,129 @@
+import crypto from 'crypto'
+import { HttpError } from './errors.js'
+
+// Reintentos seguros con el header Idempotency-Key: la primera respuesta exitosa de cada clave y usuario
+// se guarda y los reintentos la reciben de nuevo (con Idempotent-Replayed: true) sin volver a ejecutar la ruta.
+// Las respuestas con error no se guardan: la ruta no cambió nada y se puede reintentar con la misma clave
+
+// Horas que se guarda una respuesta
+const KEY_TTL_HOURS = 24
+
+// Segundos que una solicitud en curso retiene la clave (lockedUntil). Mientras la ruta corre el plazo se
+// renueva cada LEASE_RENEW_SECONDS; si el servidor se cayó antes de responder deja de renovarse y, al
+// vencer, un reintento toma la clave en lugar de recibir 409 hasta que venza la respuesta
+const PROCESSING_LEASE_SECONDS = 60
+const LEASE_RENEW_SECONDS = 20
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/
+
+// Identifica la solicitud para detectar una clave reutilizada en otra operación
+const requestHash = (req) =>
+  crypto.createHash('sha256').update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body ?? null)}`).digest('hex')
+
+const leaseEnd = (now = new Date()) => new Date(now.getTime() + PROCESSING_LEASE_SECONDS * 1000).toISOString()
+
+// Una clave completada vale hasta expiresAt; una en curso, además, solo mientras no venza lockedUntil
+const isKeyActive = (record, now = new Date()) => {
+  if (new Date(record.expiresAt) <= now) return false
+  return record.status === 'completed' || new Date(record.lockedUntil || 0) > now
+}
+
+// Cambia el registro solo si sigue siendo de esta solicitud: si otra tomó la clave (ownerToken distinto)
+// o se borró, no se toca y devuelve false
+const updateOwnRecord = (repos, record, change) => repos.transaction(async (tx) => {
+  const current = await tx.idempotencyKeys.findById(record.id)
+  if (!current || current.ownerToken !== record.ownerToken) return false
+  await change(tx)
+  return true
+})
+
+// Middleware para rutas que modifican datos. Va después de la autenticación (la clave es por usuario).
+// Sin el header la solicitud se procesa como siempre
+export const idempotency = (repos) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key')
+  if (key === undefined) return next()
+
+  if (!KEY_PATTERN.test(key)) {
+    throw new HttpError(400, 'Idempotency-Key debe tener entre 1 y 255 caracteres visibles', {
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    })
+  }
+
+  const userId = req.user ? req.user.id : null
+  const hash = requestHash(req)
+
+  // Buscar y reservar la clave juntos, para que dos solicitudes simultáneas no pasen las dos.
+  // Una clave vencida, o en curso con el plazo vencido, se reemplaza
+  const { existing, record } = await repos.transaction(async (tx) => {
+    const found = await tx.idempotencyKeys.findByKey(userId, key)
+    if (found && isKeyActive(found)) return { existing: found }
+    if (found) await tx.idempotencyKeys.delete(found.id)
+
+    const now = new Date()
+    return {
+      record: await tx.idempotencyKeys.create({
+        userId,
+        key,
+        requestHash: hash,
+        status: 'processing',
+        ownerToken: crypto.randomUUID(),
+        lockedUntil: leaseEnd(now),
+        responseStatus: null,
+        responseBody: null,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+      })
+    }
+  })
+
+  if (existing) {
+    if (existing.requestHash !== hash) {
+      throw new HttpError(422, 'La Idempotency-Key ya se usó con otra solicitud', { code: 'IDEMPOTENCY_KEY_REUSED' })
+    }
+    if (existing.status === 'processing') {
+      throw new HttpError(409, 'Hay una solicitud con la misma Idempotency-Key en curso', { code: 'IDEMPOTENCY_KEY_IN_USE' })
+    }
+    res.set('Idempotent-Replayed', 'true')
+    return res.status(existing.responseStatus).json(existing.responseBody)
+  }
+
+  // Mientras la ruta corre la clave sigue tomada, aunque tarde más que el plazo
+  const renewal = setInterval(() => {
+    updateOwnRecord(repos, record, tx => tx.idempotencyKeys.update(record.id, { lockedUntil: leaseEnd() }))
+      .then(owned => { if (!owned) clearInterval(renewal) })
+      .catch(error => console.error(`No se pudo renovar la Idempotency-Key ${key}:`, error.message))
+  }, LEASE_RENEW_SECONDS * 1000)
+  renewal.unref()
+  res.on('close', () => clearInterval(renewal))
+
+  // La respuesta se guarda (o la clave se libera si hubo error) antes de mandarla
+  const send = res.json.bind(res)
+  res.json = (body) => {
+    clearInterval(renewal)
+    const saved = updateOwnRecord(repos, record, tx => res.statusCode < 400
+      ? tx.idempotencyKeys.update(record.id, { status: 'completed', responseStatus: res.statusCode, responseBody: body })
+      : tx.idempotencyKeys.delete(record.id))
+
+    saved
+      .then(owned => {
+        if (!owned) console.error(`La Idempotency-Key ${key} la tomó otra solicitud: no se guarda esta respuesta`)
+      })
+      .catch(error => console.error(`No se pudo guardar la Idempotency-Key ${key}:`, error.message))
+      .finally(() => send(body))
+    return res
+  }
+
+  next()
+}
+
+// Borra las respuestas guardadas que ya vencieron y las claves en curso que superaron el plazo
+export const deleteExpiredIdempotencyKeys = async (tx) => {
+  const now = new Date()
+  let deleted = 0
+  for (const record of await tx.idempotencyKeys.findAll()) {
+    if (isKeyActive(record, now)) continue
+    await tx.idempotencyKeys.delete(record.id)
+    deleted++
+  }
+  return deleted
+}
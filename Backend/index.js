@@ -1,8 +1,127 @@
 import express from 'express'
 import dotenv from 'dotenv'
-import { readFile, writeFile } from 'fs/promises'
 import bcrypt from 'bcrypt'
 import jwt from 'jsonwebtoken'
+import { openRepositories } from './repositories/index.js'
+import { HttpError, errorHandler } from './errors.js'
+import { validate } from './validation.js'
+import {
+  idParams,
+  listProductsSchema,
+  registerSchema,
+  loginSchema,
+  refreshSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  profileSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+  createAddressSchema,
+  updateAddressSchema,
+  createProductSchema,
+  updateProductSchema,
+  updatePriceSchema,
+  createOrderSchema,
+  listOrdersSchema,
+  orderStatusSchema,
+  listAuditLogsSchema,
+  listUsersSchema,
+  userStatusSchema,
+  changeRoleSchema,
+  analyticsSchema,
+  productImportRow,
+  exportProductsSchema,
+  exportSalesSchema,
+  restockSchema,
+  adjustStockSchema,
+  reconciliationSchema,
+  reservationSchema,
+  addCartItemSchema,
+  updateCartItemSchema,
+  mergeCartSchema,
+  reorderSchema,
+  quoteSchema,
+  createCouponSchema,
+  updateCouponSchema,
+  createPromotionSchema,
+  updatePromotionSchema,
+  taxRatesSchema,
+  createShippingZoneSchema,
+  updateShippingZoneSchema,
+  paymentWebhookSchema,
+  mockCheckoutSchema,
+  mockPaymentSchema
+} from './schemas.js'
+import {
+  formatOrderNumber,
+  legacyOrderFromSale,
+  withProductImages,
+  canTransition,
+  customerOrderSummary,
+  RESTOCK_STATUSES
+} from './orders.js'
+import { hashToken, isSessionActive, startSession, rotateSession, revokeUserSessions, publicSession } from './sessions.js'
+import {
+  issueAccountToken,
+  findUsableAccountToken,
+  verificationEmail,
+  passwordResetEmail,
+  deleteAccount,
+  appUrl
+} from './account.js'
+import { createMailer } from './mailer.js'
+import { permissionsFor, hasPermission } from './permissions.js'
+import {
+  MOVEMENT_TYPES,
+  lowStockThreshold,
+  moveStock,
+  returnOrderStock,
+  createProductWithStock,
+  setStock,
+  reconcileStock
+} from './inventory.js'
+import {
+  reservedQuantities,
+  withAvailability,
+  checkAvailability,
+  reserveCart,
+  releaseReservations,
+  deleteExpiredReservations,
+  publicReservation
+} from './reservations.js'
+import { priceOrder, quoteCart } from './pricing.js'
+import {
+  couponProblems,
+  promotionProblems,
+  couponRecord,
+  promotionRecord,
+  couponUses,
+  isPromotionActive
+} from './discounts.js'
+import { TAX_RATES, DEFAULT_TAX_RATE, taxRateProblems } from './taxes.js'
+import { PROVINCES, findZone, zoneProblems, zoneRecord } from './shipping.js'
+import { createPaymentProvider, preferenceFor, recordPayment, cancelExpiredOrders } from './payments.js'
+import { idempotency, deleteExpiredIdempotencyKeys } from './idempotency.js'
+import { recordAudit } from './audit.js'
+import { listAddresses, findUserAddress, createAddress, updateAddress, deleteAddress, orderAddress } from './addresses.js'
+import { loadCart, setCartQuantity, addToCart, removeFromCart, mergeCart, reorderItems } from './cart.js'
+import {
+  countedSales,
+  salesSummary,
+  revenueByPeriod,
+  topProducts,
+  revenueByCategory,
+  topCustomers
+} from './analytics.js'
+import {
+  SALES_COLUMNS,
+  PRODUCT_COLUMNS,
+  salesRows,
+  productRows,
+  sendTable,
+  parseProductImport
+} from './spreadsheets.js'
 
 dotenv.config()
 
@@ -13,8 +132,10 @@ const JWT_SECRET = process.env.JWT_SECRET || 'tu_clave_secreta_muy_segura_cambia
 // ===== MIDDLEWARE CORS =====
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*')
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS')
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key')
+  // Para que el frontend pueda leer el nombre de los archivos exportados y si una respuesta es repetida
+  res.header('Access-Control-Expose-Headers', 'Content-Disposition, Idempotent-Replayed')
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200)
@@ -29,323 +150,1425 @@ app.listen(port, () => {
 })
 
 // === CARGA DE DATOS ===
-const products = JSON.parse(await readFile('./data/products.json', 'utf-8'))
-const users = JSON.parse(await readFile('./data/users.json', 'utf-8'))
-const sales = JSON.parse(await readFile('./data/sales.json', 'utf-8'))
+// El driver (json o sqlite) se elige con DB_DRIVER en .env
+const db = await openRepositories()
+
+// Los emails van a outbox/ salvo que MAIL_DRIVER indique otro transporte
+const mailer = createMailer()
+
+// Las órdenes se cobran con el proveedor de PAYMENT_PROVIDER (mock: pasarela local de prueba)
+const paymentProvider = createPaymentProvider()
+
+// Las reservas y las Idempotency-Key vencidas dejan de contar al instante; cada minuto se borran de los datos.
+// En la misma pasada se cancelan las órdenes que no se pagaron a tiempo, para que su stock vuelva a la venta
+setInterval(() => {
+  db.transaction(deleteExpiredReservations)
+    .catch(error => console.error('No se pudieron borrar las reservas vencidas:', error.message))
+  db.transaction(deleteExpiredIdempotencyKeys)
+    .catch(error => console.error('No se pudieron borrar las Idempotency-Key vencidas:', error.message))
+  db.transaction(cancelExpiredOrders)
+    .catch(error => console.error('No se pudieron cancelar las órdenes sin pagar:', error.message))
+}, 60 * 1000).unref()
+
+// Un email que no se pudo mandar no hace fallar la operación: se puede pedir de nuevo
+const sendMail = async (message) => {
+  try {
+    await mailer.send(message)
+  } catch (error) {
+    console.error(`Error al enviar email a ${message.to}:`, error)
+  }
+}
 
 // ===== MIDDLEWARE DE AUTENTICACIÓN =====
-const authenticateToken = (req, res, next) => {
+// Además de la firma se verifica que la sesión del token siga activa (logout la revoca)
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization']
   const token = authHeader && authHeader.split(' ')[1] // Bearer TOKEN
 
   if (!token) {
-    return res.status(401).json({ error: 'Token no proporcionado' })
+    throw new HttpError(401, 'Token no proporcionado')
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Token inválido o expirado' })
-    }
-    req.user = user
-    next()
-  })
+  let user
+  try {
+    user = jwt.verify(token, JWT_SECRET)
+  } catch {
+    throw new HttpError(403, 'Token inválido o expirado', { code: 'INVALID_TOKEN' })
+  }
+
+  // El rol se toma del usuario y no del token, así un cambio de rol se aplica enseguida
+  const account = await db.users.findById(user.id)
+
+  // Deshabilitar la cuenta revoca sus sesiones; se revisa antes para que el cliente sepa el motivo
+  if (account && account.disabled) {
+    throw new HttpError(403, 'Tu cuenta está deshabilitada', { code: 'ACCOUNT_DISABLED' })
+  }
+
+  const session = user.sid && await db.sessions.findById(user.sid)
+  if (!account || !isSessionActive(session)) {
+    throw new HttpError(403, 'Token inválido o expirado', { code: 'INVALID_TOKEN' })
+  }
+
+  req.user = { ...user, role: account.role }
+  next()
+}
+
+// Para rutas públicas que cambian con sesión: si viene un token se valida igual que en authenticateToken
+const optionalAuthentication = (req, res, next) =>
+  req.headers['authorization'] ? authenticateToken(req, res, next) : next()
+
+// Middleware para aceptar Idempotency-Key en rutas que crean datos (ver idempotency.js)
+const idempotent = idempotency(db)
+
+// Middleware para verificar permisos: alcanza con tener alguno de los indicados
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.some(permission => hasPermission(req.user.role, permission))) {
+    throw new HttpError(403, 'Acceso denegado. No tienes permiso para esta operación')
+  }
+  next()
 }
 
+// Datos del usuario que se envían al frontend: sin la contraseña y con sus permisos
+const publicUser = ({ password: _, ...user }) => ({ ...user, permissions: permissionsFor(user.role) })
+
 // === RUTAS PÚBLICAS ===
 
-// GET: obtener todos los productos
-app.get('/products', (req, res) => {
-  res.status(200).json(products)
+// GET: buscar productos a la venta, con filtros, orden y paginación
+// ?q=texto&category=Audio&minPrice=1000&maxPrice=5000&inStock=true&sort=-price&page=1&pageSize=12
+app.get('/products', validate(listProductsSchema), async (req, res) => {
+  const { page = 1, pageSize = 12, ...filters } = req.query
+
+  const { items, total } = await db.products.search({ ...filters, page, pageSize })
+  const reserved = reservedQuantities(await db.reservations.findAll())
+  res.status(200).json({
+    items: items.map(product => withAvailability(product, reserved)),
+    total,
+    page,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize)
+  })
 })
 
-// GET: obtener un producto por id
-app.get('/products/:id', (req, res) => {
-  const product = products.find(p => p.id == req.params.id)
-  product
-    ? res.status(200).json(product)
-    : res.status(404).json({ error: 'Producto no encontrado' })
+// GET: obtener los productos archivados (ADMIN, va antes de /products/:id)
+app.get('/products/archived', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  const products = await db.products.findAll()
+  res.status(200).json(products.filter(p => p.archived))
+})
+
+// GET: obtener un producto por id (incluye archivados, para el historial)
+app.get('/products/:id', validate(idParams), async (req, res) => {
+  const product = await db.products.findById(req.params.id)
+  if (!product) {
+    throw new HttpError(404, 'Producto no encontrado')
+  }
+  res.status(200).json(withAvailability(product, reservedQuantities(await db.reservations.findAll())))
+})
+
+// GET: promociones vigentes, para mostrarlas en la tienda
+app.get('/promotions/active', async (req, res) => {
+  const promotions = await db.promotions.findAll()
+  res.status(200).json(promotions.filter(isPromotionActive))
 })
 
 // GET: obtener todas las categorías únicas
-app.get('/categories', (req, res) => {
-  const categories = [...new Set(products.map(p => p.category))]
-  res.status(200).json(categories)
+app.get('/categories', async (req, res) => {
+  res.status(200).json(await db.products.findCategories())
 })
 
 // POST: Registro de usuario
-app.post('/auth/register', async (req, res) => {
-  try {
-    const { name, email, password, phone, address } = req.body
+app.post('/auth/register', validate(registerSchema), async (req, res) => {
+  const { name, email, password, phone, address } = req.body
 
-    // Validar datos requeridos
-    if (!name || !email || !password) {
-      return res.status(400).json({ error: 'Nombre, email y contraseña son requeridos' })
-    }
+  // Encriptar contraseña
+  const hashedPassword = await bcrypt.hash(password, 10)
 
+  const { newUser, tokens, verifyToken } = await db.transaction(async (tx) => {
     // Verificar si el email ya existe
-    const existingUser = users.find(u => u.email === email)
+    const existingUser = await tx.users.findByEmail(email)
     if (existingUser) {
-      return res.status(400).json({ error: 'El email ya está registrado' })
+      throw new HttpError(409, 'El email ya está registrado', { fields: { email: 'El email ya está registrado' } })
     }
 
-    // Encriptar contraseña
-    const hashedPassword = await bcrypt.hash(password, 10)
-
     // Crear nuevo usuario
-    const newUser = {
-      id: users.length + 1,
+    const newUser = await tx.users.create({
       name,
       email,
       password: hashedPassword,
       phone: phone || '',
       address: address || '',
-      role: 'customer'
+      role: 'customer',
+      emailVerified: false,
+      disabled: false,
+      createdAt: new Date().toISOString()
+    })
+    await recordAudit(tx, req, { action: 'auth.register', actor: newUser, target: { type: 'user', id: newUser.id } })
+
+    // Generar tokens (la sesión se crea junto con el usuario)
+    return {
+      newUser,
+      tokens: await startSession(tx, newUser, req, JWT_SECRET),
+      verifyToken: await issueAccountToken(tx, newUser, 'email_verification')
     }
+  })
 
-    users.push(newUser)
-    await writeFile('./data/users.json', JSON.stringify(users, null, 2))
+  await sendMail(verificationEmail(newUser, verifyToken))
 
-    // Generar token
-    const token = jwt.sign(
-      { id: newUser.id, email: newUser.email, role: newUser.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    )
+  // No enviar la contraseña en la respuesta
+  res.status(201).json({
+    message: 'Usuario registrado exitosamente',
+    user: publicUser(newUser),
+    ...tokens
+  })
+})
 
-    // No enviar la contraseña en la respuesta
-    const { password: _, ...userWithoutPassword } = newUser
+// POST: Login de usuario
+app.post('/auth/login', validate(loginSchema), async (req, res) => {
+  const { email, password } = req.body
 
-    res.status(201).json({
-      message: 'Usuario registrado exitosamente',
-      user: userWithoutPassword,
-      token
-    })
-  } catch (error) {
-    console.error('Error en registro:', error)
-    res.status(500).json({ error: 'Error al registrar usuario' })
+  // Los intentos fallidos quedan en la auditoría sin actor, con el email que se usó
+  const loginFailed = (user, reason) => recordAudit(db, req, {
+    action: 'auth.login_failed',
+    actor: null,
+    target: user ? { type: 'user', id: user.id } : null,
+    details: { email, reason }
+  })
+
+  // Buscar usuario
+  const user = await db.users.findByEmail(email)
+  if (!user) {
+    await loginFailed(null, 'UNKNOWN_EMAIL')
+    throw new HttpError(401, 'Credenciales inválidas', { code: 'INVALID_CREDENTIALS' })
   }
+
+  // Verificar contraseña
+  const validPassword = await bcrypt.compare(password, user.password)
+  if (!validPassword) {
+    await loginFailed(user, 'INVALID_PASSWORD')
+    throw new HttpError(401, 'Credenciales inválidas', { code: 'INVALID_CREDENTIALS' })
+  }
+
+  // Se avisa solo con la contraseña correcta, para no revelar el estado de cuentas ajenas
+  if (user.disabled) {
+    await loginFailed(user, 'ACCOUNT_DISABLED')
+    throw new HttpError(403, 'Tu cuenta está deshabilitada', { code: 'ACCOUNT_DISABLED' })
+  }
+
+  // Generar tokens
+  const tokens = await db.transaction(async (tx) => {
+    await recordAudit(tx, req, { action: 'auth.login', actor: user, target: { type: 'user', id: user.id } })
+    return startSession(tx, user, req, JWT_SECRET)
+  })
+
+  // No enviar la contraseña en la respuesta
+  res.status(200).json({
+    message: 'Login exitoso',
+    user: publicUser(user),
+    ...tokens
+  })
 })
 
-// POST: Login de usuario
-app.post('/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body
+// POST: renovar el access token con el refresh token (que se rota en cada uso)
+app.post('/auth/refresh', validate(refreshSchema), async (req, res) => {
+  const tokenHash = hashToken(req.body.refreshToken)
+
+  const result = await db.transaction(async (tx) => {
+    const session = await tx.sessions.findByTokenHash(tokenHash)
 
-    // Validar datos
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email y contraseña son requeridos' })
+    // Un refresh token ya rotado solo puede venir de una copia robada: se cierra la sesión
+    if (session && session.tokenHash !== tokenHash) {
+      if (!session.revokedAt) await tx.sessions.update(session.id, { revokedAt: new Date().toISOString() })
+      return { reused: true }
     }
 
-    // Buscar usuario
-    const user = users.find(u => u.email === email)
-    if (!user) {
-      return res.status(401).json({ error: 'Credenciales inválidas' })
+    const user = isSessionActive(session) && await tx.users.findById(session.userId)
+    if (!user || user.disabled) return null
+
+    return { tokens: await rotateSession(tx, session, user, JWT_SECRET) }
+  })
+
+  // Se lanza fuera de la transacción para que la revocación quede guardada
+  if (!result || result.reused) {
+    throw new HttpError(401, 'Sesión inválida o expirada', { code: 'INVALID_REFRESH_TOKEN' })
+  }
+
+  res.status(200).json(result.tokens)
+})
+
+// POST: pedir un link para restablecer la contraseña.
+// Responde lo mismo exista o no el email, para no revelar qué cuentas hay
+app.post('/auth/forgot-password', validate(forgotPasswordSchema), async (req, res) => {
+  const user = await db.users.findByEmail(req.body.email)
+
+  if (user) {
+    const token = await db.transaction((tx) => issueAccountToken(tx, user, 'password_reset'))
+    await sendMail(passwordResetEmail(user, token))
+  }
+
+  res.status(200).json({ message: 'Si el email está registrado, te enviamos un link para restablecer la contraseña' })
+})
+
+// POST: elegir una contraseña nueva con el token del email. Cierra todas las sesiones abiertas
+app.post('/auth/reset-password', validate(resetPasswordSchema), async (req, res) => {
+  const { token, password } = req.body
+  const hashedPassword = await bcrypt.hash(password, 10)
+
+  await db.transaction(async (tx) => {
+    const record = await findUsableAccountToken(tx, token, 'password_reset')
+    if (!record) {
+      throw new HttpError(400, 'El link es inválido o ya venció', { code: 'INVALID_RESET_TOKEN' })
     }
 
-    // Verificar contraseña
-    const validPassword = await bcrypt.compare(password, user.password)
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Credenciales inválidas' })
+    await tx.accountTokens.update(record.id, { usedAt: new Date().toISOString() })
+    const user = await tx.users.update(record.userId, { password: hashedPassword })
+    await revokeUserSessions(tx, record.userId)
+    await recordAudit(tx, req, { action: 'auth.password_reset', actor: user, target: { type: 'user', id: user.id } })
+  })
+
+  res.status(200).json({ message: 'Contraseña actualizada. Ya puedes iniciar sesión' })
+})
+
+// POST: confirmar el email con el token que se mandó al registrarse
+app.post('/auth/verify-email', validate(verifyEmailSchema), async (req, res) => {
+  const user = await db.transaction(async (tx) => {
+    const record = await findUsableAccountToken(tx, req.body.token, 'email_verification')
+    if (!record || !await tx.users.findById(record.userId)) {
+      throw new HttpError(400, 'El link es inválido o ya venció', { code: 'INVALID_VERIFICATION_TOKEN' })
     }
 
-    // Generar token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    )
+    const date = new Date().toISOString()
+    await tx.accountTokens.update(record.id, { usedAt: date })
+    return tx.users.update(record.userId, { emailVerified: true, emailVerifiedAt: date })
+  })
 
-    // No enviar la contraseña en la respuesta
-    const { password: _, ...userWithoutPassword } = user
+  res.status(200).json({ message: 'Email confirmado', user: publicUser(user) })
+})
 
-    res.status(200).json({
-      message: 'Login exitoso',
-      user: userWithoutPassword,
-      token
-    })
-  } catch (error) {
-    console.error('Error en login:', error)
-    res.status(500).json({ error: 'Error al iniciar sesión' })
+// POST: volver a mandar el email de confirmación (PROTEGIDA)
+app.post('/auth/resend-verification', authenticateToken, async (req, res) => {
+  const user = await db.users.findById(req.user.id)
+  if (!user) {
+    throw new HttpError(404, 'Usuario no encontrado')
+  }
+
+  if (user.emailVerified) {
+    throw new HttpError(409, 'El email ya está confirmado', { code: 'EMAIL_ALREADY_VERIFIED' })
   }
+
+  const token = await db.transaction((tx) => issueAccountToken(tx, user, 'email_verification'))
+  await sendMail(verificationEmail(user, token))
+  res.status(200).json({ message: 'Te enviamos un nuevo link de confirmación' })
+})
+
+// POST: cerrar sesión, revoca el refresh token de la sesión actual (PROTEGIDA)
+app.post('/auth/logout', authenticateToken, async (req, res) => {
+  await db.sessions.update(req.user.sid, { revokedAt: new Date().toISOString() })
+  res.status(200).json({ message: 'Sesión cerrada' })
 })
 
 // === RUTAS PROTEGIDAS (Requieren autenticación) ===
 
 // POST: crear orden de compra (PROTEGIDA)
-app.post('/orders', authenticateToken, async (req, res) => {
-  try {
-    const { items } = req.body
-    const userId = req.user.id // ID del usuario autenticado
+app.post('/orders', authenticateToken, idempotent, validate(createOrderSchema), async (req, res) => {
+  const { items, addressId, couponCode, expectedTotal } = req.body
+  const userId = req.user.id // ID del usuario autenticado
 
-    if (!items || items.length === 0) {
-      return res.status(400).json({ error: 'El carrito está vacío' })
-    }
+  // Buscar usuario autenticado
+  const currentUser = await db.users.findById(userId)
+  if (!currentUser) {
+    throw new HttpError(404, 'Usuario no encontrado')
+  }
 
-    // Buscar usuario autenticado
-    const currentUser = users.find(u => u.id === userId)
-    if (!currentUser) {
-      return res.status(404).json({ error: 'Usuario no encontrado' })
-    }
+  if (addressId === undefined && !req.body.shippingAddress) {
+    checkFieldProblems({ shippingAddress: 'Es requerido' })
+  }
 
-    const newSales = []
-    let orderTotal = 0
+  // La dirección de la libreta se copia en la orden: si después se edita, la orden conserva la original
+  const shippingAddress = addressId !== undefined
+    ? orderAddress(await findUserAddress(db, userId, addressId))
+    : req.body.shippingAddress
 
-    for (const item of items) {
-      const product = products.find(p => p.id === item.id)
-      
-      if (!product) {
-        return res.status(400).json({ error: `Producto ${item.id} no encontrado` })
-      }
+  // Orden, ventas y stock se guardan juntos: si algo falla no se persiste ninguno
+  const order = await db.transaction(async (tx) => {
+    const date = new Date().toISOString()
 
-      if (product.stock < item.quantity) {
-        return res.status(400).json({ 
-          error: `Stock insuficiente para ${product.name}. Disponible: ${product.stock}` 
-        })
-      }
+    // Lo reservado por otros usuarios no se puede vender; lo reservado por este sí
+    const products = await checkAvailability(tx, items, currentUser.id)
 
-      const saleTotal = product.price * item.quantity
+    // Se guarda una copia del nombre y el precio al momento de la compra, con los descuentos y el IVA de cada línea
+    const {
+      lines, itemCount, subtotal, discountTotal, taxTotal, shippingCost, total,
+      discounts, coupon, couponError, shipping, shippingError
+    } = await priceOrder(tx, products, items, { couponCode, userId: currentUser.id, province: shippingAddress.province })
 
-      const newSale = {
-        id: sales.length + newSales.length + 1,
-        userId: currentUser.id,
-        productId: product.id,
-        quantity: item.quantity,
-        total: saleTotal,
-        date: new Date().toISOString(),
-      }
+    if (couponError) {
+      throw new HttpError(400, couponError.message, { code: couponError.code, fields: { couponCode: couponError.message } })
+    }
 
-      newSales.push(newSale)
-      orderTotal += saleTotal
-      product.stock -= item.quantity
+    if (shippingError) {
+      throw new HttpError(400, shippingError.message, {
+        code: shippingError.code,
+        fields: { [addressId !== undefined ? 'addressId' : 'shippingAddress.province']: shippingError.message }
+      })
     }
 
-    sales.push(...newSales)
-    await writeFile('./data/sales.json', JSON.stringify(sales, null, 2))
-    await writeFile('./data/products.json', JSON.stringify(products, null, 2))
+    if (expectedTotal !== undefined && expectedTotal !== total) {
+      throw new HttpError(409, 'Los precios cambiaron. Revisa el resumen y confirma de nuevo', { code: 'PRICE_CHANGED' })
+    }
 
-    res.status(201).json({ 
-      message: 'Orden creada exitosamente',
-      order: {
-        id: newSales[0].id,
-        userId: currentUser.id,
-        userName: currentUser.name,
-        items: newSales,
-        total: orderTotal,
-        date: newSales[0].date
-      }
+    const newOrder = await tx.orders.create({
+      userId: currentUser.id,
+      status: 'pending',
+      paymentStatus: 'pending',
+      itemCount,
+      subtotal,
+      discountTotal,
+      taxTotal,
+      shippingCost,
+      total,
+      discounts,
+      couponId: coupon ? coupon.id : null,
+      couponCode: coupon ? coupon.code : null,
+      shippingAddress,
+      shippingZone: shipping.zoneName,
+      lines,
+      statusHistory: [{ status: 'pending', date, userId: currentUser.id }],
+      createdAt: date,
+      updatedAt: date
     })
-  } catch (error) {
-    console.error('Error en orden:', error)
-    res.status(500).json({ error: 'Error al crear la orden' })
+
+    // Una venta por línea en sales.json, como hasta ahora, vinculada a la orden, y su salida de stock.
+    // El total de la venta es lo cobrado por los productos, sin IVA ni envío
+    for (const line of lines) {
+      await tx.sales.create({
+        orderId: newOrder.id,
+        userId: currentUser.id,
+        productId: line.productId,
+        quantity: line.quantity,
+        total: line.subtotal - line.discount,
+        date
+      })
+
+      await moveStock(tx, await tx.products.findById(line.productId), {
+        type: 'sale',
+        quantity: -line.quantity,
+        userId: currentUser.id,
+        reason: `Orden ${formatOrderNumber(newOrder.id)}`,
+        orderId: newOrder.id
+      })
+    }
+
+    // La compra consume la reserva del checkout y saca del carrito lo comprado
+    await releaseReservations(tx, currentUser.id)
+    await removeFromCart(tx, currentUser.id, lines.map(line => line.productId))
+
+    return tx.orders.update(newOrder.id, { number: formatOrderNumber(newOrder.id) })
+  })
+
+  res.status(201).json({ 
+    message: 'Orden creada exitosamente',
+    order: { ...order, userName: currentUser.name }
+  })
+})
+
+// POST: reservar el stock del carrito al abrir el checkout (PROTEGIDA).
+// Reemplaza la reserva anterior del usuario y vence a los RESERVATION_MINUTES
+app.post('/reservations', authenticateToken, validate(reservationSchema), async (req, res) => {
+  const reservations = await db.transaction(tx => reserveCart(tx, req.user.id, req.body.items))
+  res.status(201).json(publicReservation(reservations))
+})
+
+// GET: reserva activa del usuario (PROTEGIDA)
+app.get('/reservations', authenticateToken, async (req, res) => {
+  res.status(200).json(publicReservation(await db.reservations.findByUserId(req.user.id)))
+})
+
+// DELETE: liberar la reserva al cerrar el checkout sin comprar (PROTEGIDA)
+app.delete('/reservations', authenticateToken, async (req, res) => {
+  await db.transaction(tx => releaseReservations(tx, req.user.id))
+  res.status(200).json({ message: 'Reserva liberada' })
+})
+
+// === CARRITO (PROTEGIDA) ===
+// Todas responden el carrito actualizado: { items, itemCount, total }. En /cart/items/:id el id es el del producto
+
+// GET: carrito guardado del usuario
+app.get('/cart', authenticateToken, async (req, res) => {
+  res.status(200).json(await loadCart(db, req.user.id))
+})
+
+// POST: agregar unidades de un producto (1 si no se indica quantity)
+app.post('/cart/items', authenticateToken, idempotent, validate(addCartItemSchema), async (req, res) => {
+  const { id, quantity = 1 } = req.body
+  await db.transaction(tx => addToCart(tx, req.user.id, id, quantity))
+  res.status(200).json(await loadCart(db, req.user.id))
+})
+
+// PATCH: cambiar la cantidad de un producto del carrito
+app.patch('/cart/items/:id', authenticateToken, validate(updateCartItemSchema), async (req, res) => {
+  await db.transaction(async (tx) => {
+    const items = await tx.cartItems.findByUserId(req.user.id)
+    if (!items.some(item => item.productId === req.params.id)) {
+      throw new HttpError(404, 'El producto no está en el carrito')
+    }
+    await setCartQuantity(tx, req.user.id, req.params.id, req.body.quantity)
+  })
+  res.status(200).json(await loadCart(db, req.user.id))
+})
+
+// DELETE: quitar un producto del carrito
+app.delete('/cart/items/:id', authenticateToken, validate(idParams), async (req, res) => {
+  const removed = await db.transaction(tx => removeFromCart(tx, req.user.id, [req.params.id]))
+  if (removed === 0) {
+    throw new HttpError(404, 'El producto no está en el carrito')
   }
+  res.status(200).json(await loadCart(db, req.user.id))
+})
+
+// DELETE: vaciar el carrito
+app.delete('/cart', authenticateToken, async (req, res) => {
+  await db.transaction(tx => removeFromCart(tx, req.user.id))
+  res.status(200).json(await loadCart(db, req.user.id))
+})
+
+// POST: presupuesto del carrito con los precios, descuentos y stock actuales, antes de confirmar la compra.
+// Funciona sin sesión (el carrito de localStorage); los cupones requieren sesión.
+// Con province incluye el envío. Devuelve { lines, subtotal, discounts, taxTotal, shipping, total, issues, changed, canOrder, ... }
+// (ver quoteCart en pricing.js)
+app.post('/cart/quote', optionalAuthentication, validate(quoteSchema), async (req, res) => {
+  const { items, couponCode, province } = req.body
+  res.status(200).json(await quoteCart(db, items, { userId: req.user ? req.user.id : null, couponCode, province }))
+})
+
+// GET: provincias y si hay envíos a cada una (para el formulario de entrega)
+app.get('/shipping/provinces', async (req, res) => {
+  const zones = await db.shippingZones.findAll()
+  res.status(200).json(PROVINCES.map(province => ({ province, available: findZone(zones, province) !== null })))
+})
+
+// POST: combinar el carrito armado sin sesión con el guardado, al iniciar sesión (ver mergeCart en cart.js)
+app.post('/cart/merge', authenticateToken, validate(mergeCartSchema), async (req, res) => {
+  await db.transaction(tx => mergeCart(tx, req.user.id, req.body.items))
+  res.status(200).json(await loadCart(db, req.user.id))
 })
 
-// GET: obtener historial de compras del usuario (PROTEGIDA)
-app.get('/orders/my-orders', authenticateToken, (req, res) => {
+// POST: volver a comprar, suma al carrito lo que se pueda de una compra anterior (ver reorderItems en cart.js)
+app.post('/cart/reorder', authenticateToken, idempotent, validate(reorderSchema), async (req, res) => {
+  const reorder = await db.transaction(tx => reorderItems(tx, req.user.id, req.body.items))
+  res.status(200).json({ ...await loadCart(db, req.user.id), reorder })
+})
+
+// GET: obtener historial de compras del usuario agrupado por orden (PROTEGIDA)
+app.get('/orders/my-orders', authenticateToken, async (req, res) => {
   const userId = req.user.id
-  const userSales = sales.filter(s => s.userId === userId)
-  
-  // Enriquecer con información de productos
-  const enrichedSales = userSales.map(sale => {
-    const product = products.find(p => p.id === sale.productId)
-    return {
-      ...sale,
-      productName: product ? product.name : 'Producto no encontrado',
-      productImage: product ? product.image : null
-    }
+  const orders = await db.orders.findByUserId(userId)
+  const userSales = await db.sales.findByUserId(userId)
+  const products = await db.products.findAll()
+
+  // Las ventas sin orden son anteriores a las órdenes
+  const legacyOrders = userSales
+    .filter(sale => !sale.orderId)
+    .map(sale => legacyOrderFromSale(sale, products.find(p => p.id === sale.productId)))
+
+  // Enriquecer con información de productos, de la más reciente a la más antigua
+  const history = [...orders, ...legacyOrders]
+    .map(order => withProductImages(order, products))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+  res.status(200).json(history)
+})
+
+// GET: obtener una orden por id (PROTEGIDA: dueño o quien pueda ver todas las órdenes)
+app.get('/orders/:id', authenticateToken, validate(idParams), async (req, res) => {
+  const order = await db.orders.findById(req.params.id)
+
+  if (!order) {
+    throw new HttpError(404, 'Orden no encontrada')
+  }
+
+  if (order.userId !== req.user.id && !hasPermission(req.user.role, 'orders:read')) {
+    throw new HttpError(403, 'Acceso denegado')
+  }
+
+  res.status(200).json({
+    ...withProductImages(order, await db.products.findAll()),
+    payments: await db.payments.findByOrderId(order.id)
   })
+})
+
+// === PAGOS ===
+
+// POST: iniciar el pago de una orden pendiente (PROTEGIDA: dueño). Devuelve checkoutUrl, la página del
+// proveedor a la que se manda al cliente; el resultado llega después por el webhook.
+// Se puede repetir mientras la orden siga pendiente (por ejemplo si no se pudo iniciar el pago). Un pago
+// rechazado cancela la orden y devuelve su stock (ver recordPayment): después responde 409 ORDER_NOT_PAYABLE
+app.post('/orders/:id/payment', authenticateToken, validate(idParams), async (req, res) => {
+  const order = await db.orders.findById(req.params.id)
+
+  if (!order) {
+    throw new HttpError(404, 'Orden no encontrada')
+  }
+
+  if (order.userId !== req.user.id) {
+    throw new HttpError(403, 'Acceso denegado')
+  }
+
+  if (order.status !== 'pending') {
+    throw new HttpError(409, `La orden ${order.number} no está pendiente de pago`, { code: 'ORDER_NOT_PAYABLE' })
+  }
+
+  const preference = await paymentProvider.createPreference(preferenceFor(order, appUrl()))
+  res.status(201).json({ preferenceId: preference.id, checkoutUrl: preference.checkoutUrl })
+})
+
+// POST: aviso del proveedor de pagos (sin sesión, firmado en x-signature). Responde 200 también a los
+// avisos repetidos para que el proveedor deje de reenviarlos
+app.post('/payments/webhook', validate(paymentWebhookSchema), async (req, res) => {
+  const { type, data } = req.body
 
-  res.status(200).json(enrichedSales)
+  // Otros avisos (por ejemplo de contracargos) se confirman sin hacer nada
+  if (type !== 'payment' || !data) {
+    return res.status(200).json({ received: true })
+  }
+
+  if (!paymentProvider.verifyNotification({ headers: req.headers, dataId: data.id })) {
+    throw new HttpError(401, 'Firma del aviso inválida', { code: 'INVALID_SIGNATURE' })
+  }
+
+  const payment = await paymentProvider.getPayment(data.id)
+  if (!payment) {
+    throw new HttpError(404, 'Pago no encontrado')
+  }
+
+  const { duplicate } = await db.transaction(tx => recordPayment(tx, paymentProvider.name, payment))
+  res.status(200).json({ received: true, duplicate })
 })
 
+// Pasarela de prueba: la página de pago y el resultado elegido, que vuelve a la tienda con ?payment=
+if (paymentProvider.name === 'mock') {
+  app.get('/payments/mock/:preferenceId', validate(mockCheckoutSchema), (req, res) => {
+    const preference = paymentProvider.findPreference(req.params.preferenceId)
+    if (!preference) {
+      throw new HttpError(404, 'Pago no encontrado')
+    }
+    res.type('html').send(paymentProvider.checkoutPage(preference))
+  })
+
+  app.post('/payments/mock/:preferenceId', express.urlencoded({ extended: false }), validate(mockPaymentSchema), async (req, res) => {
+    const preference = paymentProvider.findPreference(req.params.preferenceId)
+    if (!preference) {
+      throw new HttpError(404, 'Pago no encontrado')
+    }
+    const payment = await paymentProvider.pay(preference, req.body.status)
+    res.redirect(303, `${preference.backUrl}&payment=${payment.status}`)
+  })
+}
+
 // GET: obtener perfil del usuario (PROTEGIDA)
-app.get('/auth/profile', authenticateToken, (req, res) => {
-  const user = users.find(u => u.id === req.user.id)
+app.get('/auth/profile', authenticateToken, async (req, res) => {
+  const user = await db.users.findById(req.user.id)
   
   if (!user) {
-    return res.status(404).json({ error: 'Usuario no encontrado' })
+    throw new HttpError(404, 'Usuario no encontrado')
   }
 
-  const { password: _, ...userWithoutPassword } = user
-  res.status(200).json(userWithoutPassword)
+  res.status(200).json(publicUser(user))
+})
+
+// GET: sesiones activas del usuario (PROTEGIDA)
+app.get('/auth/sessions', authenticateToken, async (req, res) => {
+  const sessions = await db.sessions.findByUserId(req.user.id)
+  res.status(200).json(
+    sessions
+      .filter(isSessionActive)
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+      .map(session => publicSession(session, req.user.sid))
+  )
+})
+
+// DELETE: revocar una sesión propia, por ejemplo la de otro dispositivo (PROTEGIDA)
+app.delete('/auth/sessions/:id', authenticateToken, validate(idParams), async (req, res) => {
+  const session = await db.sessions.findById(req.params.id)
+
+  if (!session || session.userId !== req.user.id || !isSessionActive(session)) {
+    throw new HttpError(404, 'Sesión no encontrada')
+  }
+
+  await db.sessions.update(session.id, { revokedAt: new Date().toISOString() })
+  res.status(200).json({ message: 'Sesión revocada' })
 })
 
 // PUT: actualizar perfil del usuario (PROTEGIDA)
-app.put('/auth/profile', authenticateToken, async (req, res) => {
-  try {
-    const { name, phone, address } = req.body
-    const userId = req.user.id
+app.put('/auth/profile', authenticateToken, validate(profileSchema), async (req, res) => {
+  const { name, phone, address } = req.body
+  const userId = req.user.id
 
-    const userIndex = users.findIndex(u => u.id === userId)
-    if (userIndex === -1) {
-      return res.status(404).json({ error: 'Usuario no encontrado' })
-    }
+  // Actualizar solo los campos proporcionados; teléfono y dirección se pueden borrar mandándolos vacíos
+  const changes = {}
+  if (name) changes.name = name
+  if (phone !== undefined) changes.phone = phone
+  if (address !== undefined) changes.address = address
+
+  const updatedUser = await db.users.update(userId, changes)
+  if (!updatedUser) {
+    throw new HttpError(404, 'Usuario no encontrado')
+  }
 
-    // Actualizar solo los campos proporcionados
-    if (name) users[userIndex].name = name
-    if (phone) users[userIndex].phone = phone
-    if (address) users[userIndex].address = address
+  res.status(200).json({
+    message: 'Perfil actualizado',
+    user: publicUser(updatedUser)
+  })
+})
 
-    await writeFile('./data/users.json', JSON.stringify(users, null, 2))
+// PUT: cambiar la contraseña con la actual (PROTEGIDA). Cierra las demás sesiones; la actual sigue abierta
+app.put('/auth/password', authenticateToken, validate(changePasswordSchema), async (req, res) => {
+  const { currentPassword, newPassword } = req.body
+  const user = await db.users.findById(req.user.id)
+  if (!user) {
+    throw new HttpError(404, 'Usuario no encontrado')
+  }
 
-    const { password: _, ...userWithoutPassword } = users[userIndex]
-    res.status(200).json({
-      message: 'Perfil actualizado',
-      user: userWithoutPassword
+  if (!await bcrypt.compare(currentPassword, user.password)) {
+    throw new HttpError(400, 'La contraseña actual no es correcta', {
+      code: 'INVALID_PASSWORD',
+      fields: { currentPassword: 'La contraseña actual no es correcta' }
     })
-  } catch (error) {
-    console.error('Error actualizando perfil:', error)
-    res.status(500).json({ error: 'Error al actualizar perfil' })
   }
+
+  const hashedPassword = await bcrypt.hash(newPassword, 10)
+  await db.transaction(async (tx) => {
+    await tx.users.update(user.id, { password: hashedPassword })
+    await revokeUserSessions(tx, user.id, { exceptSessionId: req.user.sid })
+    await recordAudit(tx, req, { action: 'auth.password_change', target: { type: 'user', id: user.id } })
+  })
+
+  res.status(200).json({ message: 'Contraseña actualizada. Se cerraron tus otras sesiones' })
 })
 
-// === RUTAS ADMINISTRATIVAS (Solo para admin) ===
+// DELETE: eliminar la propia cuenta, confirmando con la contraseña (PROTEGIDA). Misma regla que DELETE /users/:id
+app.delete('/auth/profile', authenticateToken, validate(deleteAccountSchema), async (req, res) => {
+  const user = await db.users.findById(req.user.id)
+  if (!user) {
+    throw new HttpError(404, 'Usuario no encontrado')
+  }
 
-// Middleware para verificar rol de admin
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Acceso denegado. Se requiere rol de administrador' })
+  if (!await bcrypt.compare(req.body.password, user.password)) {
+    throw new HttpError(400, 'La contraseña no es correcta', {
+      code: 'INVALID_PASSWORD',
+      fields: { password: 'La contraseña no es correcta' }
+    })
   }
-  next()
-}
+
+  await db.transaction(async (tx) => {
+    const deleted = await deleteAccount(tx, user.id)
+    await recordAudit(tx, req, { action: 'auth.account_delete', target: { type: 'user', id: deleted.id }, before: deleted })
+  })
+  res.status(200).json({ message: 'Tu cuenta fue eliminada' })
+})
+
+// === LIBRETA DE DIRECCIONES (PROTEGIDA, ver addresses.js) ===
+
+// GET: direcciones guardadas del usuario, la predeterminada primero
+app.get('/auth/profile/addresses', authenticateToken, async (req, res) => {
+  res.status(200).json(await listAddresses(db, req.user.id))
+})
+
+// POST: guardar una dirección. La primera queda como predeterminada
+app.post('/auth/profile/addresses', authenticateToken, validate(createAddressSchema), async (req, res) => {
+  const address = await db.transaction(tx => createAddress(tx, req.user.id, req.body))
+  res.status(201).json({ message: 'Dirección guardada', address })
+})
+
+// PUT: reemplazar los datos de una dirección; con isDefault: true pasa a ser la predeterminada
+app.put('/auth/profile/addresses/:id', authenticateToken, validate(updateAddressSchema), async (req, res) => {
+  const address = await db.transaction(tx => updateAddress(tx, req.user.id, req.params.id, req.body))
+  res.status(200).json({ message: 'Dirección actualizada', address })
+})
+
+// DELETE: borrar una dirección. Las órdenes que la usaron conservan su copia
+app.delete('/auth/profile/addresses/:id', authenticateToken, validate(idParams), async (req, res) => {
+  await db.transaction(tx => deleteAddress(tx, req.user.id, req.params.id))
+  res.status(200).json({ message: 'Dirección eliminada' })
+})
+
+// === RUTAS ADMINISTRATIVAS (según los permisos del rol, ver permissions.js) ===
+
+// POST: crear un producto (ADMIN)
+app.post('/products', authenticateToken, requirePermission('products:write'), validate(createProductSchema), async (req, res) => {
+  const product = await db.transaction(async (tx) => {
+    const product = await createProductWithStock(tx, { image: '', ...req.body, archived: false }, {
+      userId: req.user.id,
+      reason: 'Alta del producto'
+    })
+    await recordAudit(tx, req, { action: 'product.create', target: { type: 'product', id: product.id }, after: product })
+    return product
+  })
+  res.status(201).json({ message: 'Producto creado', product })
+})
+
+// POST: importar productos desde un CSV (Content-Type: text/csv).
+// Las filas con id actualizan ese producto y las demás se crean. Si alguna fila tiene errores no se guarda ninguna
+app.post('/products/import', authenticateToken, requirePermission('products:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  if (typeof req.body !== 'string') {
+    throw new HttpError(400, 'Se esperaba un archivo CSV (Content-Type: text/csv)')
+  }
+
+  const { rows, fields } = parseProductImport(req.body, productImportRow)
+
+  const result = await db.transaction(async (tx) => {
+    let created = 0
+    let updated = 0
+
+    const movement = { userId: req.user.id, reason: 'Importación de productos' }
+
+    for (const { line, values: { id, stock, ...values } } of rows) {
+      if (id === undefined) {
+        const product = await createProductWithStock(tx, { image: '', ...values, stock, archived: false }, movement)
+        await recordAudit(tx, req, { action: 'product.import', target: { type: 'product', id: product.id }, after: product })
+        created++
+        continue
+      }
+
+      const product = await tx.products.findById(id)
+      if (!product) {
+        fields[`lines.${line}.id`] = 'Producto no encontrado'
+        continue
+      }
+
+      await setStock(tx, product, stock, movement)
+      const saved = await tx.products.update(id, values)
+      await recordAudit(tx, req, { action: 'product.import', target: { type: 'product', id }, before: product, after: saved })
+      updated++
+    }
+
+    // Se lanza adentro de la transacción para que no quede nada a medias
+    if (Object.keys(fields).length > 0) {
+      throw new HttpError(400, 'Hay errores en el archivo. No se importó ningún producto', {
+        code: 'VALIDATION_ERROR',
+        fields
+      })
+    }
+
+    return { created, updated }
+  })
+
+  res.status(200).json({ message: 'Productos importados', ...result })
+})
 
 // PUT: actualizar precio de un producto (ADMIN)
-app.put('/products/:id', authenticateToken, isAdmin, async (req, res) => {
+app.put('/products/:id', authenticateToken, requirePermission('products:write'), validate(updatePriceSchema), async (req, res) => {
   const { id } = req.params
   const { price } = req.body
-  const index = products.findIndex(p => p.id == id)
 
-  if (index === -1) {
-    return res.status(404).json({ error: 'Producto no encontrado' })
+  const product = await db.transaction(async (tx) => {
+    const before = await tx.products.findById(id)
+    if (!before) {
+      throw new HttpError(404, 'Producto no encontrado')
+    }
+
+    const product = await tx.products.update(id, { price })
+    await recordAudit(tx, req, { action: 'product.update', target: { type: 'product', id: product.id }, before, after: product })
+    return product
+  })
+
+  res.status(200).json({ message: 'Precio actualizado', product })
+})
+
+// Campos que puede cambiar quien solo tiene permiso de stock
+const STOCK_FIELDS = ['stock', 'lowStockThreshold']
+
+// PATCH: actualizar cualquier campo de un producto (ADMIN; EMPLEADO solo el stock y su umbral)
+// Un cambio de stock se registra como ajuste en el libro de movimientos
+app.patch('/products/:id', authenticateToken, requirePermission('products:write', 'products:stock'), validate(updateProductSchema), async (req, res) => {
+  const fields = Object.keys(req.body)
+  if (fields.length === 0) {
+    throw new HttpError(400, 'No hay campos para actualizar')
+  }
+
+  if (!hasPermission(req.user.role, 'products:write') && fields.some(field => !STOCK_FIELDS.includes(field))) {
+    throw new HttpError(403, 'Acceso denegado. Solo puedes modificar el stock')
   }
 
-  products[index].price = price
-  await writeFile('./data/products.json', JSON.stringify(products, null, 2))
-  res.status(200).json({ message: 'Precio actualizado', product: products[index] })
+  const { stock, ...changes } = req.body
+
+  const product = await db.transaction(async (tx) => {
+    const before = await tx.products.findById(req.params.id)
+    if (!before) {
+      throw new HttpError(404, 'Producto no encontrado')
+    }
+
+    let product = before
+    if (stock !== undefined) {
+      product = await setStock(tx, product, stock, { userId: req.user.id, reason: 'Edición del producto' })
+    }
+    if (Object.keys(changes).length > 0) product = await tx.products.update(product.id, changes)
+
+    await recordAudit(tx, req, { action: 'product.update', target: { type: 'product', id: product.id }, before, after: product })
+    return product
+  })
+
+  res.status(200).json({ message: 'Producto actualizado', product })
 })
 
-// DELETE: eliminar usuario (ADMIN)
-app.delete('/users/:id', authenticateToken, isAdmin, async (req, res) => {
-  const { id } = req.params
-  const userSales = sales.filter(s => s.userId == id)
+// POST: reponer stock de un producto (ADMIN y EMPLEADO)
+app.post('/products/:id/restock', authenticateToken, requirePermission('products:stock'), validate(restockSchema), async (req, res) => {
+  const { quantity, reason } = req.body
+
+  const product = await db.transaction(async (tx) => {
+    const product = await tx.products.findById(req.params.id)
+    if (!product) {
+      throw new HttpError(404, 'Producto no encontrado')
+    }
+    const restocked = await moveStock(tx, product, { type: 'restock', quantity, userId: req.user.id, reason: reason || '' })
+    await recordAudit(tx, req, {
+      action: 'product.restock',
+      target: { type: 'product', id: product.id },
+      before: product,
+      after: restocked,
+      details: { quantity, reason: reason || '' }
+    })
+    return restocked
+  })
+
+  res.status(200).json({ message: 'Stock repuesto', product })
+})
+
+// POST: ajustar el stock por rotura, pérdida o diferencia de inventario (ADMIN y EMPLEADO)
+app.post('/products/:id/adjust', authenticateToken, requirePermission('products:stock'), validate(adjustStockSchema), async (req, res) => {
+  const { quantity, reason } = req.body
+  if (quantity === 0) {
+    throw new HttpError(400, 'Hay datos inválidos en la solicitud', {
+      code: 'VALIDATION_ERROR',
+      fields: { quantity: 'No puede ser 0' }
+    })
+  }
+
+  const product = await db.transaction(async (tx) => {
+    const product = await tx.products.findById(req.params.id)
+    if (!product) {
+      throw new HttpError(404, 'Producto no encontrado')
+    }
+    const adjusted = await moveStock(tx, product, { type: 'adjustment', quantity, userId: req.user.id, reason })
+    await recordAudit(tx, req, {
+      action: 'product.adjust',
+      target: { type: 'product', id: product.id },
+      before: product,
+      after: adjusted,
+      details: { quantity, reason }
+    })
+    return adjusted
+  })
+
+  res.status(200).json({ message: 'Stock ajustado', product })
+})
+
+// GET: movimientos de stock de un producto, del más reciente al más antiguo (ADMIN y EMPLEADO)
+app.get('/products/:id/stock-movements', authenticateToken, requirePermission('products:stock'), validate(idParams), async (req, res) => {
+  const product = await db.products.findById(req.params.id)
+  if (!product) {
+    throw new HttpError(404, 'Producto no encontrado')
+  }
+
+  const movements = await db.stockMovements.findByProductId(product.id)
+  const users = await db.users.findAll()
+  const [reconciliation] = reconcileStock([product], movements)
+
+  res.status(200).json({
+    productId: product.id,
+    name: product.name,
+    stock: product.stock,
+    ledgerStock: reconciliation.ledgerStock,
+    movements: movements.reverse().map(movement => {
+      const user = users.find(u => u.id === movement.userId)
+      return { ...movement, typeLabel: MOVEMENT_TYPES[movement.type], userName: user ? user.name : null }
+    })
+  })
+})
+
+// Archiva o restaura el producto de req.params.id y lo registra en la auditoría
+const setArchived = (req, action, changes) => db.transaction(async (tx) => {
+  const before = await tx.products.findById(req.params.id)
+  if (!before) {
+    throw new HttpError(404, 'Producto no encontrado')
+  }
+
+  const product = await tx.products.update(before.id, changes)
+  await recordAudit(tx, req, { action, target: { type: 'product', id: product.id }, before, after: product })
+  return product
+})
+
+// DELETE: archivar un producto (ADMIN)
+// No se borra para que las ventas y órdenes anteriores sigan mostrando su nombre
+app.delete('/products/:id', authenticateToken, requirePermission('products:write'), validate(idParams), async (req, res) => {
+  const product = await setArchived(req, 'product.archive', { archived: true, archivedAt: new Date().toISOString() })
+  res.status(200).json({ message: 'Producto archivado', product })
+})
+
+// POST: volver a poner a la venta un producto archivado (ADMIN)
+app.post('/products/:id/restore', authenticateToken, requirePermission('products:write'), validate(idParams), async (req, res) => {
+  const product = await setArchived(req, 'product.restore', { archived: false, archivedAt: null })
+  res.status(200).json({ message: 'Producto restaurado', product })
+})
+
+// === CUPONES Y PROMOCIONES (ADMIN) ===
+
+// Errores de reglas entre campos (ver couponProblems, zoneProblems...) con el mismo formato que validate
+const checkFieldProblems = (fields) => {
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, 'Hay datos inválidos en la solicitud', { code: 'VALIDATION_ERROR', fields })
+  }
+}
+
+const checkCouponCode = async (tx, code, exceptId = null) => {
+  const existing = await tx.coupons.findByCode(code)
+  if (existing && existing.id !== exceptId) {
+    throw new HttpError(409, `Ya existe un cupón con el código ${code}`, {
+      code: 'COUPON_CODE_TAKEN',
+      fields: { code: 'Ya existe un cupón con este código' }
+    })
+  }
+}
+
+// GET: cupones con la cantidad de órdenes que los usaron
+app.get('/coupons', authenticateToken, requirePermission('promotions:manage'), async (req, res) => {
+  const [coupons, orders] = await Promise.all([db.coupons.findAll(), db.orders.findAll()])
+  res.status(200).json(coupons.map(coupon => ({ ...coupon, uses: couponUses(coupon, orders).length })))
+})
+
+// POST: crear un cupón
+app.post('/coupons', authenticateToken, requirePermission('promotions:manage'), validate(createCouponSchema), async (req, res) => {
+  checkFieldProblems(couponProblems(req.body))
+  const values = couponRecord(req.body)
+
+  const coupon = await db.transaction(async (tx) => {
+    await checkCouponCode(tx, values.code)
+    const now = new Date().toISOString()
+    const coupon = await tx.coupons.create({ ...values, createdAt: now, updatedAt: now })
+    await recordAudit(tx, req, { action: 'coupon.create', target: { type: 'coupon', id: coupon.id }, after: coupon })
+    return coupon
+  })
+  res.status(201).json({ message: 'Cupón creado', coupon })
+})
+
+// PUT: reemplazar los datos de un cupón
+app.put('/coupons/:id', authenticateToken, requirePermission('promotions:manage'), validate(updateCouponSchema), async (req, res) => {
+  checkFieldProblems(couponProblems(req.body))
+  const values = couponRecord(req.body)
+
+  const coupon = await db.transaction(async (tx) => {
+    const before = await tx.coupons.findById(req.params.id)
+    if (!before) {
+      throw new HttpError(404, 'Cupón no encontrado')
+    }
+    await checkCouponCode(tx, values.code, req.params.id)
+    const coupon = await tx.coupons.update(before.id, { ...values, updatedAt: new Date().toISOString() })
+    await recordAudit(tx, req, { action: 'coupon.update', target: { type: 'coupon', id: coupon.id }, before, after: coupon })
+    return coupon
+  })
+  res.status(200).json({ message: 'Cupón actualizado', coupon })
+})
+
+// DELETE: eliminar un cupón que nunca se usó (los usados se desactivan con PUT active=false)
+app.delete('/coupons/:id', authenticateToken, requirePermission('promotions:manage'), validate(idParams), async (req, res) => {
+  await db.transaction(async (tx) => {
+    const coupon = await tx.coupons.findById(req.params.id)
+    if (!coupon) {
+      throw new HttpError(404, 'Cupón no encontrado')
+    }
+    if ((await tx.orders.findAll()).some(o => o.couponId === coupon.id)) {
+      throw new HttpError(409, 'El cupón ya se usó en órdenes: desactívalo en lugar de eliminarlo', { code: 'COUPON_IN_USE' })
+    }
+    await tx.coupons.delete(coupon.id)
+    await recordAudit(tx, req, { action: 'coupon.delete', target: { type: 'coupon', id: coupon.id }, before: coupon })
+  })
+  res.status(200).json({ message: 'Cupón eliminado' })
+})
+
+// GET: todas las promociones, vigentes o no
+app.get('/promotions', authenticateToken, requirePermission('promotions:manage'), async (req, res) => {
+  res.status(200).json(await db.promotions.findAll())
+})
+
+// POST: crear una promoción automática
+app.post('/promotions', authenticateToken, requirePermission('promotions:manage'), validate(createPromotionSchema), async (req, res) => {
+  checkFieldProblems(promotionProblems(req.body))
+  const promotion = await db.transaction(async (tx) => {
+    const now = new Date().toISOString()
+    const promotion = await tx.promotions.create({ ...promotionRecord(req.body), createdAt: now, updatedAt: now })
+    await recordAudit(tx, req, { action: 'promotion.create', target: { type: 'promotion', id: promotion.id }, after: promotion })
+    return promotion
+  })
+  res.status(201).json({ message: 'Promoción creada', promotion })
+})
+
+// PUT: reemplazar los datos de una promoción
+app.put('/promotions/:id', authenticateToken, requirePermission('promotions:manage'), validate(updatePromotionSchema), async (req, res) => {
+  checkFieldProblems(promotionProblems(req.body))
+  const promotion = await db.transaction(async (tx) => {
+    const before = await tx.promotions.findById(req.params.id)
+    if (!before) {
+      throw new HttpError(404, 'Promoción no encontrada')
+    }
+    const promotion = await tx.promotions.update(before.id, { ...promotionRecord(req.body), updatedAt: new Date().toISOString() })
+    await recordAudit(tx, req, { action: 'promotion.update', target: { type: 'promotion', id: promotion.id }, before, after: promotion })
+    return promotion
+  })
+  res.status(200).json({ message: 'Promoción actualizada', promotion })
+})
+
+// DELETE: eliminar una promoción. Las órdenes conservan el nombre y el monto del descuento
+app.delete('/promotions/:id', authenticateToken, requirePermission('promotions:manage'), validate(idParams), async (req, res) => {
+  await db.transaction(async (tx) => {
+    const promotion = await tx.promotions.findById(req.params.id)
+    if (!promotion) {
+      throw new HttpError(404, 'Promoción no encontrada')
+    }
+    await tx.promotions.delete(promotion.id)
+    await recordAudit(tx, req, { action: 'promotion.delete', target: { type: 'promotion', id: promotion.id }, before: promotion })
+  })
+  res.status(200).json({ message: 'Promoción eliminada' })
+})
+
+// === IVA Y ENVÍOS (ADMIN) ===
+
+// GET: alícuotas por categoría, la que se usa para las demás y las permitidas
+app.get('/tax-rates', authenticateToken, requirePermission('pricing:manage'), async (req, res) => {
+  res.status(200).json({ rates: await db.taxRates.findAll(), defaultRate: DEFAULT_TAX_RATE, allowedRates: TAX_RATES })
+})
+
+// PUT: reemplazar todas las alícuotas. Las órdenes ya creadas conservan el IVA que se les cobró
+app.put('/tax-rates', authenticateToken, requirePermission('pricing:manage'), validate(taxRatesSchema), async (req, res) => {
+  checkFieldProblems(taxRateProblems(req.body.rates))
 
-  if (userSales.length > 0) {
-    return res.status(400).json({ error: 'No se puede eliminar el usuario con ventas registradas' })
+  // En la auditoría los cambios quedan por categoría: { Audio: { from: 21, to: 10.5 } }
+  const byCategory = (rates) => Object.fromEntries(rates.map(({ category, rate }) => [category, rate]))
+
+  const rates = await db.transaction(async (tx) => {
+    const previous = await tx.taxRates.findAll()
+    for (const rate of previous) {
+      await tx.taxRates.delete(rate.id)
+    }
+    const saved = []
+    for (const { category, rate } of req.body.rates) {
+      saved.push(await tx.taxRates.create({ category, rate }))
+    }
+    await recordAudit(tx, req, {
+      action: 'tax_rates.update',
+      target: { type: 'taxRates' },
+      before: byCategory(previous),
+      after: byCategory(saved)
+    })
+    return saved
+  })
+  res.status(200).json({ message: 'Alícuotas actualizadas', rates })
+})
+
+// GET: zonas de envío
+app.get('/shipping-zones', authenticateToken, requirePermission('pricing:manage'), async (req, res) => {
+  res.status(200).json(await db.shippingZones.findAll())
+})
+
+// POST: crear una zona de envío
+app.post('/shipping-zones', authenticateToken, requirePermission('pricing:manage'), validate(createShippingZoneSchema), async (req, res) => {
+  const zone = await db.transaction(async (tx) => {
+    checkFieldProblems(zoneProblems(req.body, await tx.shippingZones.findAll()))
+    const now = new Date().toISOString()
+    const zone = await tx.shippingZones.create({ ...zoneRecord(req.body), createdAt: now, updatedAt: now })
+    await recordAudit(tx, req, { action: 'shipping_zone.create', target: { type: 'shippingZone', id: zone.id }, after: zone })
+    return zone
+  })
+  res.status(201).json({ message: 'Zona de envío creada', zone })
+})
+
+// PUT: reemplazar los datos de una zona de envío
+app.put('/shipping-zones/:id', authenticateToken, requirePermission('pricing:manage'), validate(updateShippingZoneSchema), async (req, res) => {
+  const zone = await db.transaction(async (tx) => {
+    const before = await tx.shippingZones.findById(req.params.id)
+    if (!before) {
+      throw new HttpError(404, 'Zona de envío no encontrada')
+    }
+    checkFieldProblems(zoneProblems(req.body, await tx.shippingZones.findAll(), req.params.id))
+    const zone = await tx.shippingZones.update(before.id, { ...zoneRecord(req.body), updatedAt: new Date().toISOString() })
+    await recordAudit(tx, req, { action: 'shipping_zone.update', target: { type: 'shippingZone', id: zone.id }, before, after: zone })
+    return zone
+  })
+  res.status(200).json({ message: 'Zona de envío actualizada', zone })
+})
+
+// DELETE: eliminar una zona. Sus provincias quedan sin envío hasta que se agreguen a otra
+app.delete('/shipping-zones/:id', authenticateToken, requirePermission('pricing:manage'), validate(idParams), async (req, res) => {
+  await db.transaction(async (tx) => {
+    const zone = await tx.shippingZones.findById(req.params.id)
+    if (!zone) {
+      throw new HttpError(404, 'Zona de envío no encontrada')
+    }
+    await tx.shippingZones.delete(zone.id)
+    await recordAudit(tx, req, { action: 'shipping_zone.delete', target: { type: 'shippingZone', id: zone.id }, before: zone })
+  })
+  res.status(200).json({ message: 'Zona de envío eliminada' })
+})
+
+// GET: buscar usuarios, con filtros y paginación (ADMIN)
+// ?q=texto&role=customer&disabled=true&page=1&pageSize=20
+app.get('/users', authenticateToken, requirePermission('users:read'), validate(listUsersSchema), async (req, res) => {
+  const { page = 1, pageSize = 20, ...filters } = req.query
+
+  const { items, total } = await db.users.search({ ...filters, page, pageSize })
+  res.status(200).json({
+    items: items.map(publicUser),
+    total,
+    page,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize)
+  })
+})
+
+// GET: detalle de un usuario con el resumen de sus compras (ADMIN)
+app.get('/users/:id', authenticateToken, requirePermission('users:read'), validate(idParams), async (req, res) => {
+  const user = await db.users.findById(req.params.id)
+  if (!user) {
+    throw new HttpError(404, 'Usuario no encontrado')
   }
 
-  const index = users.findIndex(u => u.id == id)
-  if (index === -1) {
-    return res.status(404).json({ error: 'Usuario no encontrado' })
+  const sales = await db.sales.findByUserId(user.id)
+  const products = await db.products.findAll()
+  const legacyOrders = sales
+    .filter(sale => !sale.orderId)
+    .map(sale => legacyOrderFromSale(sale, products.find(p => p.id === sale.productId)))
+
+  // Con alguna venta registrada (salesCount) el usuario no se puede eliminar
+  res.status(200).json({
+    user: publicUser(user),
+    orders: customerOrderSummary(await db.orders.findByUserId(user.id), legacyOrders),
+    salesCount: sales.length
+  })
+})
+
+// PATCH: deshabilitar o habilitar una cuenta (ADMIN). Deshabilitarla cierra sus sesiones y bloquea el login
+app.patch('/users/:id/status', authenticateToken, requirePermission('users:manage'), validate(userStatusSchema), async (req, res) => {
+  const { disabled } = req.body
+
+  if (req.params.id === req.user.id) {
+    throw new HttpError(409, 'No puedes deshabilitar tu propia cuenta', { code: 'CANNOT_DISABLE_OWN_ACCOUNT' })
   }
 
-  users.splice(index, 1)
-  await writeFile('./data/users.json', JSON.stringify(users, null, 2))
+  const user = await db.transaction(async (tx) => {
+    const before = await tx.users.findById(req.params.id)
+    if (!before) {
+      throw new HttpError(404, 'Usuario no encontrado')
+    }
+
+    const updated = await tx.users.update(before.id, { disabled, disabledAt: disabled ? new Date().toISOString() : null })
+    if (disabled) await revokeUserSessions(tx, updated.id)
+    await recordAudit(tx, req, {
+      action: disabled ? 'user.disable' : 'user.enable',
+      target: { type: 'user', id: updated.id },
+      before,
+      after: updated
+    })
+    return updated
+  })
+
+  res.status(200).json({ message: disabled ? 'Cuenta deshabilitada' : 'Cuenta habilitada', user: publicUser(user) })
+})
+
+// DELETE: eliminar usuario (ADMIN)
+app.delete('/users/:id', authenticateToken, requirePermission('users:delete'), validate(idParams), async (req, res) => {
+  await db.transaction(async (tx) => {
+    const deleted = await deleteAccount(tx, req.params.id)
+    await recordAudit(tx, req, { action: 'user.delete', target: { type: 'user', id: deleted.id }, before: deleted })
+  })
   res.status(200).json({ message: 'Usuario eliminado correctamente' })
 })
 
+// PATCH: cambiar el rol de un usuario (ADMIN)
+app.patch('/users/:id/role', authenticateToken, requirePermission('users:manage'), validate(changeRoleSchema), async (req, res) => {
+  // Evita que un admin se quite sus propios permisos y deje la tienda sin administradores
+  if (req.params.id === req.user.id) {
+    throw new HttpError(409, 'No puedes cambiar tu propio rol', { code: 'CANNOT_CHANGE_OWN_ROLE' })
+  }
+
+  const user = await db.transaction(async (tx) => {
+    const before = await tx.users.findById(req.params.id)
+    if (!before) {
+      throw new HttpError(404, 'Usuario no encontrado')
+    }
+
+    const user = await tx.users.update(before.id, { role: req.body.role })
+    await recordAudit(tx, req, { action: 'user.role_change', target: { type: 'user', id: user.id }, before, after: user })
+    return user
+  })
+
+  res.status(200).json({ message: 'Rol actualizado', user: publicUser(user) })
+})
+
+// GET: listar órdenes, opcionalmente filtradas por estado (ADMIN y EMPLEADO)
+app.get('/orders', authenticateToken, requirePermission('orders:read'), validate(listOrdersSchema), async (req, res) => {
+  const { status } = req.query
+
+  const orders = await db.orders.findAll()
+  res.status(200).json(status ? orders.filter(o => o.status === status) : orders)
+})
+
+// PATCH: cambiar el estado de una orden (ADMIN y EMPLEADO)
+app.patch('/orders/:id/status', authenticateToken, requirePermission('orders:manage'), validate(orderStatusSchema), async (req, res) => {
+  const { status, note } = req.body
+
+  const order = await db.transaction(async (tx) => {
+    const order = await tx.orders.findById(req.params.id)
+    if (!order) {
+      throw new HttpError(404, 'Orden no encontrada')
+    }
+
+    if (!canTransition(order.status, status)) {
+      throw new HttpError(409, `No se puede pasar una orden de ${order.status} a ${status}`, { code: 'INVALID_TRANSITION' })
+    }
+
+    // Devolver al stock lo que la orden había descontado
+    if (RESTOCK_STATUSES.includes(status)) {
+      await returnOrderStock(tx, order, {
+        userId: req.user.id,
+        reason: `Orden ${order.number} ${status === 'cancelled' ? 'cancelada' : 'reembolsada'}`
+      })
+    }
+
+    const date = new Date().toISOString()
+    const entry = { status, date, userId: req.user.id }
+    if (note) entry.note = note
+
+    // En la auditoría alcanza con el estado: el historial completo ya está en la orden
+    await recordAudit(tx, req, {
+      action: 'order.status_change',
+      target: { type: 'order', id: order.id },
+      before: { status: order.status },
+      after: { status },
+      details: note ? { note } : null
+    })
+
+    return tx.orders.update(order.id, {
+      status,
+      statusHistory: [...(order.statusHistory || []), entry],
+      updatedAt: date
+    })
+  })
+
+  res.status(200).json({ message: 'Estado actualizado', order })
+})
+
 // GET: obtener todas las ventas (ADMIN)
-app.get('/sales', authenticateToken, isAdmin, (req, res) => {
-  res.status(200).json(sales)
+app.get('/sales', authenticateToken, requirePermission('sales:read'), async (req, res) => {
+  res.status(200).json(await db.sales.findAll())
+})
+
+// === REPORTES DE VENTAS (ADMIN) ===
+// Todas aceptan ?from=AAAA-MM-DD&to=AAAA-MM-DD y cuentan solo las órdenes pagas (ver countedSales)
+
+const checkDateRange = ({ from, to }) => {
+  if (from && to && from > to) {
+    throw new HttpError(400, 'Hay datos inválidos en la solicitud', {
+      code: 'VALIDATION_ERROR',
+      fields: { to: 'Debe ser igual o posterior a from' }
+    })
+  }
+}
+
+const salesInRange = async ({ from, to }) => {
+  checkDateRange({ from, to })
+  return countedSales(await db.sales.findAll(), await db.orders.findAll(), { from, to })
+}
+
+// GET: ingresos, cantidad de compras, unidades y ticket promedio
+app.get('/analytics/summary', authenticateToken, requirePermission('sales:read'), validate(analyticsSchema), async (req, res) => {
+  res.status(200).json(salesSummary(await salesInRange(req.query)))
+})
+
+// GET: ingresos por período (?groupBy=day|week|month)
+app.get('/analytics/revenue', authenticateToken, requirePermission('sales:read'), validate(analyticsSchema), async (req, res) => {
+  res.status(200).json(revenueByPeriod(await salesInRange(req.query), req.query.groupBy))
+})
+
+// GET: productos más vendidos por ingresos (?limit=5)
+app.get('/analytics/top-products', authenticateToken, requirePermission('sales:read'), validate(analyticsSchema), async (req, res) => {
+  const sales = await salesInRange(req.query)
+  res.status(200).json(topProducts(sales, await db.products.findAll(), req.query.limit))
+})
+
+// GET: ingresos por categoría
+app.get('/analytics/categories', authenticateToken, requirePermission('sales:read'), validate(analyticsSchema), async (req, res) => {
+  const sales = await salesInRange(req.query)
+  res.status(200).json(revenueByCategory(sales, await db.products.findAll()))
+})
+
+// GET: clientes que más compraron (?limit=5)
+app.get('/analytics/top-customers', authenticateToken, requirePermission('sales:read'), validate(analyticsSchema), async (req, res) => {
+  const sales = await salesInRange(req.query)
+  res.status(200).json(topCustomers(sales, await db.users.findAll(), req.query.limit))
+})
+
+// === INVENTARIO (ADMIN y EMPLEADO) ===
+
+// GET: productos a la venta con stock en o por debajo de su umbral, los más urgentes primero
+app.get('/inventory/low-stock', authenticateToken, requirePermission('products:stock'), async (req, res) => {
+  const products = await db.products.findActive()
+  res.status(200).json(
+    products
+      .filter(p => p.stock <= lowStockThreshold(p))
+      .sort((a, b) => a.stock - b.stock)
+      .map(p => ({ ...p, lowStockThreshold: lowStockThreshold(p) }))
+  )
+})
+
+// GET: compara el stock de cada producto con la suma de su libro de movimientos.
+// Devuelve solo los que no coinciden (?all=true para ver todos)
+app.get('/inventory/reconciliation', authenticateToken, requirePermission('products:stock'), validate(reconciliationSchema), async (req, res) => {
+  const rows = reconcileStock(await db.products.findAll(), await db.stockMovements.findAll())
+  const mismatches = rows.filter(row => row.difference !== 0)
+
+  res.status(200).json({
+    checked: rows.length,
+    mismatches: mismatches.length,
+    products: req.query.all ? rows : mismatches
+  })
+})
+
+// === EXPORTACIÓN (CSV o XLSX con ?format=) ===
+
+// GET: ventas con nombres de producto y cliente; incluye las de órdenes canceladas, con su estado
+app.get('/export/sales', authenticateToken, requirePermission('sales:read'), validate(exportSalesSchema), async (req, res) => {
+  const { format = 'csv', from, to } = req.query
+  checkDateRange({ from, to })
+
+  const sales = (await db.sales.findAll()).filter(sale => {
+    const day = sale.date.slice(0, 10)
+    return (!from || day >= from) && (!to || day <= to)
+  })
+
+  const rows = salesRows(sales, {
+    products: await db.products.findAll(),
+    users: await db.users.findAll(),
+    orders: await db.orders.findAll()
+  })
+
+  const range = from || to ? `-${from || 'inicio'}-a-${to || 'hoy'}` : ''
+  await sendTable(res, { format, filename: `ventas${range}`, sheet: 'Ventas', columns: SALES_COLUMNS, rows })
+})
+
+// GET: catálogo completo, incluidos los archivados
+app.get('/export/products', authenticateToken, requirePermission('products:write'), validate(exportProductsSchema), async (req, res) => {
+  const { format = 'csv' } = req.query
+  const rows = productRows(await db.products.findAll())
+  await sendTable(res, { format, filename: 'productos', sheet: 'Productos', columns: PRODUCT_COLUMNS, rows })
+})
+
+// === AUDITORÍA (ADMIN, ver audit.js) ===
+
+// GET: acciones registradas, de la más reciente a la más antigua
+// ?actorId=1&action=product.update&targetType=product&targetId=5&from=2025-10-01&to=2025-10-31&page=1&pageSize=50
+app.get('/audit-logs', authenticateToken, requirePermission('audit:read'), validate(listAuditLogsSchema), async (req, res) => {
+  const { page = 1, pageSize = 50, ...filters } = req.query
+  checkDateRange(filters)
+
+  const { items, total } = await db.auditLogs.search({ ...filters, page, pageSize })
+  res.status(200).json({ items, total, page, pageSize, totalPages: Math.ceil(total / pageSize) })
 })
 
 // === RUTA DE PRUEBA ===
@@ -354,9 +1577,18 @@ app.get('/', (req, res) => {
     message: 'API E-commerce TechStore',
     version: '2.0',
     endpoints: {
-      public: ['/products', '/categories', '/auth/login', '/auth/register'],
-      protected: ['/orders', '/orders/my-orders', '/auth/profile'],
-      admin: ['/sales', '/users/:id', '/products/:id']
+      public: ['/products', '/categories', '/auth/login', '/auth/register', '/auth/refresh', '/auth/forgot-password', '/auth/reset-password', '/auth/verify-email', '/cart/quote', '/promotions/active', '/shipping/provinces', '/payments/webhook'],
+      protected: ['/orders', '/reservations', '/cart', '/cart/items', '/cart/items/:id', '/cart/merge', '/cart/reorder', '/orders/my-orders', '/orders/:id', '/orders/:id/payment', '/auth/profile', '/auth/profile/addresses', '/auth/profile/addresses/:id', '/auth/password', '/auth/logout', '/auth/sessions', '/auth/sessions/:id', '/auth/resend-verification'],
+      admin: ['/sales', '/inventory/low-stock', '/inventory/reconciliation', '/products/:id/restock', '/products/:id/adjust', '/products/:id/stock-movements', '/export/sales', '/export/products', '/products/import', '/analytics/summary', '/analytics/revenue', '/analytics/top-products', '/analytics/categories', '/analytics/top-customers', '/coupons', '/coupons/:id', '/promotions', '/promotions/:id', '/tax-rates', '/shipping-zones', '/shipping-zones/:id', '/users', '/users/:id', '/users/:id/status', '/users/:id/role', '/audit-logs', '/products', '/products/:id', '/products/archived', '/orders', '/orders/:id/status']
     }
   })
-})
\ No newline at end of file
+})
+
+// === MANEJO DE ERRORES ===
+
+// Ruta inexistente
+app.use((req, res) => {
+  throw new HttpError(404, `Ruta no encontrada: ${req.method} ${req.path}`)
+})
+
+app.use(errorHandler)
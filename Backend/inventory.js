@@ -0,0 +1,83 @@
+import { HttpError } from './errors.js'
+
+// Tipos de movimiento de stock. quantity es positiva si entra mercadería y negativa si sale
+export const MOVEMENT_TYPES = {
+  initial: 'Stock inicial',
+  sale: 'Venta',
+  restock: 'Reposición',
+  adjustment: 'Ajuste',
+  return: 'Devolución'
+}
+
+// Umbral de stock bajo para los productos que no tienen uno propio
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5
+
+export const lowStockThreshold = (product) => product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD
+
+// Cambia el stock de un producto y lo registra en el libro de movimientos. Se usa dentro de una transacción.
+// Los productos anteriores al libro no tienen movimientos: antes del primero se registra su stock como inicial
+export const moveStock = async (tx, product, { type, quantity, userId = null, reason = '', orderId = null }) => {
+  const stock = product.stock + quantity
+  if (stock < 0) {
+    throw new HttpError(409, `El stock de ${product.name} no puede quedar negativo. Disponible: ${product.stock}`, {
+      code: 'NEGATIVE_STOCK'
+    })
+  }
+
+  const date = new Date().toISOString()
+  const movements = await tx.stockMovements.findByProductId(product.id)
+  if (movements.length === 0 && product.stock !== 0) {
+    await tx.stockMovements.create({
+      productId: product.id,
+      type: 'initial',
+      quantity: product.stock,
+      stockAfter: product.stock,
+      userId: null,
+      reason: 'Stock previo al registro de movimientos',
+      orderId: null,
+      date
+    })
+  }
+
+  await tx.stockMovements.create({ productId: product.id, type, quantity, stockAfter: stock, userId, reason, orderId, date })
+  return tx.products.update(product.id, { stock })
+}
+
+// Devuelve al stock lo que había descontado una orden cancelada o reembolsada
+export const returnOrderStock = async (tx, order, { userId = null, reason }) => {
+  for (const line of order.lines) {
+    const product = await tx.products.findById(line.productId)
+    if (product) {
+      await moveStock(tx, product, { type: 'return', quantity: line.quantity, userId, reason, orderId: order.id })
+    }
+  }
+}
+
+// Crea un producto registrando su stock como movimiento inicial
+export const createProductWithStock = async (tx, { stock, ...values }, { userId, reason }) => {
+  const product = await tx.products.create({ ...values, stock: 0 })
+  if (stock === 0) return product
+  return moveStock(tx, product, { type: 'initial', quantity: stock, userId, reason })
+}
+
+// Lleva el stock a un valor exacto (edición del producto o import) registrando la diferencia como ajuste
+export const setStock = async (tx, product, stock, { userId, reason }) => {
+  if (stock === product.stock) return product
+  return moveStock(tx, product, { type: 'adjustment', quantity: stock - product.stock, userId, reason })
+}
+
+// Compara el stock de cada producto con la suma de sus movimientos.
+// Un producto sin movimientos no tiene con qué compararse y se da por conciliado
+export const reconcileStock = (products, movements) => products.map(product => {
+  const own = movements.filter(m => m.productId === product.id)
+  const ledgerStock = own.length > 0 ? own.reduce((sum, m) => sum + m.quantity, 0) : product.stock
+
+  return {
+    productId: product.id,
+    name: product.name,
+    stock: product.stock,
+    ledgerStock,
+    difference: product.stock - ledgerStock,
+    movements: own.length
+  }
+})
@@ -0,0 +1,62 @@
+import crypto from 'crypto'
+import { mkdir, writeFile } from 'fs/promises'
+import path from 'path'
+
+// Un transporte es un objeto con send({ from, to, subject, text }).
+// Para usar SMTP u otro servicio alcanza con agregar uno a TRANSPORTS
+
+// Los encabezados de un .eml solo admiten ASCII: el resto va codificado (RFC 2047)
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`
+
+// Guarda cada mensaje como un archivo .eml, que se puede abrir con cualquier cliente de correo
+const outboxTransport = () => {
+  const dir = process.env.MAIL_OUTBOX_DIR || './outbox'
+
+  return {
+    send: async ({ from, to, subject, text }) => {
+      const date = new Date()
+      const file = path.join(dir, `${date.getTime()}-${crypto.randomBytes(4).toString('hex')}.eml`)
+      const content = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        text
+      ].join('\r\n')
+
+      await mkdir(dir, { recursive: true })
+      await writeFile(file, content)
+    }
+  }
+}
+
+const consoleTransport = () => ({
+  send: async ({ to, subject, text }) => {
+    console.log(`=== Email para ${to}: ${subject} ===\n${text}\n`)
+  }
+})
+
+const TRANSPORTS = {
+  outbox: outboxTransport,
+  console: consoleTransport
+}
+
+// MAIL_DRIVER elige el transporte (outbox por defecto)
+export const createMailer = (transport) => {
+  if (!transport) {
+    const driver = process.env.MAIL_DRIVER || 'outbox'
+    if (!TRANSPORTS[driver]) throw new Error(`MAIL_DRIVER desconocido: ${driver}`)
+    transport = TRANSPORTS[driver]()
+  }
+
+  const from = process.env.MAIL_FROM || 'TechStore <no-reply@techstore.local>'
+
+  return {
+    send: (message) => transport.send({ from, ...message })
+  }
+}
@@ -0,0 +1,40 @@
+import dotenv from 'dotenv'
+import { readFile } from 'fs/promises'
+import { openDatabase, importData, TABLES } from './repositories/sqlite.js'
+
+dotenv.config()
+
+// Importa los archivos data/*.json a la base SQLite configurada en SQLITE_FILE.
+// Uso: npm run migrate:sqlite [-- --force]
+const main = async () => {
+  const dataDir = process.env.DATA_DIR || './data'
+  const file = process.env.SQLITE_FILE || './data/techstore.db'
+  const replace = process.argv.includes('--force')
+
+  const data = {}
+  for (const name of Object.keys(TABLES)) {
+    try {
+      data[name] = JSON.parse(await readFile(`${dataDir}/${name}.json`, 'utf-8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+      data[name] = []
+    }
+  }
+
+  const db = openDatabase(file)
+  try {
+    importData(db, data, { replace })
+  } finally {
+    db.close()
+  }
+
+  for (const [name, rows] of Object.entries(data)) {
+    console.log(`${name}: ${rows.length} registros importados`)
+  }
+  console.log(`\nBase de datos lista en ${file}. Usar DB_DRIVER=sqlite en .env para activarla`)
+}
+
+main().catch(error => {
+  console.error('Error en la migración:', error.message)
+  process.exit(1)
+})
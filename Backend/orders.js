@@ -0,0 +1,81 @@
+// Número visible de la orden, derivado de su id (ORD-000017)
+export const formatOrderNumber = (id) => `ORD-${String(id).padStart(6, '0')}`
+
+// Las ventas anteriores a las órdenes no tienen orderId: cada una se muestra como una orden de una línea
+export const legacyOrderFromSale = (sale, product) => ({
+  id: null,
+  number: null,
+  legacy: true,
+  userId: sale.userId,
+  status: null,
+  itemCount: sale.quantity,
+  total: sale.total,
+  createdAt: sale.date,
+  updatedAt: sale.date,
+  lines: [{
+    productId: sale.productId,
+    productName: product ? product.name : 'Producto no encontrado',
+    unitPrice: sale.total / sale.quantity,
+    quantity: sale.quantity,
+    subtotal: sale.total
+  }]
+})
+
+// Agrega la imagen actual de cada producto a las líneas de la orden
+export const withProductImages = (order, products) => ({
+  ...order,
+  lines: order.lines.map(line => {
+    const product = products.find(p => p.id === line.productId)
+    return { ...line, productImage: product ? product.image : null }
+  })
+})
+
+// Estados posibles de una orden y a cuáles puede pasar desde cada uno
+export const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['preparing', 'refunded'],
+  preparing: ['shipped', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+}
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS)
+
+// Al cancelar o reembolsar se devuelve el stock de las líneas
+export const RESTOCK_STATUSES = ['cancelled', 'refunded']
+
+// Estados de una orden cobrada y no devuelta: solo estas cuentan como venta en los reportes y en lo gastado
+export const PAID_STATUSES = ['paid', 'preparing', 'shipped', 'delivered']
+
+export const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to)
+
+// Resumen de las compras de un cliente para el panel de usuarios. legacyOrders son sus ventas sin orderId
+// (ver legacyOrderFromSale) y cuentan como una compra paga cada una, como en los reportes. La cantidad y lo
+// gastado cuentan solo las compras pagas; byStatus tiene las órdenes y las recientes muestran todo
+export const customerOrderSummary = (orders, legacyOrders = []) => {
+  const byStatus = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]))
+  for (const order of orders) byStatus[order.status]++
+
+  const paid = [...orders.filter(o => PAID_STATUSES.includes(o.status)), ...legacyOrders]
+  const recent = [...orders, ...legacyOrders].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+  return {
+    orderCount: paid.length,
+    totalSpent: paid.reduce((sum, o) => sum + o.total, 0),
+    lastOrderAt: recent.length > 0 ? recent[0].createdAt : null,
+    byStatus,
+    recentOrders: recent.slice(0, 5).map(order => ({
+      id: order.id,
+      number: order.number,
+      legacy: Boolean(order.legacy),
+      // Las compras anteriores no tienen número: se muestran por su producto
+      productName: order.legacy ? order.lines[0].productName : null,
+      status: order.status,
+      paymentStatus: order.paymentStatus ?? null,
+      itemCount: order.itemCount,
+      total: order.total,
+      createdAt: order.createdAt
+    }))
+  }
+}
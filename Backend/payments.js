@@ -0,0 +1,216 @@
+import crypto from 'crypto'
+import { HttpError } from './errors.js'
+import { returnOrderStock } from './inventory.js'
+
+// Cobro de las órdenes con un proveedor externo, con el flujo de Mercado Pago:
+//   1. createPreference: se registra el cobro (monto y orden) y el cliente va a checkoutUrl a pagar
+//   2. el proveedor avisa por webhook (POST /payments/webhook) el id del pago, firmado en x-signature
+//   3. getPayment: se consulta el pago al proveedor y se actualiza la orden (ver recordPayment)
+// Un proveedor es un objeto con name, createPreference, verifyNotification y getPayment.
+// Para usar otro servicio alcanza con agregar uno a PROVIDERS
+
+// Estados de un pago: pending (en proceso), approved o rejected
+export const PAYMENT_STATUSES = ['pending', 'approved', 'rejected']
+
+// Se leen al usarse porque dotenv se carga después de los imports
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`
+const webhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || 'clave_de_webhooks_cambiar_en_produccion'
+
+// Minutos que una orden puede quedar pendiente de pago antes de cancelarse (60 por defecto)
+const paymentTtlMinutes = () => Number(process.env.ORDER_PAYMENT_TTL_MINUTES) || 60
+
+// Antigüedad máxima de una notificación firmada, para que no se pueda reenviar una vieja
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000
+
+// Firma HMAC-SHA256 del texto "id:<pago>;request-id:<x-request-id>;ts:<ts>;", como la de Mercado Pago.
+// El header x-signature llega como "ts=<ts>,v1=<firma>"
+const sign = ({ dataId, requestId, ts }) =>
+  crypto.createHmac('sha256', webhookSecret()).update(`id:${dataId};request-id:${requestId};ts:${ts};`).digest('hex')
+
+export const signatureHeaders = (dataId) => {
+  const requestId = crypto.randomUUID()
+  const ts = String(Date.now())
+  return { 'x-request-id': requestId, 'x-signature': `ts=${ts},v1=${sign({ dataId, requestId, ts })}` }
+}
+
+export const verifySignature = (headers, dataId) => {
+  const parts = Object.fromEntries(
+    String(headers['x-signature'] || '').split(',').map(part => part.trim().split('='))
+  )
+  if (!parts.ts || !parts.v1 || Math.abs(Date.now() - Number(parts.ts)) > SIGNATURE_TOLERANCE_MS) return false
+
+  const expected = Buffer.from(sign({ dataId, requestId: headers['x-request-id'] || '', ts: parts.ts }))
+  const received = Buffer.from(parts.v1)
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+
+// Pasarela local para desarrollo y pruebas: guarda preferencias y pagos en memoria (se pierden al reiniciar)
+// y muestra una página donde se aprueba o rechaza el pago (GET /payments/mock/:preferenceId)
+const mockProvider = () => {
+  const preferences = new Map()
+  const payments = new Map()
+  let lastPaymentId = 0
+
+  // Avisa al webhook como lo haría el proveedor real
+  const notify = async (url, paymentId) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...signatureHeaders(paymentId) },
+      body: JSON.stringify({ type: 'payment', action: 'payment.created', data: { id: paymentId } })
+    })
+    if (!response.ok) throw new Error(`El webhook respondió ${response.status}`)
+  }
+
+  return {
+    name: 'mock',
+
+    createPreference: async ({ orderId, title, amount, backUrl, notificationUrl }) => {
+      const id = `mock-${crypto.randomBytes(8).toString('hex')}`
+      preferences.set(id, { id, orderId, title, amount, backUrl, notificationUrl })
+      return { id, checkoutUrl: `${apiUrl()}/payments/mock/${id}` }
+    },
+
+    verifyNotification: ({ headers, dataId }) => verifySignature(headers, dataId),
+
+    getPayment: async (id) => payments.get(String(id)) || null,
+
+    // Solo del mock: la página de pago y lo que pasa al elegir una opción
+    findPreference: (id) => preferences.get(id) || null,
+
+    checkoutPage: (preference) => `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><title>Pasarela de prueba</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto; text-align: center">
+  <h1>Pasarela de prueba</h1>
+  <p>${escapeHtml(preference.title)}</p>
+  <p style="font-size: 2em; font-weight: bold">$${preference.amount.toLocaleString('es-AR')}</p>
+  <form method="post">
+    <button name="status" value="approved" style="padding: 10px 20px">Aprobar pago</button>
+    <button name="status" value="rejected" style="padding: 10px 20px">Rechazar pago</button>
+  </form>
+</body>
+</html>`,
+
+    // Crea el pago con el resultado elegido y lo notifica al webhook antes de volver a la tienda
+    pay: async (preference, status) => {
+      const payment = {
+        id: String(++lastPaymentId),
+        status,
+        externalReference: preference.orderId,
+        amount: preference.amount,
+        preferenceId: preference.id,
+        date: new Date().toISOString()
+      }
+      payments.set(payment.id, payment)
+      await notify(preference.notificationUrl, payment.id)
+      return payment
+    }
+  }
+}
+
+const PROVIDERS = {
+  mock: mockProvider
+}
+
+// PAYMENT_PROVIDER elige el proveedor (mock por defecto)
+export const createPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || 'mock'
+  if (!PROVIDERS[name]) throw new Error(`PAYMENT_PROVIDER desconocido: ${name}`)
+  return PROVIDERS[name]()
+}
+
+// Datos para crear la preferencia de una orden. Al volver del pago el frontend recibe ?order=<id>&payment=<estado>
+export const preferenceFor = (order, appUrl) => ({
+  orderId: order.id,
+  title: `TechStore - Orden ${order.number}`,
+  amount: order.total,
+  backUrl: `${appUrl}/?order=${order.id}`,
+  notificationUrl: `${apiUrl()}/payments/webhook`
+})
+
+// Cancela una orden que no se pagó y devuelve su stock, para que no quede retenido por una compra que no
+// se va a cobrar. changes agrega otros campos a la misma actualización
+const cancelUnpaidOrder = async (tx, order, { note, changes = {} }) => {
+  const date = new Date().toISOString()
+  await returnOrderStock(tx, order, { reason: `Orden ${order.number} cancelada` })
+  return tx.orders.update(order.id, {
+    ...changes,
+    status: 'cancelled',
+    statusHistory: [...(order.statusHistory || []), { status: 'cancelled', date, userId: null, note }],
+    updatedAt: date
+  })
+}
+
+// Cancela las órdenes pendientes que superaron el plazo de pago. Se llama cada minuto dentro de una transacción
+export const cancelExpiredOrders = async (tx) => {
+  const limit = new Date(Date.now() - paymentTtlMinutes() * 60 * 1000).toISOString()
+  const expired = (await tx.orders.findAll()).filter(o => o.status === 'pending' && o.createdAt < limit)
+  for (const order of expired) {
+    await cancelUnpaidOrder(tx, order, { note: 'Venció el plazo de pago' })
+  }
+  return expired.length
+}
+
+// Guarda el pago informado por el proveedor y actualiza la orden. Un aviso repetido encuentra el pago
+// ya guardado con el mismo estado y no cambia nada. Solo una orden pendiente pasa a paid; un pago rechazado
+// la cancela y devuelve el stock. Si la orden ya se había cancelado el pago queda registrado para devolverlo a mano
+export const recordPayment = async (tx, providerName, payment) => {
+  const order = await tx.orders.findById(payment.externalReference)
+  if (!order) {
+    throw new HttpError(404, 'Orden no encontrada')
+  }
+
+  const existing = await tx.payments.findByExternalId(providerName, payment.id)
+  if (existing && existing.status === payment.status) {
+    return { payment: existing, order, duplicate: true }
+  }
+
+  const now = new Date().toISOString()
+  const saved = existing
+    ? await tx.payments.update(existing.id, { status: payment.status, updatedAt: now })
+    : await tx.payments.create({
+      orderId: order.id,
+      provider: providerName,
+      externalId: payment.id,
+      preferenceId: payment.preferenceId || null,
+      status: payment.status,
+      amount: payment.amount,
+      createdAt: now,
+      updatedAt: now
+    })
+
+  if (order.status !== 'pending' || order.paymentStatus === 'approved') {
+    return { payment: saved, order, duplicate: false }
+  }
+
+  if (payment.status === 'approved' && payment.amount !== order.total) {
+    // Un monto distinto no paga la orden: se cancela y el pago se revisa a mano
+    console.error(`El pago ${payment.id} de la orden ${order.number} no coincide con el total`)
+    const cancelled = await cancelUnpaidOrder(tx, order, {
+      note: `El pago ${payment.id} no coincide con el total`,
+      changes: { paymentStatus: 'rejected' }
+    })
+    return { payment: saved, order: cancelled, duplicate: false }
+  }
+  if (payment.status === 'rejected') {
+    const cancelled = await cancelUnpaidOrder(tx, order, {
+      note: `Pago ${payment.id} rechazado`,
+      changes: { paymentStatus: 'rejected' }
+    })
+    return { payment: saved, order: cancelled, duplicate: false }
+  }
+
+  let changes = { paymentStatus: payment.status, updatedAt: now }
+  if (payment.status === 'approved') {
+    changes = {
+      ...changes,
+      status: 'paid',
+      paidAt: now,
+      statusHistory: [...(order.statusHistory || []), { status: 'paid', date: now, userId: null, note: `Pago ${payment.id} aprobado` }]
+    }
+  }
+
+  return { payment: saved, order: await tx.orders.update(order.id, changes), duplicate: false }
+}
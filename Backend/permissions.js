@@ -0,0 +1,27 @@
+// Permisos que usan las rutas (ver requirePermission en index.js)
+export const PERMISSIONS = {
+  'products:write': 'Crear, editar, archivar y restaurar productos',
+  'products:stock': 'Actualizar el stock de los productos',
+  'orders:read': 'Ver las órdenes de todos los clientes',
+  'orders:manage': 'Cambiar el estado de las órdenes',
+  'sales:read': 'Ver el listado de ventas',
+  'promotions:manage': 'Crear y editar cupones y promociones',
+  'pricing:manage': 'Configurar las alícuotas de IVA y los costos de envío',
+  'users:read': 'Ver el listado y el detalle de los usuarios',
+  'users:delete': 'Eliminar usuarios',
+  'users:manage': 'Cambiar el rol de los usuarios y deshabilitar o habilitar cuentas',
+  'audit:read': 'Ver el registro de auditoría'
+}
+
+// Permisos de cada rol. El empleado maneja stock y órdenes, pero no el catálogo ni los usuarios
+const ROLE_PERMISSIONS = {
+  customer: [],
+  employee: ['products:stock', 'orders:read', 'orders:manage'],
+  admin: Object.keys(PERMISSIONS)
+}
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS)
+
+export const permissionsFor = (role) => ROLE_PERMISSIONS[role] || []
+
+export const hasPermission = (role, permission) => permissionsFor(role).includes(permission)
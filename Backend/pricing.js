@@ -0,0 +1,137 @@
+import { reservedQuantities, withAvailability } from './reservations.js'
+import { normalizeCouponCode, applyPromotions, couponProblem, applyCoupon } from './discounts.js'
+import { applyTaxes } from './taxes.js'
+import { quoteShipping } from './shipping.js'
+
+// Los precios siempre salen de los productos guardados: del carrito del cliente solo se toman id y cantidad
+
+// Línea de orden con una copia del nombre y el precio actuales del producto
+export const orderLine = (product, quantity) => ({
+  productId: product.id,
+  productName: product.name,
+  unitPrice: product.price,
+  quantity,
+  subtotal: product.price * quantity
+})
+
+// discount es la suma de promociones y cupón de cada línea y tax el IVA sobre lo que queda
+export const orderTotals = (lines, shippingCost = 0) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.subtotal, 0)
+  const discountTotal = lines.reduce((sum, line) => sum + (line.discount || 0), 0)
+  const taxTotal = lines.reduce((sum, line) => sum + (line.tax || 0), 0)
+  return {
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal,
+    discountTotal,
+    taxTotal,
+    shippingCost,
+    total: subtotal - discountTotal + taxTotal + shippingCost
+  }
+}
+
+// Precio final de los productos (en el orden de items) con las promociones vigentes, el cupón, el IVA
+// y el envío a province. Un cupón que no se puede usar no se aplica y se informa en couponError;
+// sin province el envío queda en null y no se suma
+export const priceOrder = async (repos, products, items, { couponCode, userId, province }) => {
+  const promoted = applyPromotions(
+    items.map((item, index) => orderLine(products[index], item.quantity)),
+    products,
+    await repos.promotions.findAll()
+  )
+  let { lines } = promoted
+  const discounts = [...promoted.discounts]
+  let coupon = null
+  let couponError = null
+  let freeShipping = false
+
+  if (couponCode) {
+    coupon = await repos.coupons.findByCode(normalizeCouponCode(couponCode))
+    couponError = userId
+      ? couponProblem(coupon, { userId, orders: await repos.orders.findAll(), lines, products })
+      : { code: 'COUPON_LOGIN_REQUIRED', message: 'Inicia sesión para usar un cupón' }
+
+    if (!couponError) {
+      const applied = applyCoupon(coupon, lines, products)
+      lines = applied.lines
+      discounts.push(applied.discount)
+      freeShipping = applied.freeShipping
+    }
+  }
+
+  lines = applyTaxes(lines, products, await repos.taxRates.findAll())
+
+  const { shipping = null, error: shippingError = null } = province
+    ? quoteShipping(await repos.shippingZones.findAll(), province, { lines, products, freeShipping })
+    : {}
+
+  return {
+    lines,
+    ...orderTotals(lines, shipping ? shipping.cost : 0),
+    discounts,
+    coupon: coupon && !couponError ? { id: coupon.id, code: coupon.code } : null,
+    couponError,
+    freeShipping,
+    shipping,
+    shippingError
+  }
+}
+
+// Presupuesto del carrito antes de comprar. No falla: informa en issues lo que impediría la orden
+// o lo que cambió desde que el cliente armó el carrito (price es el precio que vio, opcional).
+// Las claves de field son las mismas que devuelve POST /orders (items.0.quantity)
+export const quoteCart = async (repos, items, { userId = null, couponCode, province } = {}) => {
+  const reserved = reservedQuantities(await repos.reservations.findAll(), { exceptUserId: userId })
+  const products = []
+  const quoted = []
+  const issues = []
+
+  for (const [index, item] of items.entries()) {
+    const product = await repos.products.findById(item.id)
+
+    if (!product) {
+      issues.push({ field: `items.${index}.id`, code: 'PRODUCT_NOT_FOUND', message: `Producto ${item.id} no encontrado` })
+      continue
+    }
+    if (product.archived) {
+      issues.push({ field: `items.${index}.id`, code: 'PRODUCT_UNAVAILABLE', message: `${product.name} ya no está disponible` })
+      continue
+    }
+
+    const { available } = withAvailability(product, reserved)
+    if (available < item.quantity) {
+      issues.push({
+        field: `items.${index}.quantity`,
+        code: 'INSUFFICIENT_STOCK',
+        message: `Stock insuficiente para ${product.name}. Disponible: ${available}`
+      })
+    }
+
+    const priceChanged = item.price !== undefined && item.price !== product.price
+    if (priceChanged) {
+      issues.push({
+        field: `items.${index}.price`,
+        code: 'PRICE_CHANGED',
+        message: `El precio de ${product.name} cambió de $${item.price} a $${product.price}`
+      })
+    }
+
+    products.push(product)
+    quoted.push({ item, available, previousPrice: priceChanged ? item.price : null })
+  }
+
+  const priced = await priceOrder(repos, products, quoted.map(q => q.item), { couponCode, userId, province })
+
+  return {
+    ...priced,
+    lines: priced.lines.map((line, index) => ({
+      ...line,
+      productImage: products[index].image || null,
+      available: quoted[index].available,
+      previousPrice: quoted[index].previousPrice
+    })),
+    issues,
+    // Un cambio de precio no impide comprar, pero el cliente tiene que volver a confirmar
+    changed: issues.length > 0,
+    canOrder: issues.every(issue => issue.code === 'PRICE_CHANGED')
+  }
+}
@@ -0,0 +1,10 @@
+// Cola que ejecuta las tareas de a una, en el orden en que llegan
+export const createQueue = () => {
+  let tail = Promise.resolve()
+
+  return (task) => {
+    const run = tail.then(task)
+    tail = run.catch(() => {})
+    return run
+  }
+}
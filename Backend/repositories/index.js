@@ -0,0 +1,41 @@
+import { openJsonRepositories } from './json.js'
+
+// Todas las implementaciones exponen los mismos repositorios y devuelven promesas:
+//
+//   products, users, sales, orders, sessions, accountTokens, stockMovements, reservations, cartItems,
+//   coupons, promotions, taxRates, shippingZones, payments, idempotencyKeys, addresses:  findAll(), findById(id), create(valores), update(id, cambios), delete(id)
+//   products.findActive(), products.findCategories()  (sin archivados)
+//   products.search({ q, category, minPrice, maxPrice, inStock, sort, page, pageSize }) -> { items, total }
+//   users.findByEmail(email), users.search({ q, role, disabled, page, pageSize }) -> { items, total }
+//   sales.findByUserId(userId)
+//   orders.findByUserId(userId)
+//   sessions.findByTokenHash(hash), sessions.findByUserId(userId)
+//   accountTokens.findByTokenHash(hash), accountTokens.findByUserId(userId)
+//   stockMovements.findByProductId(productId)
+//   reservations.findByUserId(userId), cartItems.findByUserId(userId), addresses.findByUserId(userId)
+//   coupons.findByCode(code)
+//   payments.findByOrderId(orderId), payments.findByExternalId(provider, externalId)
+//   idempotencyKeys.findByKey(userId, key)  (userId null para solicitudes sin sesión)
+//   auditLogs: findAll(), findById(id), create(valores) y search({ actorId, action, targetType, targetId, from, to, page, pageSize }) -> { items, total }
+//     (sin update ni delete: el registro de auditoría solo crece)
+//
+//   transaction(fn): ejecuta fn(tx) con acceso exclusivo y confirma todo junto o nada.
+//   Dentro de fn se usa solo tx (tx.products, tx.users, ...), nunca los repositorios de afuera.
+//
+// Los métodos devuelven copias: para cambiar un registro hay que llamar a update.
+
+export const openRepositories = async () => {
+  const driver = process.env.DB_DRIVER || 'json'
+
+  if (driver === 'json') {
+    return openJsonRepositories(process.env.DATA_DIR || './data')
+  }
+
+  if (driver === 'sqlite') {
+    // Se carga solo si se usa, así el driver json no depende del módulo nativo
+    const { openSqliteRepositories } = await import('./sqlite.js')
+    return openSqliteRepositories(process.env.SQLITE_FILE || './data/techstore.db')
+  }
+
+  throw new Error(`DB_DRIVER desconocido: ${driver}`)
+}
@@ -0,0 +1,242 @@
+import { openStorage } from '../storage.js'
+import { normalizeText } from './text.js'
+
+// Colecciones guardadas como <nombre>.json en el directorio de datos
+export const COLLECTIONS = ['products', 'users', 'sales', 'orders', 'sessions', 'accountTokens', 'stockMovements', 'reservations', 'cartItems', 'coupons', 'promotions', 'taxRates', 'shippingZones', 'payments', 'idempotencyKeys', 'addresses', 'auditLogs']
+
+// Se devuelven copias para que nadie modifique los datos sin pasar por el repositorio
+const clone = (value) => value === undefined ? null : structuredClone(value)
+
+const nextId = (items) => items.reduce((max, item) => Math.max(max, item.id), 0) + 1
+
+// Operaciones comunes a todas las colecciones.
+// ctx.data tiene los arrays en memoria y ctx.write(nombre, fn) ejecuta una modificación:
+// fn recibe el array que se puede modificar (la copia de la transacción, ver storage.js)
+const collection = (ctx, name) => {
+  const byId = (items, id) => items.find(item => item.id === Number(id))
+
+  return {
+    findAll: async () => clone(ctx.data[name]),
+
+    findById: async (id) => clone(byId(ctx.data[name], id)),
+
+    create: async (values) => ctx.write(name, (items) => {
+      const item = { id: nextId(items), ...values }
+      items.push(item)
+      return clone(item)
+    }),
+
+    update: async (id, changes) => ctx.write(name, (items) => {
+      const item = byId(items, id)
+      if (!item) return null
+      Object.assign(item, changes)
+      return clone(item)
+    }),
+
+    delete: async (id) => ctx.write(name, (items) => {
+      const index = items.findIndex(item => item.id === Number(id))
+      if (index === -1) return false
+      items.splice(index, 1)
+      return true
+    })
+  }
+}
+
+const productRepository = (ctx) => ({
+  ...collection(ctx, 'products'),
+
+  // Los productos archivados no se venden pero siguen existiendo para el historial
+  findActive: async () => clone(ctx.data.products.filter(p => !p.archived)),
+
+  findCategories: async () => [...new Set(ctx.data.products.filter(p => !p.archived).map(p => p.category))],
+
+  search: async ({ q, category, minPrice, maxPrice, inStock, sort, page, pageSize }) => {
+    const text = q ? normalizeText(q) : null
+    const matches = ctx.data.products.filter(p =>
+      !p.archived &&
+      (!text || normalizeText(p.name).includes(text)) &&
+      (!category || p.category === category) &&
+      (minPrice === undefined || p.price >= minPrice) &&
+      (maxPrice === undefined || p.price <= maxPrice) &&
+      (!inStock || p.stock > 0)
+    )
+
+    // sort es el campo, con - adelante para orden descendente; el id desempata
+    if (sort) {
+      const field = sort.replace(/^-/, '')
+      const direction = sort.startsWith('-') ? -1 : 1
+      const compare = field === 'name'
+        ? (a, b) => a.name.localeCompare(b.name, 'es', { sensitivity: 'base' })
+        : (a, b) => a[field] - b[field]
+      matches.sort((a, b) => compare(a, b) * direction || a.id - b.id)
+    }
+
+    const start = (page - 1) * pageSize
+    return { items: clone(matches.slice(start, start + pageSize)), total: matches.length }
+  }
+})
+
+const userRepository = (ctx) => ({
+  ...collection(ctx, 'users'),
+
+  findByEmail: async (email) => clone(ctx.data.users.find(u => u.email === email)),
+
+  // q busca en el nombre y el email; disabled filtra cuentas deshabilitadas (true) o activas (false)
+  search: async ({ q, role, disabled, page, pageSize }) => {
+    const text = q ? normalizeText(q) : null
+    const matches = ctx.data.users.filter(u =>
+      (!text || normalizeText(u.name).includes(text) || normalizeText(u.email).includes(text)) &&
+      (!role || u.role === role) &&
+      (disabled === undefined || Boolean(u.disabled) === disabled)
+    )
+
+    const start = (page - 1) * pageSize
+    return { items: clone(matches.slice(start, start + pageSize)), total: matches.length }
+  }
+})
+
+const saleRepository = (ctx) => ({
+  ...collection(ctx, 'sales'),
+
+  findByUserId: async (userId) => clone(ctx.data.sales.filter(s => s.userId === Number(userId)))
+})
+
+const orderRepository = (ctx) => ({
+  ...collection(ctx, 'orders'),
+
+  findByUserId: async (userId) => clone(ctx.data.orders.filter(o => o.userId === Number(userId)))
+})
+
+const sessionRepository = (ctx) => ({
+  ...collection(ctx, 'sessions'),
+
+  // Incluye el hash anterior para detectar la reutilización de un token ya rotado
+  findByTokenHash: async (hash) =>
+    clone(ctx.data.sessions.find(s => s.tokenHash === hash || s.previousTokenHash === hash)),
+
+  findByUserId: async (userId) => clone(ctx.data.sessions.filter(s => s.userId === Number(userId)))
+})
+
+const accountTokenRepository = (ctx) => ({
+  ...collection(ctx, 'accountTokens'),
+
+  findByTokenHash: async (hash) => clone(ctx.data.accountTokens.find(t => t.tokenHash === hash)),
+
+  findByUserId: async (userId) => clone(ctx.data.accountTokens.filter(t => t.userId === Number(userId)))
+})
+
+const stockMovementRepository = (ctx) => ({
+  ...collection(ctx, 'stockMovements'),
+
+  findByProductId: async (productId) =>
+    clone(ctx.data.stockMovements.filter(m => m.productId === Number(productId)))
+})
+
+const reservationRepository = (ctx) => ({
+  ...collection(ctx, 'reservations'),
+
+  findByUserId: async (userId) => clone(ctx.data.reservations.filter(r => r.userId === Number(userId)))
+})
+
+const cartItemRepository = (ctx) => ({
+  ...collection(ctx, 'cartItems'),
+
+  findByUserId: async (userId) => clone(ctx.data.cartItems.filter(i => i.userId === Number(userId)))
+})
+
+const couponRepository = (ctx) => ({
+  ...collection(ctx, 'coupons'),
+
+  findByCode: async (code) => clone(ctx.data.coupons.find(c => c.code === code))
+})
+
+const paymentRepository = (ctx) => ({
+  ...collection(ctx, 'payments'),
+
+  findByOrderId: async (orderId) => clone(ctx.data.payments.filter(p => p.orderId === Number(orderId))),
+
+  findByExternalId: async (provider, externalId) =>
+    clone(ctx.data.payments.find(p => p.provider === provider && p.externalId === externalId))
+})
+
+const idempotencyKeyRepository = (ctx) => ({
+  ...collection(ctx, 'idempotencyKeys'),
+
+  findByKey: async (userId, key) =>
+    clone(ctx.data.idempotencyKeys.find(k => k.userId === (userId === null ? null : Number(userId)) && k.key === key))
+})
+
+const addressRepository = (ctx) => ({
+  ...collection(ctx, 'addresses'),
+
+  findByUserId: async (userId) => clone(ctx.data.addresses.filter(a => a.userId === Number(userId)))
+})
+
+// Solo se agregan entradas: no expone update ni delete
+const auditLogRepository = (ctx) => {
+  const { findAll, findById, create } = collection(ctx, 'auditLogs')
+  return {
+    findAll,
+    findById,
+    create,
+
+    // Las más recientes primero; from y to (AAAA-MM-DD, inclusive) se comparan con el día de createdAt
+    search: async ({ actorId, action, targetType, targetId, from, to, page, pageSize }) => {
+      const matches = ctx.data.auditLogs.filter(entry => {
+        const day = entry.createdAt.slice(0, 10)
+        return (actorId === undefined || entry.actorId === actorId) &&
+          (!action || entry.action === action) &&
+          (!targetType || entry.targetType === targetType) &&
+          (targetId === undefined || entry.targetId === targetId) &&
+          (!from || day >= from) &&
+          (!to || day <= to)
+      }).reverse()
+
+      const start = (page - 1) * pageSize
+      return { items: clone(matches.slice(start, start + pageSize)), total: matches.length }
+    }
+  }
+}
+
+const bind = (ctx) => ({
+  products: productRepository(ctx),
+  users: userRepository(ctx),
+  sales: saleRepository(ctx),
+  orders: orderRepository(ctx),
+  sessions: sessionRepository(ctx),
+  accountTokens: accountTokenRepository(ctx),
+  stockMovements: stockMovementRepository(ctx),
+  reservations: reservationRepository(ctx),
+  cartItems: cartItemRepository(ctx),
+  coupons: couponRepository(ctx),
+  promotions: collection(ctx, 'promotions'),
+  taxRates: collection(ctx, 'taxRates'),
+  shippingZones: collection(ctx, 'shippingZones'),
+  payments: paymentRepository(ctx),
+  idempotencyKeys: idempotencyKeyRepository(ctx),
+  addresses: addressRepository(ctx),
+  auditLogs: auditLogRepository(ctx)
+})
+
+export const openJsonRepositories = async (dataDir) => {
+  const storage = await openStorage(dataDir, COLLECTIONS)
+
+  // Fuera de una transacción cada modificación se guarda por separado
+  const repositories = bind({
+    data: storage.data,
+    write: (name, fn) => storage.transaction(({ data, touch }) => {
+      touch(name)
+      return fn(data[name])
+    })
+  })
+
+  const transaction = (fn) => storage.transaction(({ data, touch }) => fn(bind({
+    data,
+    write: (name, fn) => {
+      touch(name)
+      return fn(data[name])
+    }
+  })))
+
+  return { ...repositories, transaction }
+}
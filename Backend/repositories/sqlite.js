@@ -0,0 +1,710 @@
+import Database from 'better-sqlite3'
+import { createQueue } from '../queue.js'
+import { normalizeText } from './text.js'
+
+// Cada migración se aplica una sola vez; PRAGMA user_version guarda cuántas se aplicaron
+const MIGRATIONS = [
+  `
+  CREATE TABLE products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    price REAL NOT NULL,
+    stock INTEGER NOT NULL DEFAULT 0,
+    image TEXT
+  );
+
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL UNIQUE,
+    password TEXT NOT NULL,
+    phone TEXT NOT NULL DEFAULT '',
+    address TEXT NOT NULL DEFAULT '',
+    role TEXT NOT NULL DEFAULT 'customer'
+  );
+
+  CREATE TABLE sales (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId INTEGER NOT NULL,
+    productId INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    total REAL NOT NULL,
+    date TEXT NOT NULL
+  );
+
+  CREATE INDEX sales_user_id ON sales (userId);
+  `,
+  `
+  CREATE TABLE orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    number TEXT UNIQUE,
+    userId INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    itemCount INTEGER NOT NULL,
+    total REAL NOT NULL,
+    lines TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL
+  );
+
+  CREATE INDEX orders_user_id ON orders (userId);
+
+  ALTER TABLE sales ADD COLUMN orderId INTEGER;
+  `,
+  `
+  ALTER TABLE orders ADD COLUMN statusHistory TEXT NOT NULL DEFAULT '[]';
+  `,
+  `
+  ALTER TABLE products ADD COLUMN archived INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE products ADD COLUMN archivedAt TEXT;
+  `,
+  `
+  CREATE TABLE sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId INTEGER NOT NULL,
+    tokenHash TEXT NOT NULL UNIQUE,
+    previousTokenHash TEXT,
+    userAgent TEXT NOT NULL DEFAULT '',
+    ip TEXT,
+    createdAt TEXT NOT NULL,
+    lastUsedAt TEXT NOT NULL,
+    expiresAt TEXT NOT NULL,
+    revokedAt TEXT
+  );
+
+  CREATE INDEX sessions_user_id ON sessions (userId);
+  CREATE INDEX sessions_previous_token_hash ON sessions (previousTokenHash);
+  `,
+  `
+  ALTER TABLE users ADD COLUMN emailVerified INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE users ADD COLUMN emailVerifiedAt TEXT;
+
+  CREATE TABLE accountTokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    tokenHash TEXT NOT NULL UNIQUE,
+    createdAt TEXT NOT NULL,
+    expiresAt TEXT NOT NULL,
+    usedAt TEXT
+  );
+
+  CREATE INDEX account_tokens_user_id ON accountTokens (userId);
+  `,
+  `
+  ALTER TABLE products ADD COLUMN lowStockThreshold INTEGER;
+
+  CREATE TABLE stockMovements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    productId INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    quantity INTEGER NOT NULL,
+    stockAfter INTEGER NOT NULL,
+    userId INTEGER,
+    reason TEXT NOT NULL DEFAULT '',
+    orderId INTEGER,
+    date TEXT NOT NULL
+  );
+
+  CREATE INDEX stock_movements_product_id ON stockMovements (productId);
+  `,
+  `
+  CREATE TABLE reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId INTEGER NOT NULL,
+    productId INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    createdAt TEXT NOT NULL,
+    expiresAt TEXT NOT NULL
+  );
+
+  CREATE INDEX reservations_user_id ON reservations (userId);
+  `,
+  `
+  CREATE TABLE cartItems (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId INTEGER NOT NULL,
+    productId INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    addedAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL,
+    UNIQUE (userId, productId)
+  );
+  `,
+  `
+  CREATE TABLE coupons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT NOT NULL UNIQUE,
+    description TEXT NOT NULL DEFAULT '',
+    type TEXT NOT NULL,
+    value REAL NOT NULL DEFAULT 0,
+    minOrderAmount REAL,
+    maxUses INTEGER,
+    maxUsesPerUser INTEGER,
+    categories TEXT NOT NULL DEFAULT '[]',
+    productIds TEXT NOT NULL DEFAULT '[]',
+    startsAt TEXT,
+    endsAt TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    createdAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL
+  );
+
+  CREATE TABLE promotions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    value REAL,
+    buyQuantity INTEGER,
+    payQuantity INTEGER,
+    categories TEXT NOT NULL DEFAULT '[]',
+    productIds TEXT NOT NULL DEFAULT '[]',
+    startsAt TEXT,
+    endsAt TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    createdAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL
+  );
+
+  ALTER TABLE orders ADD COLUMN subtotal REAL;
+  ALTER TABLE orders ADD COLUMN discountTotal REAL;
+  ALTER TABLE orders ADD COLUMN discounts TEXT;
+  ALTER TABLE orders ADD COLUMN couponId INTEGER;
+  ALTER TABLE orders ADD COLUMN couponCode TEXT;
+  `,
+  `
+  CREATE TABLE taxRates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    category TEXT NOT NULL UNIQUE,
+    rate REAL NOT NULL
+  );
+
+  CREATE TABLE shippingZones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    provinces TEXT NOT NULL DEFAULT '[]',
+    baseCost REAL NOT NULL,
+    costPerKg REAL NOT NULL DEFAULT 0,
+    freeFrom REAL,
+    createdAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL
+  );
+
+  ALTER TABLE products ADD COLUMN weight REAL;
+  ALTER TABLE orders ADD COLUMN taxTotal REAL;
+  ALTER TABLE orders ADD COLUMN shippingCost REAL;
+  ALTER TABLE orders ADD COLUMN shippingAddress TEXT;
+  ALTER TABLE orders ADD COLUMN shippingZone TEXT;
+  `,
+  `
+  CREATE TABLE payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    orderId INTEGER NOT NULL,
+    provider TEXT NOT NULL,
+    externalId TEXT NOT NULL,
+    preferenceId TEXT,
+    status TEXT NOT NULL,
+    amount REAL NOT NULL,
+    createdAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL,
+    UNIQUE (provider, externalId)
+  );
+  CREATE INDEX payments_order_id ON payments (orderId);
+
+  ALTER TABLE orders ADD COLUMN paymentStatus TEXT;
+  ALTER TABLE orders ADD COLUMN paidAt TEXT;
+  `,
+  `
+  CREATE TABLE idempotencyKeys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId INTEGER,
+    key TEXT NOT NULL,
+    requestHash TEXT NOT NULL,
+    status TEXT NOT NULL,
+    responseStatus INTEGER,
+    responseBody TEXT,
+    createdAt TEXT NOT NULL,
+    expiresAt TEXT NOT NULL,
+    UNIQUE (userId, key)
+  );
+  `,
+  `
+  CREATE TABLE addresses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId INTEGER NOT NULL,
+    label TEXT,
+    street TEXT NOT NULL,
+    number TEXT NOT NULL,
+    city TEXT NOT NULL,
+    province TEXT NOT NULL,
+    postalCode TEXT NOT NULL,
+    notes TEXT,
+    isDefault INTEGER NOT NULL DEFAULT 0,
+    createdAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL
+  );
+  CREATE INDEX addresses_user_id ON addresses (userId);
+  `,
+  `
+  ALTER TABLE users ADD COLUMN disabled INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE users ADD COLUMN disabledAt TEXT;
+  ALTER TABLE users ADD COLUMN createdAt TEXT;
+  `,
+  `
+  CREATE TABLE auditLogs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actorId INTEGER,
+    actorEmail TEXT,
+    action TEXT NOT NULL,
+    targetType TEXT,
+    targetId INTEGER,
+    changes TEXT,
+    details TEXT,
+    ip TEXT,
+    userAgent TEXT,
+    createdAt TEXT NOT NULL
+  );
+  CREATE INDEX audit_logs_actor_id ON auditLogs (actorId);
+  CREATE INDEX audit_logs_action ON auditLogs (action);
+  CREATE INDEX audit_logs_target ON auditLogs (targetType, targetId);
+  `,
+  `
+  ALTER TABLE idempotencyKeys ADD COLUMN ownerToken TEXT;
+  ALTER TABLE idempotencyKeys ADD COLUMN lockedUntil TEXT;
+  `
+]
+
+// Tablas y columnas que se guardan serializadas (json) o como 0/1 (boolean)
+export const TABLES = {
+  products: { boolean: ['archived'] },
+  users: { boolean: ['emailVerified', 'disabled'] },
+  sales: {},
+  orders: { json: ['lines', 'statusHistory', 'discounts', 'shippingAddress'] },
+  sessions: {},
+  accountTokens: {},
+  stockMovements: {},
+  reservations: {},
+  cartItems: {},
+  coupons: { json: ['categories', 'productIds'], boolean: ['active'] },
+  promotions: { json: ['categories', 'productIds'], boolean: ['active'] },
+  taxRates: {},
+  shippingZones: { json: ['provinces'] },
+  payments: {},
+  idempotencyKeys: { json: ['responseBody'] },
+  addresses: { boolean: ['isDefault'] },
+  auditLogs: { json: ['changes', 'details'] }
+}
+
+const migrate = (db) => {
+  const version = db.pragma('user_version', { simple: true })
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[i])
+      db.pragma(`user_version = ${i + 1}`)
+    })()
+  }
+}
+
+const codec = (db, name) => {
+  const { json = [], boolean = [] } = TABLES[name]
+  const columns = new Set(db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name))
+
+  const decode = (row) => {
+    if (!row) return null
+    for (const column of json) {
+      if (row[column] !== null) row[column] = JSON.parse(row[column])
+    }
+    for (const column of boolean) {
+      if (row[column] !== null) row[column] = Boolean(row[column])
+    }
+    return row
+  }
+
+  // Los nombres de columna se interpolan en el SQL: solo se aceptan los del esquema
+  const encode = (values) => {
+    const row = {}
+    for (const [column, value] of Object.entries(values)) {
+      if (value === undefined) continue
+      if (!columns.has(column)) throw new Error(`Columna desconocida en ${name}: ${column}`)
+      row[column] = json.includes(column) && value !== null
+        ? JSON.stringify(value)
+        : typeof value === 'boolean' ? Number(value) : value
+    }
+    return row
+  }
+
+  return { decode, encode }
+}
+
+// Operaciones comunes a todas las tablas.
+// ctx.db es la conexión para leer y ctx.write(fn) ejecuta una modificación con la de escritura (fn(conexión))
+const table = (ctx, name) => {
+  const { db } = ctx
+  const { decode, encode } = codec(db, name)
+
+  const all = (sql, ...params) => db.prepare(sql).all(...params).map(decode)
+  const get = (sql, ...params) => decode(db.prepare(sql).get(...params))
+  const findById = (conn, id) => decode(conn.prepare(`SELECT * FROM ${name} WHERE id = ?`).get(Number(id)))
+
+  const methods = {
+    findAll: async () => all(`SELECT * FROM ${name} ORDER BY id`),
+
+    findById: async (id) => findById(db, id),
+
+    create: async (values) => ctx.write((conn) => {
+      const row = encode(values)
+      const columns = Object.keys(row)
+      const { lastInsertRowid } = conn
+        .prepare(`INSERT INTO ${name} (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`)
+        .run(row)
+      return findById(conn, lastInsertRowid)
+    }),
+
+    update: async (id, changes) => ctx.write((conn) => {
+      const row = encode(changes)
+      const columns = Object.keys(row)
+      if (columns.length > 0) {
+        conn.prepare(`UPDATE ${name} SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+          .run({ ...row, id: Number(id) })
+      }
+      return findById(conn, id)
+    }),
+
+    delete: async (id) => ctx.write((conn) =>
+      conn.prepare(`DELETE FROM ${name} WHERE id = ?`).run(Number(id)).changes > 0
+    )
+  }
+
+  return { all, get, methods }
+}
+
+// Columnas por las que se puede ordenar la búsqueda de productos
+const PRODUCT_SORT_COLUMNS = {
+  price: 'price',
+  name: 'name COLLATE NOCASE',
+  stock: 'stock'
+}
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, (char) => '\\' + char)
+
+const productRepository = (ctx) => {
+  const { all, methods } = table(ctx, 'products')
+  return {
+    ...methods,
+
+    findActive: async () => all('SELECT * FROM products WHERE archived = 0 ORDER BY id'),
+
+    findCategories: async () => ctx.db
+      .prepare('SELECT category FROM products WHERE archived = 0 GROUP BY category ORDER BY MIN(id)')
+      .pluck()
+      .all(),
+
+    search: async ({ q, category, minPrice, maxPrice, inStock, sort, page, pageSize }) => {
+      const conditions = ['archived = 0']
+      const params = {}
+
+      if (q) {
+        conditions.push("normalize_text(name) LIKE @q ESCAPE '\\'")
+        params.q = `%${escapeLike(normalizeText(q))}%`
+      }
+      if (category) {
+        conditions.push('category = @category')
+        params.category = category
+      }
+      if (minPrice !== undefined) {
+        conditions.push('price >= @minPrice')
+        params.minPrice = minPrice
+      }
+      if (maxPrice !== undefined) {
+        conditions.push('price <= @maxPrice')
+        params.maxPrice = maxPrice
+      }
+      if (inStock) conditions.push('stock > 0')
+
+      const where = conditions.join(' AND ')
+      const orderBy = sort
+        ? `${PRODUCT_SORT_COLUMNS[sort.replace(/^-/, '')]} ${sort.startsWith('-') ? 'DESC' : 'ASC'}, id`
+        : 'id'
+
+      const total = ctx.db.prepare(`SELECT COUNT(*) FROM products WHERE ${where}`).pluck().get(params)
+      const items = all(
+        `SELECT * FROM products WHERE ${where} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`,
+        { ...params, limit: pageSize, offset: (page - 1) * pageSize }
+      )
+      return { items, total }
+    }
+  }
+}
+
+const userRepository = (ctx) => {
+  const { all, get, methods } = table(ctx, 'users')
+  return {
+    ...methods,
+
+    findByEmail: async (email) => get('SELECT * FROM users WHERE email = ?', email),
+
+    search: async ({ q, role, disabled, page, pageSize }) => {
+      const conditions = []
+      const params = {}
+
+      if (q) {
+        conditions.push("(normalize_text(name) LIKE @q ESCAPE '\\' OR normalize_text(email) LIKE @q ESCAPE '\\')")
+        params.q = `%${escapeLike(normalizeText(q))}%`
+      }
+      if (role) {
+        conditions.push('role = @role')
+        params.role = role
+      }
+      if (disabled !== undefined) {
+        conditions.push('disabled = @disabled')
+        params.disabled = disabled ? 1 : 0
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+      const total = ctx.db.prepare(`SELECT COUNT(*) FROM users ${where}`).pluck().get(params)
+      const items = all(
+        `SELECT * FROM users ${where} ORDER BY id LIMIT @limit OFFSET @offset`,
+        { ...params, limit: pageSize, offset: (page - 1) * pageSize }
+      )
+      return { items, total }
+    }
+  }
+}
+
+const saleRepository = (ctx) => {
+  const { all, methods } = table(ctx, 'sales')
+  return {
+    ...methods,
+
+    findByUserId: async (userId) => all('SELECT * FROM sales WHERE userId = ? ORDER BY id', Number(userId))
+  }
+}
+
+const orderRepository = (ctx) => {
+  const { all, methods } = table(ctx, 'orders')
+  return {
+    ...methods,
+
+    findByUserId: async (userId) => all('SELECT * FROM orders WHERE userId = ? ORDER BY id', Number(userId))
+  }
+}
+
+const sessionRepository = (ctx) => {
+  const { all, get, methods } = table(ctx, 'sessions')
+  return {
+    ...methods,
+
+    // Incluye el hash anterior para detectar la reutilización de un token ya rotado
+    findByTokenHash: async (hash) =>
+      get('SELECT * FROM sessions WHERE tokenHash = @hash OR previousTokenHash = @hash', { hash }),
+
+    findByUserId: async (userId) => all('SELECT * FROM sessions WHERE userId = ? ORDER BY id', Number(userId))
+  }
+}
+
+const accountTokenRepository = (ctx) => {
+  const { all, get, methods } = table(ctx, 'accountTokens')
+  return {
+    ...methods,
+
+    findByTokenHash: async (hash) => get('SELECT * FROM accountTokens WHERE tokenHash = ?', hash),
+
+    findByUserId: async (userId) => all('SELECT * FROM accountTokens WHERE userId = ? ORDER BY id', Number(userId))
+  }
+}
+
+const stockMovementRepository = (ctx) => {
+  const { all, methods } = table(ctx, 'stockMovements')
+  return {
+    ...methods,
+
+    findByProductId: async (productId) =>
+      all('SELECT * FROM stockMovements WHERE productId = ? ORDER BY id', Number(productId))
+  }
+}
+
+const reservationRepository = (ctx) => {
+  const { all, methods } = table(ctx, 'reservations')
+  return {
+    ...methods,
+
+    findByUserId: async (userId) => all('SELECT * FROM reservations WHERE userId = ? ORDER BY id', Number(userId))
+  }
+}
+
+const cartItemRepository = (ctx) => {
+  const { all, methods } = table(ctx, 'cartItems')
+  return {
+    ...methods,
+
+    findByUserId: async (userId) => all('SELECT * FROM cartItems WHERE userId = ? ORDER BY id', Number(userId))
+  }
+}
+
+const couponRepository = (ctx) => {
+  const { get, methods } = table(ctx, 'coupons')
+  return {
+    ...methods,
+
+    findByCode: async (code) => get('SELECT * FROM coupons WHERE code = ?', code)
+  }
+}
+
+const paymentRepository = (ctx) => {
+  const { all, get, methods } = table(ctx, 'payments')
+  return {
+    ...methods,
+
+    findByOrderId: async (orderId) => all('SELECT * FROM payments WHERE orderId = ? ORDER BY id', Number(orderId)),
+
+    findByExternalId: async (provider, externalId) =>
+      get('SELECT * FROM payments WHERE provider = ? AND externalId = ?', provider, externalId)
+  }
+}
+
+const idempotencyKeyRepository = (ctx) => {
+  const { get, methods } = table(ctx, 'idempotencyKeys')
+  return {
+    ...methods,
+
+    findByKey: async (userId, key) =>
+      get('SELECT * FROM idempotencyKeys WHERE userId IS ? AND key = ?', userId === null ? null : Number(userId), key)
+  }
+}
+
+const addressRepository = (ctx) => {
+  const { all, methods } = table(ctx, 'addresses')
+  return {
+    ...methods,
+
+    findByUserId: async (userId) => all('SELECT * FROM addresses WHERE userId = ? ORDER BY id', Number(userId))
+  }
+}
+
+// Solo se agregan entradas: no expone update ni delete
+const auditLogRepository = (ctx) => {
+  const { all, methods: { findAll, findById, create } } = table(ctx, 'auditLogs')
+  return {
+    findAll,
+    findById,
+    create,
+
+    search: async ({ actorId, action, targetType, targetId, from, to, page, pageSize }) => {
+      const conditions = []
+      const params = {}
+
+      if (actorId !== undefined) {
+        conditions.push('actorId = @actorId')
+        params.actorId = actorId
+      }
+      if (action) {
+        conditions.push('action = @action')
+        params.action = action
+      }
+      if (targetType) {
+        conditions.push('targetType = @targetType')
+        params.targetType = targetType
+      }
+      if (targetId !== undefined) {
+        conditions.push('targetId = @targetId')
+        params.targetId = targetId
+      }
+      if (from) {
+        conditions.push('substr(createdAt, 1, 10) >= @from')
+        params.from = from
+      }
+      if (to) {
+        conditions.push('substr(createdAt, 1, 10) <= @to')
+        params.to = to
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+      const total = ctx.db.prepare(`SELECT COUNT(*) FROM auditLogs ${where}`).pluck().get(params)
+      const items = all(
+        `SELECT * FROM auditLogs ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`,
+        { ...params, limit: pageSize, offset: (page - 1) * pageSize }
+      )
+      return { items, total }
+    }
+  }
+}
+
+const bind = (ctx) => ({
+  products: productRepository(ctx),
+  users: userRepository(ctx),
+  sales: saleRepository(ctx),
+  orders: orderRepository(ctx),
+  sessions: sessionRepository(ctx),
+  accountTokens: accountTokenRepository(ctx),
+  stockMovements: stockMovementRepository(ctx),
+  reservations: reservationRepository(ctx),
+  cartItems: cartItemRepository(ctx),
+  coupons: couponRepository(ctx),
+  promotions: table(ctx, 'promotions').methods,
+  taxRates: table(ctx, 'taxRates').methods,
+  shippingZones: table(ctx, 'shippingZones').methods,
+  payments: paymentRepository(ctx),
+  idempotencyKeys: idempotencyKeyRepository(ctx),
+  addresses: addressRepository(ctx),
+  auditLogs: auditLogRepository(ctx)
+})
+
+const addFunctions = (db) =>
+  db.function('normalize_text', { deterministic: true }, (text) => text === null ? null : normalizeText(text))
+
+export const openDatabase = (file) => {
+  const db = new Database(file)
+  db.pragma('journal_mode = WAL')
+  addFunctions(db)
+  migrate(db)
+  return db
+}
+
+export const openSqliteRepositories = async (file) => {
+  const db = openDatabase(file)
+
+  // Las lecturas fuera de una transacción van por otra conexión, de solo lectura: con WAL ve lo último
+  // confirmado y no lo que una transacción en curso escribió y todavía puede deshacer (igual que el driver JSON)
+  const reader = new Database(file, { readonly: true })
+  addFunctions(reader)
+
+  // Una sola conexión de escritura: las escrituras se encolan para que no caigan dentro de una transacción ajena
+  const enqueue = createQueue()
+  const repositories = bind({ db: reader, write: (fn) => enqueue(() => fn(db)) })
+
+  const transaction = (fn) => enqueue(async () => {
+    db.exec('BEGIN IMMEDIATE')
+    try {
+      const result = await fn(bind({ db, write: (fn) => fn(db) }))
+      db.exec('COMMIT')
+      return result
+    } catch (error) {
+      if (db.inTransaction) db.exec('ROLLBACK')
+      throw error
+    }
+  })
+
+  return { ...repositories, transaction }
+}
+
+// Inserta las filas conservando sus ids; con replace vacía antes las tablas
+export const importData = (db, data, { replace = false } = {}) => {
+  db.transaction(() => {
+    for (const [name, rows] of Object.entries(data)) {
+      const { encode } = codec(db, name)
+      if (replace) {
+        db.prepare(`DELETE FROM ${name}`).run()
+      } else if (db.prepare(`SELECT COUNT(*) FROM ${name}`).pluck().get() > 0) {
+        throw new Error(`La tabla ${name} ya tiene datos (usar --force para reemplazarlos)`)
+      }
+
+      for (const values of rows) {
+        const row = encode(values)
+        const columns = Object.keys(row)
+        db.prepare(`INSERT INTO ${name} (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`)
+          .run(row)
+      }
+    }
+  })()
+}
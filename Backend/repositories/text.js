@@ -0,0 +1,2 @@
+// Texto en minúsculas y sin acentos, para búsquedas ("camara" encuentra "Cámara")
+export const normalizeText = (text) => text.normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase()
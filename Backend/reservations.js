@@ -0,0 +1,111 @@
+import { HttpError } from './errors.js'
+
+// Minutos que se guarda el stock del carrito al abrir el checkout; se lee al usarse porque dotenv se carga después de los imports
+const reservationMinutes = () => Number(process.env.RESERVATION_MINUTES) || 15
+
+export const isReservationActive = (reservation, now = new Date()) => new Date(reservation.expiresAt) > now
+
+// Unidades reservadas de cada producto (Map productId -> cantidad), sin contar las del usuario indicado
+export const reservedQuantities = (reservations, { exceptUserId = null } = {}) => {
+  const now = new Date()
+  const reserved = new Map()
+
+  for (const reservation of reservations) {
+    if (reservation.userId === exceptUserId || !isReservationActive(reservation, now)) continue
+    reserved.set(reservation.productId, (reserved.get(reservation.productId) || 0) + reservation.quantity)
+  }
+  return reserved
+}
+
+// Agrega al producto las unidades reservadas y las que quedan disponibles para comprar
+export const withAvailability = (product, reserved) => {
+  const reservedStock = reserved.get(product.id) || 0
+  return { ...product, reserved: reservedStock, available: Math.max(product.stock - reservedStock, 0) }
+}
+
+// Comprueba que cada item del carrito exista, esté a la venta y tenga stock sin contar lo reservado por otros.
+// Si un producto aparece en varios items se controla la suma de sus cantidades.
+// Devuelve los productos en el mismo orden que los items
+export const checkAvailability = async (tx, items, userId) => {
+  const reserved = reservedQuantities(await tx.reservations.findAll(), { exceptUserId: userId })
+  const requested = new Map()
+  for (const item of items) requested.set(item.id, (requested.get(item.id) || 0) + item.quantity)
+  const products = []
+
+  for (const [index, item] of items.entries()) {
+    const product = await tx.products.findById(item.id)
+
+    if (!product) {
+      throw new HttpError(400, `Producto ${item.id} no encontrado`, {
+        code: 'PRODUCT_NOT_FOUND',
+        fields: { [`items.${index}.id`]: 'Producto no encontrado' }
+      })
+    }
+
+    if (product.archived) {
+      throw new HttpError(400, `El producto ${product.name} ya no está disponible`, {
+        code: 'PRODUCT_UNAVAILABLE',
+        fields: { [`items.${index}.id`]: 'Ya no está disponible' }
+      })
+    }
+
+    const { available } = withAvailability(product, reserved)
+    if (available < requested.get(item.id)) {
+      throw new HttpError(400, `Stock insuficiente para ${product.name}. Disponible: ${available}`, {
+        code: 'INSUFFICIENT_STOCK',
+        fields: { [`items.${index}.quantity`]: `Stock disponible: ${available}` }
+      })
+    }
+
+    products.push(product)
+  }
+  return products
+}
+
+// Borra las reservas del usuario (al comprar o al cerrar el checkout)
+export const releaseReservations = async (tx, userId) => {
+  for (const reservation of await tx.reservations.findByUserId(userId)) {
+    await tx.reservations.delete(reservation.id)
+  }
+}
+
+// Reemplaza las reservas del usuario por las del carrito. Todas vencen juntas
+export const reserveCart = async (tx, userId, items) => {
+  await releaseReservations(tx, userId)
+  await checkAvailability(tx, items, userId)
+
+  const now = new Date()
+  const expiresAt = new Date(now.getTime() + reservationMinutes() * 60 * 1000).toISOString()
+  const reservations = []
+  for (const item of items) {
+    reservations.push(await tx.reservations.create({
+      userId,
+      productId: item.id,
+      quantity: item.quantity,
+      createdAt: now.toISOString(),
+      expiresAt
+    }))
+  }
+  return reservations
+}
+
+// Las reservas vencidas ya no cuentan para el stock; esto solo las borra de los datos
+export const deleteExpiredReservations = async (tx) => {
+  const now = new Date()
+  let deleted = 0
+  for (const reservation of await tx.reservations.findAll()) {
+    if (isReservationActive(reservation, now)) continue
+    await tx.reservations.delete(reservation.id)
+    deleted++
+  }
+  return deleted
+}
+
+// Reserva activa del usuario como la ve el frontend
+export const publicReservation = (reservations) => {
+  const active = reservations.filter(r => isReservationActive(r))
+  return {
+    expiresAt: active.length > 0 ? active[0].expiresAt : null,
+    items: active.map(r => ({ productId: r.productId, quantity: r.quantity }))
+  }
+}
@@ -0,0 +1,437 @@
+import { string, email, url, date, number, positive, id, boolean, oneOf, array, object } from './validation.js'
+import { ORDER_STATUSES } from './orders.js'
+import { ROLES } from './permissions.js'
+import { ANALYTICS_PERIODS } from './analytics.js'
+import { EXPORT_FORMATS } from './spreadsheets.js'
+import { COUPON_TYPES, PROMOTION_TYPES } from './discounts.js'
+import { TAX_RATES } from './taxes.js'
+import { PROVINCES } from './shipping.js'
+import { AUDIT_ACTIONS } from './audit.js'
+
+// Esquemas de body, params y query de cada ruta (ver validate en validation.js)
+
+export const idParams = {
+  params: { id: id() }
+}
+
+// === AUTH ===
+
+export const registerSchema = {
+  body: {
+    name: string({ max: 100 }),
+    email: email(),
+    password: string({ min: 6, max: 72 }),
+    phone: string({ required: false, max: 30 }),
+    address: string({ required: false, max: 200 })
+  }
+}
+
+export const loginSchema = {
+  body: {
+    email: string({ max: 254 }),
+    password: string({ max: 72 })
+  }
+}
+
+export const refreshSchema = {
+  body: {
+    refreshToken: string({ max: 200 })
+  }
+}
+
+export const forgotPasswordSchema = {
+  body: {
+    email: email()
+  }
+}
+
+export const resetPasswordSchema = {
+  body: {
+    token: string({ max: 200 }),
+    password: string({ min: 6, max: 72 })
+  }
+}
+
+export const verifyEmailSchema = {
+  body: {
+    token: string({ max: 200 })
+  }
+}
+
+export const profileSchema = {
+  body: {
+    name: string({ required: false, max: 100 }),
+    phone: string({ required: false, max: 30 }),
+    address: string({ required: false, max: 200 })
+  }
+}
+
+export const changePasswordSchema = {
+  body: {
+    currentPassword: string({ max: 72 }),
+    newPassword: string({ min: 6, max: 72 })
+  }
+}
+
+// Se pide la contraseña para que una sesión olvidada abierta no alcance para borrar la cuenta
+export const deleteAccountSchema = {
+  body: {
+    password: string({ max: 72 })
+  }
+}
+
+// Dirección de la libreta del usuario. label es un nombre para reconocerla (Casa, Trabajo)
+const addressBody = {
+  label: string({ required: false, max: 50 }),
+  street: string({ max: 200 }),
+  number: string({ max: 10 }),
+  city: string({ max: 100 }),
+  province: oneOf(PROVINCES),
+  postalCode: string({ max: 10 }),
+  notes: string({ required: false, max: 200 }),
+  isDefault: boolean({ required: false })
+}
+
+export const createAddressSchema = {
+  body: addressBody
+}
+
+export const updateAddressSchema = {
+  ...idParams,
+  body: addressBody
+}
+
+// === PRODUCTOS ===
+
+// Campos de orden del listado; con - adelante es descendente
+export const PRODUCT_SORTS = ['price', '-price', 'name', '-name', 'stock', '-stock']
+
+export const listProductsSchema = {
+  query: {
+    q: string({ required: false, max: 100 }),
+    category: string({ required: false, max: 100 }),
+    minPrice: number({ required: false, min: 0 }),
+    maxPrice: number({ required: false, min: 0 }),
+    inStock: boolean({ required: false }),
+    sort: oneOf(PRODUCT_SORTS, { required: false }),
+    page: number({ required: false, min: 1, integer: true }),
+    pageSize: number({ required: false, min: 1, max: 100, integer: true })
+  }
+}
+
+const productFields = ({ required }) => ({
+  name: string({ required, max: 200 }),
+  category: string({ required, max: 100 }),
+  price: positive({ required }),
+  stock: number({ required, min: 0, integer: true }),
+  image: url(),
+  lowStockThreshold: number({ required: false, min: 0, integer: true }),
+  // Peso en kg para calcular el envío
+  weight: number({ required: false, min: 0, max: 1000 })
+})
+
+export const createProductSchema = {
+  body: productFields({ required: true })
+}
+
+export const updateProductSchema = {
+  ...idParams,
+  body: productFields({ required: false })
+}
+
+export const updatePriceSchema = {
+  ...idParams,
+  body: { price: positive() }
+}
+
+export const restockSchema = {
+  ...idParams,
+  body: {
+    quantity: number({ min: 1, max: 100000, integer: true }),
+    reason: string({ required: false, max: 200 })
+  }
+}
+
+// quantity negativa descuenta (rotura, pérdida) y positiva suma (conteo con sobrante)
+export const adjustStockSchema = {
+  ...idParams,
+  body: {
+    quantity: number({ min: -100000, max: 100000, integer: true }),
+    reason: string({ max: 200 })
+  }
+}
+
+export const reconciliationSchema = {
+  query: {
+    all: boolean({ required: false })
+  }
+}
+
+// Cada fila del CSV de import: con id actualiza ese producto, sin id crea uno nuevo
+export const productImportRow = object({
+  id: id({ required: false }),
+  ...productFields({ required: true })
+})
+
+export const exportProductsSchema = {
+  query: {
+    format: oneOf(EXPORT_FORMATS, { required: false })
+  }
+}
+
+// === ÓRDENES ===
+
+// El frontend manda el carrito completo: solo se toman id y cantidad.
+// Cada producto va en una sola línea, para que el stock se controle con la cantidad total
+const cartItems = ({ min = 1 } = {}) => array(object({
+  id: id(),
+  quantity: number({ min: 1, max: 100, integer: true })
+}), { min, unique: 'id' })
+
+// Dirección de entrega escrita en el checkout; la provincia define la zona de envío
+const shippingAddress = () => object({
+  street: string({ max: 200 }),
+  number: string({ required: false, max: 10 }),
+  city: string({ max: 100 }),
+  province: oneOf(PROVINCES),
+  postalCode: string({ max: 10 }),
+  notes: string({ required: false, max: 200 })
+}, { required: false })
+
+// La entrega es una dirección de la libreta (addressId) o una escrita en el checkout (shippingAddress).
+// expectedTotal es el total que el cliente vio en POST /cart/quote: si no coincide la orden no se crea
+export const createOrderSchema = {
+  body: {
+    items: cartItems(),
+    addressId: id({ required: false }),
+    shippingAddress: shippingAddress(),
+    couponCode: string({ required: false, max: 30 }),
+    expectedTotal: number({ required: false, min: 0 })
+  }
+}
+
+// Reserva el stock del carrito mientras se confirma la compra
+export const reservationSchema = {
+  body: { items: cartItems() }
+}
+
+export const listOrdersSchema = {
+  query: {
+    status: oneOf(ORDER_STATUSES, { required: false })
+  }
+}
+
+export const orderStatusSchema = {
+  ...idParams,
+  body: {
+    status: oneOf(ORDER_STATUSES),
+    note: string({ required: false, max: 500 })
+  }
+}
+
+// === PAGOS ===
+
+// Notificación del proveedor: solo trae el id del pago, que después se consulta al proveedor
+export const paymentWebhookSchema = {
+  body: {
+    type: string({ required: false, max: 50 }),
+    action: string({ required: false, max: 50 }),
+    data: object({ id: string({ max: 100 }) }, { required: false })
+  }
+}
+
+// Página de la pasarela de prueba y resultado elegido en ella
+export const mockCheckoutSchema = {
+  params: { preferenceId: string({ max: 100 }) }
+}
+
+export const mockPaymentSchema = {
+  ...mockCheckoutSchema,
+  body: { status: oneOf(['approved', 'rejected']) }
+}
+
+// === CARRITO ===
+
+// Suma unidades al producto si ya está en el carrito
+export const addCartItemSchema = {
+  body: {
+    id: id(),
+    quantity: number({ required: false, min: 1, max: 100, integer: true })
+  }
+}
+
+// El id es el del producto
+export const updateCartItemSchema = {
+  ...idParams,
+  body: {
+    quantity: number({ min: 1, max: 100, integer: true })
+  }
+}
+
+// price es el precio que el cliente le muestra al usuario, para avisar si cambió. Como en cartItems,
+// cada producto va en una sola línea
+export const quoteSchema = {
+  body: {
+    items: array(object({
+      id: id(),
+      quantity: number({ min: 1, max: 100, integer: true }),
+      price: positive({ required: false })
+    }), { min: 1, unique: 'id' }),
+    couponCode: string({ required: false, max: 30 }),
+    // Sin provincia el presupuesto no incluye el envío
+    province: oneOf(PROVINCES, { required: false })
+  }
+}
+
+// Carrito que se armó sin sesión (localStorage), puede estar vacío
+export const mergeCartSchema = {
+  body: { items: cartItems({ min: 0 }) }
+}
+
+export const reorderSchema = {
+  body: { items: cartItems() }
+}
+
+// === CUPONES Y PROMOCIONES ===
+// PUT reemplaza todos los campos: los opcionales que no vienen quedan vacíos.
+// Las reglas que dependen de otros campos (value según type, fechas) están en discounts.js
+
+// Sin categorías ni productos aplica a todo el catálogo
+const discountFields = {
+  categories: array(string({ max: 100 }), { required: false }),
+  productIds: array(id(), { required: false }),
+  startsAt: date({ required: false }),
+  endsAt: date({ required: false }),
+  active: boolean({ required: false })
+}
+
+const couponFields = {
+  code: string({ max: 30, pattern: /^[A-Za-z0-9_-]+$/, message: 'Solo letras, números, - y _' }),
+  description: string({ required: false, max: 200 }),
+  type: oneOf(COUPON_TYPES),
+  value: number({ required: false, min: 0 }),
+  minOrderAmount: number({ required: false, min: 0 }),
+  maxUses: number({ required: false, min: 1, integer: true }),
+  maxUsesPerUser: number({ required: false, min: 1, integer: true }),
+  ...discountFields
+}
+
+export const createCouponSchema = {
+  body: couponFields
+}
+
+export const updateCouponSchema = {
+  ...idParams,
+  body: couponFields
+}
+
+const promotionFields = {
+  name: string({ max: 100 }),
+  type: oneOf(PROMOTION_TYPES),
+  value: number({ required: false, min: 0 }),
+  buyQuantity: number({ required: false, min: 2, max: 100, integer: true }),
+  payQuantity: number({ required: false, min: 1, max: 99, integer: true }),
+  ...discountFields
+}
+
+export const createPromotionSchema = {
+  body: promotionFields
+}
+
+export const updatePromotionSchema = {
+  ...idParams,
+  body: promotionFields
+}
+
+// === IVA Y ENVÍOS ===
+
+// Reemplaza la lista completa de alícuotas por categoría
+export const taxRatesSchema = {
+  body: {
+    rates: array(object({
+      category: string({ max: 100 }),
+      rate: oneOf(TAX_RATES)
+    }))
+  }
+}
+
+const shippingZoneFields = {
+  name: string({ max: 100 }),
+  provinces: array(oneOf(PROVINCES), { min: 1, max: PROVINCES.length }),
+  baseCost: number({ min: 0 }),
+  costPerKg: number({ required: false, min: 0 }),
+  // Monto de la compra (después de descuentos, sin IVA) desde el que el envío es gratis
+  freeFrom: number({ required: false, min: 0 })
+}
+
+export const createShippingZoneSchema = {
+  body: shippingZoneFields
+}
+
+export const updateShippingZoneSchema = {
+  ...idParams,
+  body: shippingZoneFields
+}
+
+// === REPORTES ===
+
+// Rango de fechas inclusive; groupBy solo se usa en /analytics/revenue y limit en los rankings
+export const analyticsSchema = {
+  query: {
+    from: date({ required: false }),
+    to: date({ required: false }),
+    groupBy: oneOf(ANALYTICS_PERIODS, { required: false }),
+    limit: number({ required: false, min: 1, max: 50, integer: true })
+  }
+}
+
+export const exportSalesSchema = {
+  query: {
+    format: oneOf(EXPORT_FORMATS, { required: false }),
+    from: date({ required: false }),
+    to: date({ required: false })
+  }
+}
+
+// === AUDITORÍA ===
+
+// from y to (AAAA-MM-DD, inclusive) filtran por el día de la acción
+export const listAuditLogsSchema = {
+  query: {
+    actorId: id({ required: false }),
+    action: oneOf(AUDIT_ACTIONS, { required: false }),
+    targetType: string({ required: false, max: 50 }),
+    targetId: id({ required: false }),
+    from: date({ required: false }),
+    to: date({ required: false }),
+    page: number({ required: false, min: 1, integer: true }),
+    pageSize: number({ required: false, min: 1, max: 100, integer: true })
+  }
+}
+
+// === USUARIOS ===
+
+// q busca en el nombre y el email; disabled=true lista solo las cuentas deshabilitadas
+export const listUsersSchema = {
+  query: {
+    q: string({ required: false, max: 100 }),
+    role: oneOf(ROLES, { required: false }),
+    disabled: boolean({ required: false }),
+    page: number({ required: false, min: 1, integer: true }),
+    pageSize: number({ required: false, min: 1, max: 100, integer: true })
+  }
+}
+
+export const userStatusSchema = {
+  ...idParams,
+  body: {
+    disabled: boolean()
+  }
+}
+
+export const changeRoleSchema = {
+  ...idParams,
+  body: {
+    role: oneOf(ROLES)
+  }
+}
@@ -0,0 +1,74 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+// Duraciones configurables en .env; se leen al usarse porque dotenv se carga después de los imports
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m'
+const refreshTokenDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 7
+
+// Del refresh token solo se guarda el hash: quien lea los datos no puede usarlo
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const generateRefreshToken = () => crypto.randomBytes(32).toString('base64url')
+
+const signAccessToken = (user, sessionId, secret) => jwt.sign(
+  { id: user.id, email: user.email, role: user.role, sid: sessionId },
+  secret,
+  { expiresIn: accessTokenTtl() }
+)
+
+export const isSessionActive = (session) =>
+  Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > new Date()
+
+// Crea una sesión para el usuario y devuelve el access token y el refresh token
+export const startSession = async (repositories, user, req, secret) => {
+  const refreshToken = generateRefreshToken()
+  const now = new Date()
+
+  const session = await repositories.sessions.create({
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    previousTokenHash: null,
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip,
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + refreshTokenDays() * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null
+  })
+
+  return { token: signAccessToken(user, session.id, secret), refreshToken }
+}
+
+// Reemplaza el refresh token de la sesión por uno nuevo (rotación) y emite otro access token
+export const rotateSession = async (repositories, session, user, secret) => {
+  const refreshToken = generateRefreshToken()
+
+  await repositories.sessions.update(session.id, {
+    tokenHash: hashToken(refreshToken),
+    previousTokenHash: session.tokenHash,
+    lastUsedAt: new Date().toISOString()
+  })
+
+  return { token: signAccessToken(user, session.id, secret), refreshToken }
+}
+
+// Revoca las sesiones activas del usuario, salvo exceptSessionId (la del dispositivo que hizo el cambio)
+export const revokeUserSessions = async (repositories, userId, { exceptSessionId = null } = {}) => {
+  const date = new Date().toISOString()
+  for (const session of await repositories.sessions.findByUserId(userId)) {
+    if (session.id !== exceptSessionId && isSessionActive(session)) {
+      await repositories.sessions.update(session.id, { revokedAt: date })
+    }
+  }
+}
+
+// Datos de la sesión que se pueden mostrar al usuario
+export const publicSession = (session, currentSessionId) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session.id === currentSessionId
+})
@@ -0,0 +1,62 @@
+// Costo de envío por zona (un grupo de provincias) y peso de la compra
+
+export const PROVINCES = [
+  'Buenos Aires', 'Catamarca', 'Chaco', 'Chubut', 'Ciudad Autónoma de Buenos Aires', 'Córdoba',
+  'Corrientes', 'Entre Ríos', 'Formosa', 'Jujuy', 'La Pampa', 'La Rioja', 'Mendoza', 'Misiones',
+  'Neuquén', 'Río Negro', 'Salta', 'San Juan', 'San Luis', 'Santa Cruz', 'Santa Fe',
+  'Santiago del Estero', 'Tierra del Fuego', 'Tucumán'
+]
+
+// Peso en kg de los productos que no tienen uno cargado
+export const DEFAULT_PRODUCT_WEIGHT = 1
+
+export const productWeight = (product) => product.weight ?? DEFAULT_PRODUCT_WEIGHT
+
+export const findZone = (zones, province) => zones.find(zone => zone.provinces.includes(province)) || null
+
+// Errores de valores que dependen de otras zonas, con el formato de validate.
+// Una provincia no puede estar en dos zonas porque el costo sería ambiguo
+export const zoneProblems = (values, zones, exceptId = null) => {
+  const fields = {}
+  const taken = values.provinces
+    .map(province => ({ province, zone: findZone(zones.filter(z => z.id !== exceptId), province) }))
+    .filter(({ zone }) => zone)
+  if (taken.length > 0) {
+    fields.provinces = taken.map(({ province, zone }) => `${province} ya está en la zona ${zone.name}`).join('. ')
+  }
+  return fields
+}
+
+// Registro completo a partir del body validado (PUT reemplaza todo)
+export const zoneRecord = (values) => ({
+  name: values.name,
+  provinces: values.provinces,
+  baseCost: values.baseCost,
+  costPerKg: values.costPerKg ?? 0,
+  freeFrom: values.freeFrom ?? null
+})
+
+// Envío a la provincia para las líneas ya con descuentos. Se cobra baseCost más costPerKg por kg
+// (redondeado hacia arriba); es gratis si la compra llega a freeFrom o el cupón lo bonifica.
+// Devuelve { shipping } o { error } si ninguna zona llega a la provincia
+export const quoteShipping = (zones, province, { lines, products, freeShipping }) => {
+  const zone = findZone(zones, province)
+  if (!zone) {
+    return { error: { code: 'SHIPPING_UNAVAILABLE', message: `No hacemos envíos a ${province}` } }
+  }
+
+  const weight = lines.reduce((sum, line, index) => sum + productWeight(products[index]) * line.quantity, 0)
+  const amount = lines.reduce((sum, line) => sum + line.subtotal - line.discount, 0)
+  const free = freeShipping || (zone.freeFrom !== null && amount >= zone.freeFrom)
+
+  return {
+    shipping: {
+      zoneId: zone.id,
+      zoneName: zone.name,
+      province,
+      weight,
+      free,
+      cost: free ? 0 : Math.round(zone.baseCost + zone.costPerKg * Math.ceil(weight))
+    }
+  }
+}
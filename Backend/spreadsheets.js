@@ -0,0 +1,129 @@
+import ExcelJS from 'exceljs'
+import { toCSV, parseCSV } from './csv.js'
+
+export const EXPORT_FORMATS = ['csv', 'xlsx']
+
+export const SALES_COLUMNS = [
+  { key: 'id', header: 'Venta', width: 8 },
+  { key: 'date', header: 'Fecha', width: 12 },
+  { key: 'orderNumber', header: 'Orden', width: 14 },
+  { key: 'orderStatus', header: 'Estado', width: 12 },
+  { key: 'customerName', header: 'Cliente', width: 25 },
+  { key: 'customerEmail', header: 'Email', width: 30 },
+  { key: 'productId', header: 'ID producto', width: 12 },
+  { key: 'productName', header: 'Producto', width: 35 },
+  { key: 'category', header: 'Categoría', width: 15 },
+  { key: 'quantity', header: 'Cantidad', width: 10 },
+  { key: 'unitPrice', header: 'Precio unitario', width: 15 },
+  { key: 'total', header: 'Total', width: 15 }
+]
+
+// Un archivo exportado se puede editar y volver a subir. El import toma todas las columnas menos archived,
+// que se ignora: para archivar o restaurar un producto están sus propias rutas
+export const PRODUCT_COLUMNS = [
+  { key: 'id', header: 'id', width: 8 },
+  { key: 'name', header: 'name', width: 35 },
+  { key: 'category', header: 'category', width: 15 },
+  { key: 'price', header: 'price', width: 12 },
+  { key: 'stock', header: 'stock', width: 8 },
+  { key: 'image', header: 'image', width: 50 },
+  { key: 'lowStockThreshold', header: 'lowStockThreshold', width: 18 },
+  { key: 'weight', header: 'weight', width: 10 },
+  { key: 'archived', header: 'archived', width: 10 }
+]
+
+const REQUIRED_IMPORT_COLUMNS = ['name', 'category', 'price', 'stock']
+const IMPORT_COLUMNS = ['id', ...REQUIRED_IMPORT_COLUMNS, 'image', 'lowStockThreshold', 'weight']
+
+// Una fila por venta con los nombres del producto y del cliente
+export const salesRows = (sales, { products, users, orders }) => sales.map(sale => {
+  const product = products.find(p => p.id === sale.productId)
+  const user = users.find(u => u.id === sale.userId)
+  const order = sale.orderId ? orders.find(o => o.id === sale.orderId) : null
+
+  return {
+    id: sale.id,
+    date: sale.date.slice(0, 10),
+    orderNumber: order ? order.number : '',
+    orderStatus: order ? order.status : '',
+    customerName: user ? user.name : 'Usuario eliminado',
+    customerEmail: user ? user.email : '',
+    productId: sale.productId,
+    productName: product ? product.name : 'Producto no encontrado',
+    category: product ? product.category : '',
+    quantity: sale.quantity,
+    unitPrice: sale.total / sale.quantity,
+    total: sale.total
+  }
+})
+
+export const productRows = (products) => products.map(p => ({ ...p, archived: p.archived ? 'sí' : 'no' }))
+
+// Responde la tabla como descarga en el formato pedido
+export const sendTable = async (res, { format, filename, sheet, columns, rows }) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook()
+    const worksheet = workbook.addWorksheet(sheet)
+    worksheet.columns = columns
+    worksheet.getRow(1).font = { bold: true }
+    worksheet.addRows(rows)
+
+    res.attachment(`${filename}.xlsx`)
+    return res.status(200).send(Buffer.from(await workbook.xlsx.writeBuffer()))
+  }
+
+  res.attachment(`${filename}.csv`)
+  res.type('text/csv; charset=utf-8')
+  res.status(200).send(toCSV(columns, rows))
+}
+
+// Lee el CSV de productos y valida cada fila con rowRule (ver schemas.js).
+// Devuelve las filas válidas y los errores por línea con claves como lines.4.price (4 es la línea del archivo)
+export const parseProductImport = (text, rowRule) => {
+  const [header, ...rows] = parseCSV(text)
+  if (!header) {
+    return { rows: [], fields: { file: 'El archivo está vacío' } }
+  }
+
+  // Los encabezados se comparan sin distinguir mayúsculas
+  const columns = header.values.map(value =>
+    IMPORT_COLUMNS.find(column => column.toLowerCase() === value.trim().toLowerCase()) || null
+  )
+  const missing = REQUIRED_IMPORT_COLUMNS.filter(column => !columns.includes(column))
+  if (missing.length > 0) {
+    return { rows: [], fields: { file: `Faltan columnas: ${missing.join(', ')}` } }
+  }
+  if (rows.length === 0) {
+    return { rows: [], fields: { file: 'El archivo no tiene productos' } }
+  }
+
+  const valid = []
+  const fields = {}
+  const seenIds = new Map()
+
+  for (const { line, values } of rows) {
+    // Las celdas vacías cuentan como campos ausentes
+    const input = {}
+    columns.forEach((column, index) => {
+      const value = (values[index] || '').trim()
+      if (column && value !== '') input[column] = value
+    })
+
+    const checked = rowRule(input, { coerce: true })
+    if (checked.fields) {
+      for (const [path, error] of Object.entries(checked.fields)) fields[`lines.${line}.${path}`] = error
+      continue
+    }
+
+    const { id } = checked.value
+    if (id !== undefined && seenIds.has(id)) {
+      fields[`lines.${line}.id`] = `Repetido en la línea ${seenIds.get(id)}`
+      continue
+    }
+    if (id !== undefined) seenIds.set(id, line)
+
+    valid.push({ line, values: checked.value })
+  }
+
+  return { rows: valid, fields }
+}
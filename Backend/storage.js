@@ -0,0 +1,173 @@
+import { readFile, rename, unlink, open, readdir, access } from 'fs/promises'
+import path from 'path'
+import { createQueue } from './queue.js'
+
+// Nombre del journal que registra una transacción con varios archivos en curso
+const JOURNAL_FILE = '.journal.json'
+const TMP_SUFFIX = '.tmp'
+
+const exists = async (file) => {
+  try {
+    await access(file)
+    return true
+  } catch (error) {
+    if (error.code === 'ENOENT') return false
+    throw error
+  }
+}
+
+// Escribe el contenido y fuerza el volcado a disco antes de cerrar
+const writeDurable = async (file, content) => {
+  const handle = await open(file, 'w')
+  try {
+    await handle.writeFile(content, 'utf-8')
+    await handle.sync()
+  } finally {
+    await handle.close()
+  }
+}
+
+// Sincroniza el directorio para que los rename queden persistidos (no soportado en Windows)
+const syncDir = async (dir) => {
+  try {
+    const handle = await open(dir, 'r')
+    try {
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+  } catch {
+    // Ignorado: algunos sistemas no permiten abrir directorios
+  }
+}
+
+// Completa una transacción interrumpida o descarta temporales huérfanos
+const recover = async (dataDir) => {
+  const journalPath = path.join(dataDir, JOURNAL_FILE)
+
+  if (await exists(journalPath)) {
+    // El journal solo existe si todos los temporales se escribieron: se completa la transacción
+    const entries = JSON.parse(await readFile(journalPath, 'utf-8'))
+    for (const { tmp, target } of entries) {
+      const tmpPath = path.join(dataDir, tmp)
+      if (await exists(tmpPath)) await rename(tmpPath, path.join(dataDir, target))
+    }
+    await syncDir(dataDir)
+    await unlink(journalPath)
+  }
+
+  // Los temporales sin journal pertenecen a transacciones que nunca se confirmaron
+  for (const file of await readdir(dataDir)) {
+    if (file.endsWith(TMP_SUFFIX)) await unlink(path.join(dataDir, file))
+  }
+}
+
+const removeIfExists = async (file) => {
+  try {
+    await unlink(file)
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+}
+
+// Deshace una escritura fallida: los archivos ya reemplazados vuelven a su contenido anterior y recién
+// después se borra el journal, para que la recuperación al arrancar no complete una transacción abortada
+const abort = async (dataDir, files, renamed) => {
+  for (const { name, previous } of files.slice(0, renamed)) {
+    await writeDurable(path.join(dataDir, name + TMP_SUFFIX), previous())
+    await rename(path.join(dataDir, name + TMP_SUFFIX), path.join(dataDir, name))
+  }
+  await syncDir(dataDir)
+
+  await removeIfExists(path.join(dataDir, JOURNAL_FILE))
+  await removeIfExists(path.join(dataDir, JOURNAL_FILE + TMP_SUFFIX))
+  for (const { name } of files) {
+    await removeIfExists(path.join(dataDir, name + TMP_SUFFIX))
+  }
+}
+
+// Escribe todos los archivos de forma atómica: o se actualizan todos o ninguno.
+// Cada archivo es { name, content, previous }, con previous() el contenido a restaurar si la escritura falla
+const commit = async (dataDir, files) => {
+  if (files.length === 0) return
+
+  // El journal guarda nombres relativos al directorio de datos
+  const entries = files.map(({ name }) => ({ tmp: name + TMP_SUFFIX, target: name }))
+  const journalPath = path.join(dataDir, JOURNAL_FILE)
+
+  // Con un único archivo el rename ya es atómico; con varios hace falta el journal
+  const useJournal = entries.length > 1
+  let renamed = 0
+
+  try {
+    for (let i = 0; i < files.length; i++) {
+      await writeDurable(path.join(dataDir, entries[i].tmp), files[i].content)
+    }
+
+    if (useJournal) {
+      await writeDurable(journalPath + TMP_SUFFIX, JSON.stringify(entries))
+      await rename(journalPath + TMP_SUFFIX, journalPath)
+      await syncDir(dataDir)
+    }
+
+    for (const { tmp, target } of entries) {
+      await rename(path.join(dataDir, tmp), path.join(dataDir, target))
+      renamed++
+    }
+    await syncDir(dataDir)
+
+    if (useJournal) await unlink(journalPath)
+  } catch (error) {
+    try {
+      await abort(dataDir, files, renamed)
+    } catch (abortError) {
+      // Si tampoco se puede deshacer, el journal queda y la transacción se completa al reiniciar
+      console.error('No se pudo deshacer la escritura de la transacción:', abortError.message)
+    }
+    throw error
+  }
+}
+
+// Abre las colecciones <nombre>.json del directorio y las mantiene en memoria
+export const openStorage = async (dataDir, names) => {
+  await recover(dataDir)
+
+  // Una colección sin archivo empieza vacía y se crea en la primera escritura
+  const data = {}
+  for (const name of names) {
+    const file = path.join(dataDir, `${name}.json`)
+    data[name] = await exists(file) ? JSON.parse(await readFile(file, 'utf-8')) : []
+  }
+
+  // Serializa las transacciones para que no se intercalen escrituras
+  const enqueue = createQueue()
+
+  // Ejecuta fn con acceso exclusivo a los datos y persiste juntas las colecciones modificadas.
+  // fn debe llamar a touch(nombre) antes de modificar una colección: touch le da una copia, que
+  // reemplaza a la original recién cuando se escribió en disco. Así nadie lee cambios sin confirmar
+  // y si fn lanza un error o falla la escritura, alcanza con descartar las copias.
+  const transaction = (fn) => enqueue(async () => {
+    const drafts = {}
+    const view = {}
+    for (const name of Object.keys(data)) {
+      Object.defineProperty(view, name, { enumerable: true, get: () => drafts[name] ?? data[name] })
+    }
+
+    const touch = (name) => {
+      if (!data[name]) throw new Error(`Colección desconocida: ${name}`)
+      if (!drafts[name]) drafts[name] = structuredClone(data[name])
+    }
+
+    const result = await fn({ data: view, touch })
+    await commit(dataDir, Object.keys(drafts).map(name => ({
+      name: `${name}.json`,
+      content: JSON.stringify(drafts[name], null, 2),
+      previous: () => JSON.stringify(data[name], null, 2)
+    })))
+
+    Object.assign(data, drafts)
+    return result
+  })
+
+  return { data, transaction }
+}
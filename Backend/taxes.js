@@ -0,0 +1,29 @@
+// IVA por categoría. Los precios de los productos no incluyen IVA: se suma en la orden sobre
+// lo que se cobra de cada línea, después de promociones y cupón
+
+// Alícuotas de IVA vigentes en Argentina (%)
+export const TAX_RATES = [0, 10.5, 21, 27]
+
+// Alícuota de las categorías que no tienen una configurada
+export const DEFAULT_TAX_RATE = 21
+
+// taxRates es la lista guardada de { category, rate }
+export const taxRateFor = (category, taxRates) =>
+  taxRates.find(t => t.category === category)?.rate ?? DEFAULT_TAX_RATE
+
+// Agrega a cada línea su alícuota y el IVA. products tiene el producto de cada línea, en el mismo orden
+export const applyTaxes = (lines, products, taxRates) => lines.map((line, index) => {
+  const taxRate = taxRateFor(products[index].category, taxRates)
+  return { ...line, taxRate, tax: Math.round((line.subtotal - line.discount) * taxRate / 100) }
+})
+
+// Errores de la lista completa con el formato de validate: { 'rates.N.category': mensaje }
+export const taxRateProblems = (rates) => {
+  const fields = {}
+  const seen = new Set()
+  rates.forEach(({ category }, index) => {
+    if (seen.has(category)) fields[`rates.${index}.category`] = 'Categoría repetida'
+    seen.add(category)
+  })
+  return fields
+}
@@ -0,0 +1,82 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { findUsableAccountToken, issueAccountToken } from '../account.js'
+import { hashToken } from '../sessions.js'
+import { startServer, testUsers, login, openTempRepositories } from './helpers.js'
+
+// Token del último email que tiene un link con el parámetro indicado (verifyToken o resetToken)
+const tokenFromEmails = async (emails, param) => {
+  const links = (await emails()).flatMap(email => [...email.matchAll(new RegExp(`${param}=([\\w-]+)`, 'g'))])
+  return links.at(-1)?.[1]
+}
+
+test('el email se confirma con el token del registro, una sola vez', async (t) => {
+  const { request, emails } = await startServer(t)
+  const registered = await request('POST', '/auth/register', {
+    body: { name: 'Ana', email: 'ana@test.com', password: 'secret1' }
+  })
+  assert.equal(registered.status, 201)
+  assert.equal(registered.body.user.emailVerified, false)
+
+  const token = await tokenFromEmails(emails, 'verifyToken')
+  const verified = await request('POST', '/auth/verify-email', { body: { token } })
+  assert.equal(verified.status, 200)
+  assert.equal(verified.body.user.emailVerified, true)
+
+  const again = await request('POST', '/auth/verify-email', { body: { token } })
+  assert.equal(again.status, 400)
+  assert.equal(again.body.error.code, 'INVALID_VERIFICATION_TOKEN')
+})
+
+test('restablecer la contraseña usa el token una sola vez y cierra las sesiones', async (t) => {
+  const { request, emails } = await startServer(t, { users: await testUsers() })
+  const session = await login(request, 'customer@test.com')
+
+  assert.equal((await request('POST', '/auth/forgot-password', { body: { email: 'customer@test.com' } })).status, 200)
+  const token = await tokenFromEmails(emails, 'resetToken')
+
+  const reset = await request('POST', '/auth/reset-password', { body: { token, password: 'nueva123' } })
+  assert.equal(reset.status, 200)
+  assert.equal((await request('GET', '/auth/profile', { token: session.token })).status, 403)
+  assert.equal((await request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } })).status, 401)
+  await login(request, 'customer@test.com', 'nueva123')
+
+  const again = await request('POST', '/auth/reset-password', { body: { token, password: 'otra1234' } })
+  assert.equal(again.status, 400)
+  assert.equal(again.body.error.code, 'INVALID_RESET_TOKEN')
+})
+
+test('pedir otro link invalida el anterior', async (t) => {
+  const { request, emails } = await startServer(t, { users: await testUsers() })
+
+  await request('POST', '/auth/forgot-password', { body: { email: 'customer@test.com' } })
+  const first = await tokenFromEmails(emails, 'resetToken')
+  await request('POST', '/auth/forgot-password', { body: { email: 'customer@test.com' } })
+  const second = await tokenFromEmails(emails, 'resetToken')
+  assert.notEqual(first, second)
+
+  assert.equal((await request('POST', '/auth/reset-password', { body: { token: first, password: 'nueva123' } })).status, 400)
+  assert.equal((await request('POST', '/auth/reset-password', { body: { token: second, password: 'nueva123' } })).status, 200)
+})
+
+test('forgot-password responde igual si el email no existe y no manda nada', async (t) => {
+  const { request, emails } = await startServer(t, { users: await testUsers() })
+
+  const { status, body } = await request('POST', '/auth/forgot-password', { body: { email: 'nadie@test.com' } })
+  assert.equal(status, 200)
+  assert.match(body.message, /Si el email está registrado/)
+  assert.deepEqual(await emails(), [])
+})
+
+test('un token vencido o de otro tipo no se puede usar', async (t) => {
+  const repos = await openTempRepositories(t, { users: await testUsers() })
+  const user = await repos.users.findById(3)
+
+  const token = await issueAccountToken(repos, user, 'password_reset')
+  assert.equal((await findUsableAccountToken(repos, token, 'password_reset')).userId, 3)
+  assert.equal(await findUsableAccountToken(repos, token, 'email_verification'), null)
+
+  const record = await repos.accountTokens.findByTokenHash(hashToken(token))
+  await repos.accountTokens.update(record.id, { expiresAt: new Date(Date.now() - 1000).toISOString() })
+  assert.equal(await findUsableAccountToken(repos, token, 'password_reset'), null)
+})
@@ -0,0 +1,56 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { countedSales } from '../analytics.js'
+import { customerOrderSummary, legacyOrderFromSale } from '../orders.js'
+
+const orders = [
+  { id: 1, status: 'pending', total: 100, createdAt: '2025-10-05T10:00:00.000Z' },
+  { id: 2, status: 'paid', total: 200, createdAt: '2025-10-04T10:00:00.000Z' },
+  { id: 3, status: 'delivered', total: 300, createdAt: '2025-10-03T10:00:00.000Z' },
+  { id: 4, status: 'cancelled', total: 400, createdAt: '2025-10-02T10:00:00.000Z' },
+  { id: 5, status: 'refunded', total: 500, createdAt: '2025-10-01T10:00:00.000Z' }
+]
+
+test('countedSales cuenta las órdenes pagas y las ventas sin orden', () => {
+  const sales = [
+    { id: 1, orderId: 1, total: 100, quantity: 1, date: '2025-10-05T10:00:00.000Z' },
+    { id: 2, orderId: 2, total: 200, quantity: 1, date: '2025-10-04T10:00:00.000Z' },
+    { id: 3, orderId: 3, total: 300, quantity: 1, date: '2025-10-03T10:00:00.000Z' },
+    { id: 4, orderId: 4, total: 400, quantity: 1, date: '2025-10-02T10:00:00.000Z' },
+    { id: 5, orderId: 5, total: 500, quantity: 1, date: '2025-10-01T10:00:00.000Z' },
+    { id: 6, total: 50, quantity: 1, date: '2025-09-30' }
+  ]
+
+  assert.deepEqual(countedSales(sales, orders).map(s => s.id), [2, 3, 6])
+  assert.deepEqual(countedSales(sales, orders, { from: '2025-10-01' }).map(s => s.id), [2, 3])
+})
+
+test('customerOrderSummary cuenta y suma solo las órdenes pagas', () => {
+  const summary = customerOrderSummary(orders)
+
+  assert.equal(summary.orderCount, 2)
+  assert.equal(summary.totalSpent, 500)
+  assert.equal(summary.lastOrderAt, '2025-10-05T10:00:00.000Z')
+  assert.equal(summary.byStatus.pending, 1)
+  assert.equal(summary.recentOrders.length, 5)
+})
+
+test('customerOrderSummary suma las compras anteriores a las órdenes', () => {
+  const legacy = legacyOrderFromSale({ id: 9, userId: 1, productId: 3, quantity: 2, total: 60, date: '2025-10-06' }, { name: 'Mouse' })
+  const summary = customerOrderSummary(orders, [legacy])
+
+  assert.equal(summary.orderCount, 3)
+  assert.equal(summary.totalSpent, 560)
+  assert.equal(summary.lastOrderAt, '2025-10-06')
+  assert.deepEqual(summary.recentOrders[0], {
+    id: null,
+    number: null,
+    legacy: true,
+    productName: 'Mouse',
+    status: null,
+    paymentStatus: null,
+    itemCount: 2,
+    total: 60,
+    createdAt: '2025-10-06'
+  })
+})
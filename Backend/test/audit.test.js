@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffChanges } from '../audit.js'
+import { startServer, testUsers, login } from './helpers.js'
+
+test('diffChanges devuelve solo los campos que cambiaron y nunca los secretos', () => {
+  const before = { id: 3, role: 'customer', name: 'Ana', password: 'hash-viejo', tags: ['a'] }
+  const after = { id: 3, role: 'employee', name: 'Ana', password: 'hash-nuevo', tags: ['a'] }
+  assert.deepEqual(diffChanges(before, after), { role: { from: 'customer', to: 'employee' } })
+
+  // Sin before es un alta: cada campo va de null a su valor
+  assert.deepEqual(diffChanges(null, { name: 'Ana', tokenHash: 'x' }), { name: { from: null, to: 'Ana' } })
+  assert.deepEqual(diffChanges({ previousTokenHash: 'y', stock: 2 }, null), { stock: { from: 2, to: null } })
+})
+
+test('un login fallido queda registrado sin actor y con el email usado', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  await request('POST', '/auth/login', { body: { email: 'customer@test.com', password: 'incorrecta' } })
+  await request('POST', '/auth/login', { body: { email: 'nadie@test.com', password: 'incorrecta' } })
+  const admin = await login(request, 'admin@test.com')
+
+  const { status, body } = await request('GET', '/audit-logs?action=auth.login_failed', { token: admin.token })
+  assert.equal(status, 200)
+  assert.equal(body.total, 2)
+  const [unknown, wrongPassword] = body.items
+  assert.equal(unknown.actorId, null)
+  assert.deepEqual(unknown.details, { email: 'nadie@test.com', reason: 'UNKNOWN_EMAIL' })
+  assert.equal(unknown.targetId, null)
+  assert.equal(wrongPassword.actorId, null)
+  assert.deepEqual(wrongPassword.details, { email: 'customer@test.com', reason: 'INVALID_PASSWORD' })
+  assert.equal(wrongPassword.targetId, 3)
+})
+
+test('un cambio de rol registra al actor, el cambio y la IP', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const admin = await login(request, 'admin@test.com')
+  await request('PATCH', '/users/3/role', { token: admin.token, body: { role: 'employee' } })
+
+  const { body } = await request('GET', '/audit-logs?targetType=user&targetId=3', { token: admin.token })
+  assert.equal(body.total, 1)
+  const [entry] = body.items
+  assert.equal(entry.action, 'user.role_change')
+  assert.equal(entry.actorId, 1)
+  assert.equal(entry.actorEmail, 'admin@test.com')
+  assert.deepEqual(entry.changes, { role: { from: 'customer', to: 'employee' } })
+  assert.match(entry.ip, /127\.0\.0\.1/)
+  assert.ok(entry.createdAt)
+})
+
+test('el registro no guarda contraseñas y se filtra por actor', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const registered = await request('POST', '/auth/register', {
+    body: { name: 'Nuevo', email: 'nuevo@test.com', password: 'una-clave' }
+  })
+  assert.equal(registered.status, 201)
+  const userId = registered.body.user.id
+  await request('PUT', '/auth/password', {
+    token: registered.body.token,
+    body: { currentPassword: 'una-clave', newPassword: 'otra-clave' }
+  })
+  const admin = await login(request, 'admin@test.com')
+
+  const { body } = await request('GET', `/audit-logs?actorId=${userId}`, { token: admin.token })
+  assert.deepEqual(body.items.map(entry => entry.action), ['auth.password_change', 'auth.register'])
+  const serialized = JSON.stringify(body.items)
+  assert.doesNotMatch(serialized, /una-clave|otra-clave|\$2[aby]\$/)
+})
+
+test('solo quien tiene audit:read ve el registro, y nadie lo borra', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const customer = await login(request, 'customer@test.com')
+  const admin = await login(request, 'admin@test.com')
+
+  assert.equal((await request('GET', '/audit-logs', { token: customer.token })).status, 403)
+  assert.equal((await request('DELETE', '/audit-logs/1', { token: admin.token })).status, 404)
+
+  const { body } = await request('GET', '/audit-logs?action=auth.login', { token: admin.token })
+  assert.equal(body.total, 2)
+})
@@ -0,0 +1,63 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, testUsers, login } from './helpers.js'
+
+test('el refresh token se rota en cada uso', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const session = await login(request, 'customer@test.com')
+
+  const { status, body } = await request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } })
+  assert.equal(status, 200)
+  assert.notEqual(body.refreshToken, session.refreshToken)
+  assert.equal((await request('GET', '/auth/profile', { token: body.token })).status, 200)
+
+  const next = await request('POST', '/auth/refresh', { body: { refreshToken: body.refreshToken } })
+  assert.equal(next.status, 200)
+})
+
+test('reusar un refresh token ya rotado cierra la sesión', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const session = await login(request, 'customer@test.com')
+  const rotated = (await request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } })).body
+
+  // El token viejo solo puede venir de una copia robada
+  const reused = await request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } })
+  assert.equal(reused.status, 401)
+  assert.equal(reused.body.error.code, 'INVALID_REFRESH_TOKEN')
+
+  // La sesión quedó revocada: tampoco sirven el refresh token ni el access token nuevos
+  const afterReuse = await request('POST', '/auth/refresh', { body: { refreshToken: rotated.refreshToken } })
+  assert.equal(afterReuse.status, 401)
+  const profile = await request('GET', '/auth/profile', { token: rotated.token })
+  assert.equal(profile.status, 403)
+  assert.equal(profile.body.error.code, 'INVALID_TOKEN')
+})
+
+test('logout revoca la sesión actual y no las otras', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const phone = await login(request, 'customer@test.com')
+  const laptop = await login(request, 'customer@test.com')
+
+  assert.equal((await request('POST', '/auth/logout', { token: phone.token })).status, 200)
+  assert.equal((await request('GET', '/auth/profile', { token: phone.token })).body.error.code, 'INVALID_TOKEN')
+  assert.equal((await request('POST', '/auth/refresh', { body: { refreshToken: phone.refreshToken } })).status, 401)
+  assert.equal((await request('GET', '/auth/profile', { token: laptop.token })).status, 200)
+})
+
+test('un usuario lista y revoca sus sesiones, pero no las de otro', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const phone = await login(request, 'customer@test.com')
+  const laptop = await login(request, 'customer@test.com')
+  const admin = await login(request, 'admin@test.com')
+
+  const { body: sessions } = await request('GET', '/auth/sessions', { token: laptop.token })
+  assert.equal(sessions.length, 2)
+  const other = sessions.find(session => !session.current)
+
+  const foreign = await request('DELETE', `/auth/sessions/${other.id}`, { token: admin.token })
+  assert.equal(foreign.status, 404)
+
+  assert.equal((await request('DELETE', `/auth/sessions/${other.id}`, { token: laptop.token })).status, 200)
+  assert.equal((await request('GET', '/auth/profile', { token: phone.token })).status, 403)
+  assert.equal((await request('GET', '/auth/sessions', { token: laptop.token })).body.length, 1)
+})
@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toCSV, parseCSV } from '../csv.js'
+
+const columns = [{ key: 'name', header: 'Nombre' }, { key: 'quantity', header: 'Cantidad' }]
+
+const dataLines = (csv) => csv.replace(/^﻿/, '').split('\r\n').slice(1, -1)
+
+test('toCSV antepone \' a los textos que una planilla tomaría como fórmula', () => {
+  const csv = toCSV(columns, [
+    { name: '=HYPERLINK("http://example.com","clic")', quantity: 1 },
+    { name: '+54 11 5555', quantity: 1 },
+    { name: '-descuento', quantity: 1 },
+    { name: '@SUM(A1)', quantity: 1 },
+    { name: '\tTab', quantity: 1 },
+    { name: '\rRetorno', quantity: 1 }
+  ])
+
+  assert.deepEqual(dataLines(csv), [
+    '"\'=HYPERLINK(""http://example.com"",""clic"")",1',
+    "'+54 11 5555,1",
+    "'-descuento,1",
+    "'@SUM(A1),1",
+    "'\tTab,1",
+    '"\'\rRetorno",1'
+  ])
+})
+
+test('toCSV no cambia los números negativos ni los textos comunes', () => {
+  const csv = toCSV(columns, [{ name: 'Auriculares', quantity: -5 }, { name: 'a=b', quantity: 0 }])
+  assert.deepEqual(dataLines(csv), ['Auriculares,-5', 'a=b,0'])
+})
+
+test('parseCSV quita el \' agregado al exportar', () => {
+  const rows = parseCSV(toCSV(columns, [{ name: '=1+1', quantity: 2 }, { name: "'comilla", quantity: 3 }]))
+  assert.deepEqual(rows.map(r => r.values), [['Nombre', 'Cantidad'], ['=1+1', '2'], ["'comilla", '3']])
+})
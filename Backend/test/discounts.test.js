@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyPromotions } from '../discounts.js'
+import { orderLine } from '../pricing.js'
+
+const product = (id, price, category = 'audio') => ({ id, name: `Producto ${id}`, price, category })
+
+const promotion = (values) => ({
+  id: 1,
+  name: 'Promo',
+  value: null,
+  buyQuantity: null,
+  payQuantity: null,
+  categories: [],
+  productIds: [],
+  startsAt: null,
+  endsAt: null,
+  active: true,
+  ...values
+})
+
+const promote = (products, quantities, promotions) =>
+  applyPromotions(products.map((p, index) => orderLine(p, quantities[index])), products, promotions)
+
+test('el 2x1 junta unidades de distintas líneas y regala las más baratas', () => {
+  const products = [product(1, 1000), product(2, 400), product(3, 700)]
+  const { lines, discounts } = promote(products, [1, 1, 2], [promotion({ type: 'bundle', buyQuantity: 2, payQuantity: 1 })])
+
+  // 4 unidades: salen gratis 2, la de 400 y una de 700
+  assert.deepEqual(lines.map(line => line.discount), [0, 400, 700])
+  assert.deepEqual(discounts, [{ type: 'promotion', id: 1, name: 'Promo', amount: 1100 }])
+})
+
+test('el bundle solo cuenta los productos que alcanza', () => {
+  const products = [product(1, 1000), product(2, 400, 'video'), product(3, 700)]
+  const { lines } = promote(products, [1, 1, 1], [promotion({ type: 'bundle', buyQuantity: 2, payQuantity: 1, categories: ['audio'] })])
+
+  assert.deepEqual(lines.map(line => line.discount), [0, 0, 700])
+})
+
+test('cada línea recibe una sola promoción, la que más descuenta', () => {
+  const products = [product(1, 1000), product(2, 900)]
+  const { lines, discounts } = promote(products, [1, 1], [
+    promotion({ id: 1, name: '2x1', type: 'bundle', buyQuantity: 2, payQuantity: 1 }),
+    promotion({ id: 2, name: '10%', type: 'percentage', value: 10 })
+  ])
+
+  assert.deepEqual(lines.map(line => line.discount), [0, 900])
+  assert.deepEqual(discounts.map(d => [d.id, d.amount]), [[1, 900]])
+})
+
+test('sin unidades suficientes para el bundle se aplica el porcentaje por línea', () => {
+  const products = [product(1, 1000), product(2, 500, 'video')]
+  const { lines, discounts } = promote(products, [1, 1], [
+    promotion({ id: 1, type: 'bundle', buyQuantity: 3, payQuantity: 2 }),
+    promotion({ id: 2, type: 'percentage', value: 10, categories: ['audio'] })
+  ])
+
+  assert.deepEqual(lines.map(line => line.discount), [100, 0])
+  assert.deepEqual(discounts.map(d => [d.id, d.amount]), [[2, 100]])
+})
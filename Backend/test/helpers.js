@@ -0,0 +1,127 @@
+import { spawn } from 'child_process'
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises'
+import net from 'net'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import bcrypt from 'bcrypt'
+import { openJsonRepositories } from '../repositories/json.js'
+
+// Ayudas compartidas por los tests. Todo lo que crean se borra con t.after, aunque el test falle
+
+const BACKEND_DIR = fileURLToPath(new URL('..', import.meta.url))
+
+// Contraseña de los usuarios de testUsers
+export const TEST_PASSWORD = 'secret1'
+
+// Escribe cada colección ({ products: [...] }) en su archivo JSON, como las lee el driver JSON
+const writeCollections = (dir, collections) => Promise.all(
+  Object.entries(collections).map(([name, items]) => writeFile(path.join(dir, `${name}.json`), JSON.stringify(items)))
+)
+
+const createTempDir = () => mkdtemp(path.join(os.tmpdir(), 'techstore-test-'))
+
+// Directorio temporal que se borra al terminar el test
+export const tempDir = async (t) => {
+  const dir = await createTempDir()
+  t.after(() => rm(dir, { recursive: true, force: true }))
+  return dir
+}
+
+// Repositorios JSON sobre un directorio temporal con las colecciones indicadas
+export const openTempRepositories = async (t, collections = {}) => {
+  const dir = await tempDir(t)
+  await writeCollections(dir, collections)
+  return openJsonRepositories(dir)
+}
+
+// Un administrador, un empleado y un cliente, todos con TEST_PASSWORD
+export const testUsers = async () => {
+  const password = await bcrypt.hash(TEST_PASSWORD, 4)
+  const user = (id, role) => ({
+    id,
+    name: `Usuario ${role}`,
+    email: `${role}@test.com`,
+    password,
+    role,
+    emailVerified: true,
+    disabled: false,
+    createdAt: '2025-10-01T00:00:00.000Z'
+  })
+  return [user(1, 'admin'), user(2, 'employee'), user(3, 'customer')]
+}
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer()
+  server.on('error', reject)
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address()
+    server.close(() => resolve(port))
+  })
+})
+
+const stop = (child) => new Promise(resolve => {
+  if (child.exitCode !== null) return resolve()
+  child.once('exit', resolve)
+  child.kill()
+})
+
+// Levanta index.js con el driver JSON sobre un directorio temporal con las colecciones indicadas.
+// request(method, ruta, { token, body }) devuelve { status, body } y emails() los mensajes del outbox,
+// del más viejo al más nuevo. Al terminar el test se detiene el servidor y se borra el directorio
+export const startServer = async (t, collections = {}) => {
+  const dir = await createTempDir()
+  const outbox = path.join(dir, 'outbox')
+  await writeCollections(dir, collections)
+
+  const port = await freePort()
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: BACKEND_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_DRIVER: 'json',
+      DATA_DIR: dir,
+      MAIL_DRIVER: 'outbox',
+      MAIL_OUTBOX_DIR: outbox,
+      JWT_SECRET: 'clave-de-los-tests'
+    },
+    stdio: 'ignore'
+  })
+  t.after(async () => {
+    await stop(child)
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  const url = `http://127.0.0.1:${port}`
+  const request = async (method, route, { token, body } = {}) => {
+    const headers = {}
+    if (body !== undefined) headers['Content-Type'] = 'application/json'
+    if (token) headers.Authorization = `Bearer ${token}`
+
+    const response = await fetch(url + route, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) })
+    return { status: response.status, body: await response.json() }
+  }
+
+  // La ruta / se registra al final de index.js: cuando responde ya están todas
+  for (let attempt = 1; ; attempt++) {
+    const ready = await request('GET', '/').then(response => response.status === 200, () => false)
+    if (ready) break
+    if (attempt === 100 || child.exitCode !== null) throw new Error('El servidor de los tests no arrancó')
+    await new Promise(resolve => setTimeout(resolve, 50))
+  }
+
+  const emails = async () => {
+    const files = await readdir(outbox).catch(() => [])
+    return Promise.all(files.sort().map(file => readFile(path.join(outbox, file), 'utf-8')))
+  }
+
+  return { dir, request, emails }
+}
+
+// Inicia sesión con TEST_PASSWORD y devuelve { token, refreshToken, user }
+export const login = async (request, email, password = TEST_PASSWORD) => {
+  const { status, body } = await request('POST', '/auth/login', { body: { email, password } })
+  if (status !== 200) throw new Error(`No se pudo iniciar sesión con ${email}: ${status}`)
+  return body
+}
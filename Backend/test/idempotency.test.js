@@ -0,0 +1,113 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'timers/promises'
+import { idempotency } from '../idempotency.js'
+import { openTempRepositories } from './helpers.js'
+
+// Solicitud como la ve el middleware: POST /orders con la clave abc del usuario 10
+const request = () => ({
+  method: 'POST',
+  originalUrl: '/orders',
+  body: { items: [{ id: 1, quantity: 1 }] },
+  user: { id: 10 },
+  get: (header) => header === 'Idempotency-Key' ? 'abc' : undefined
+})
+
+// Respuesta mínima de Express. sent se resuelve con lo que finalmente se mandó al cliente
+const response = () => {
+  let markSent
+  const res = {
+    statusCode: 200,
+    headers: {},
+    sent: new Promise(resolve => { markSent = resolve }),
+    on: () => res,
+    set: (name, value) => { res.headers[name] = value },
+    status: (code) => { res.statusCode = code; return res },
+    json: (body) => { markSent(body); return res }
+  }
+  return res
+}
+
+// Corre el middleware y devuelve si la solicitud siguió a la ruta, la respuesta y el error que lanzó
+const run = async (repos) => {
+  const res = response()
+  let passed = false
+  try {
+    await idempotency(repos)(request(), res, () => { passed = true })
+    return { passed, res }
+  } catch (error) {
+    return { passed, res, error }
+  }
+}
+
+// Vence el plazo de la solicitud en curso, como si el servidor se hubiera caído sin responder
+const expireLease = async (repos) => {
+  const [record] = await repos.idempotencyKeys.findAll()
+  await repos.idempotencyKeys.update(record.id, { lockedUntil: new Date(Date.now() - 1000).toISOString() })
+}
+
+test('una solicitud en curso retiene la clave durante el plazo', async (t) => {
+  const repos = await openTempRepositories(t)
+
+  assert.equal((await run(repos)).passed, true)
+  const { passed, error } = await run(repos)
+  assert.equal(passed, false)
+  assert.equal(error.code, 'IDEMPOTENCY_KEY_IN_USE')
+})
+
+test('un reintento toma la clave de una solicitud en curso con el plazo vencido', async (t) => {
+  const repos = await openTempRepositories(t)
+
+  await run(repos)
+  const [stale] = await repos.idempotencyKeys.findAll()
+  await expireLease(repos)
+
+  const { passed, error } = await run(repos)
+  assert.equal(error, undefined)
+  assert.equal(passed, true)
+
+  const records = await repos.idempotencyKeys.findAll()
+  assert.equal(records.length, 1)
+  assert.equal(records[0].status, 'processing')
+  assert.notEqual(records[0].ownerToken, stale.ownerToken)
+  assert.ok(new Date(records[0].lockedUntil) > new Date())
+})
+
+test('el plazo se renueva mientras la ruta sigue corriendo', async (t) => {
+  const repos = await openTempRepositories(t)
+  t.mock.timers.enable({ apis: ['setInterval'] })
+
+  await run(repos)
+  const [record] = await repos.idempotencyKeys.findAll()
+  await repos.idempotencyKeys.update(record.id, { lockedUntil: new Date(Date.now() + 1000).toISOString() })
+
+  t.mock.timers.tick(20 * 1000)
+  const renewed = new Date(Date.now() + 50 * 1000)
+  for (let i = 0; i < 100 && new Date((await repos.idempotencyKeys.findById(record.id)).lockedUntil) < renewed; i++) {
+    await sleep(10)
+  }
+  assert.ok(new Date((await repos.idempotencyKeys.findById(record.id)).lockedUntil) >= renewed)
+  assert.equal((await run(repos)).error.code, 'IDEMPOTENCY_KEY_IN_USE')
+})
+
+test('la solicitud que perdió la clave no pisa la respuesta de la que la tomó', async (t) => {
+  const repos = await openTempRepositories(t)
+
+  const first = await run(repos)
+  await expireLease(repos)
+  const second = await run(repos)
+  assert.equal(second.passed, true)
+
+  // La primera termina tarde: su respuesta le llega a su cliente pero no se guarda
+  first.res.status(201).json({ order: { id: 1 } })
+  assert.deepEqual(await first.res.sent, { order: { id: 1 } })
+  assert.equal((await repos.idempotencyKeys.findAll())[0].status, 'processing')
+
+  second.res.status(201).json({ order: { id: 2 } })
+  await second.res.sent
+
+  const replay = await run(repos)
+  assert.equal(replay.passed, false)
+  assert.equal(replay.res.headers['Idempotent-Replayed'], 'true')
+  assert.deepEqual(await replay.res.sent, { order: { id: 2 } })
+})
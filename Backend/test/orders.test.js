@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { validate } from '../validation.js'
+import { createOrderSchema, quoteSchema } from '../schemas.js'
+
+const shippingAddress = { street: 'Av 1', city: 'Salta', province: 'Salta', postalCode: '4400' }
+
+// Corre el middleware de validación como lo haría Express y devuelve el error que lanza, si hay
+const validateBody = (schema, body) => {
+  const req = { body, params: {}, query: {} }
+  try {
+    validate(schema)(req, {}, () => {})
+    return { body: req.body }
+  } catch (error) {
+    return { error }
+  }
+}
+
+test('POST /orders rechaza un producto repetido en varias líneas', () => {
+  const { error } = validateBody(createOrderSchema, {
+    items: [{ id: 1, quantity: 5 }, { id: 1, quantity: 5 }],
+    shippingAddress
+  })
+
+  assert.equal(error.status, 400)
+  assert.equal(error.code, 'VALIDATION_ERROR')
+  assert.deepEqual(error.fields, { 'items.1.id': 'Está repetido' })
+})
+
+test('POST /orders acepta productos distintos', () => {
+  const { body, error } = validateBody(createOrderSchema, {
+    items: [{ id: 1, quantity: 5 }, { id: 2, quantity: 1 }],
+    shippingAddress
+  })
+
+  assert.equal(error, undefined)
+  assert.deepEqual(body.items, [{ id: 1, quantity: 5 }, { id: 2, quantity: 1 }])
+})
+
+test('POST /cart/quote rechaza un producto repetido en varias líneas', () => {
+  const { error } = validateBody(quoteSchema, { items: [{ id: 1, quantity: 20 }, { id: 1, quantity: 20 }] })
+
+  assert.equal(error.status, 400)
+  assert.equal(error.code, 'VALIDATION_ERROR')
+  assert.deepEqual(error.fields, { 'items.1.id': 'Está repetido' })
+})
@@ -0,0 +1,56 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { openTempRepositories } from './helpers.js'
+import { recordPayment, cancelExpiredOrders } from '../payments.js'
+
+// Repositorios JSON en un directorio temporal con una orden pendiente de 2 auriculares, ya descontados del stock
+const openWithOrder = (t, { createdAt = new Date().toISOString() } = {}) => openTempRepositories(t, {
+  products: [{ id: 1, name: 'Auriculares', category: 'Audio', price: 1000, stock: 4, archived: false }],
+  orders: [{
+    id: 1,
+    number: 'ORD-000001',
+    userId: 10,
+    status: 'pending',
+    paymentStatus: 'pending',
+    total: 2000,
+    lines: [{ productId: 1, productName: 'Auriculares', unitPrice: 1000, quantity: 2, subtotal: 2000, discount: 0 }],
+    statusHistory: [{ status: 'pending', date: createdAt, userId: 10 }],
+    createdAt,
+    updatedAt: createdAt
+  }]
+})
+
+const payment = (status, amount = 2000) => ({ id: '55', status, externalReference: 1, amount })
+
+test('un pago rechazado cancela la orden y devuelve el stock', async (t) => {
+  const repos = await openWithOrder(t)
+
+  const { order } = await repos.transaction(tx => recordPayment(tx, 'mock', payment('rejected')))
+  assert.equal(order.status, 'cancelled')
+  assert.equal(order.paymentStatus, 'rejected')
+  assert.equal(order.statusHistory.at(-1).note, 'Pago 55 rechazado')
+  assert.equal((await repos.products.findById(1)).stock, 6)
+  assert.deepEqual((await repos.stockMovements.findByProductId(1)).map(m => [m.type, m.quantity]), [['initial', 4], ['return', 2]])
+})
+
+test('un pago aprobado que llega después de la cancelación no devuelve el stock dos veces', async (t) => {
+  const repos = await openWithOrder(t)
+
+  await repos.transaction(tx => recordPayment(tx, 'mock', payment('rejected')))
+  const { order } = await repos.transaction(tx => recordPayment(tx, 'mock', payment('approved')))
+  assert.equal(order.status, 'cancelled')
+  assert.equal((await repos.products.findById(1)).stock, 6)
+})
+
+test('cancelExpiredOrders cancela solo las órdenes pendientes que superaron el plazo de pago', async (t) => {
+  const fresh = await openWithOrder(t)
+  assert.equal(await fresh.transaction(cancelExpiredOrders), 0)
+  assert.equal((await fresh.orders.findById(1)).status, 'pending')
+
+  const old = await openWithOrder(t, { createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() })
+  assert.equal(await old.transaction(cancelExpiredOrders), 1)
+  const order = await old.orders.findById(1)
+  assert.equal(order.status, 'cancelled')
+  assert.equal(order.statusHistory.at(-1).note, 'Venció el plazo de pago')
+  assert.equal((await old.products.findById(1)).stock, 6)
+})
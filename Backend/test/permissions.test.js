@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { hasPermission, permissionsFor, PERMISSIONS } from '../permissions.js'
+import { startServer, testUsers, login } from './helpers.js'
+
+const products = [{ id: 1, name: 'Auriculares', category: 'Audio', price: 1000, stock: 6, archived: false }]
+
+test('cada rol tiene solo sus permisos', () => {
+  assert.deepEqual(permissionsFor('customer'), [])
+  assert.deepEqual(permissionsFor('admin'), Object.keys(PERMISSIONS))
+  assert.equal(hasPermission('employee', 'orders:manage'), true)
+  assert.equal(hasPermission('employee', 'products:stock'), true)
+  assert.equal(hasPermission('employee', 'products:write'), false)
+  assert.equal(hasPermission('employee', 'users:read'), false)
+  assert.equal(hasPermission('employee', 'audit:read'), false)
+  // Un rol desconocido no tiene ningún permiso
+  assert.equal(hasPermission('superuser', 'orders:read'), false)
+})
+
+test('las rutas protegidas responden según el rol', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers(), products })
+  const admin = await login(request, 'admin@test.com')
+  const employee = await login(request, 'employee@test.com')
+  const customer = await login(request, 'customer@test.com')
+
+  assert.equal((await request('GET', '/orders')).status, 401)
+  assert.equal((await request('GET', '/orders', { token: customer.token })).status, 403)
+  assert.equal((await request('GET', '/orders', { token: employee.token })).status, 200)
+
+  assert.equal((await request('GET', '/users', { token: employee.token })).status, 403)
+  assert.equal((await request('GET', '/audit-logs', { token: employee.token })).status, 403)
+  assert.equal((await request('GET', '/users', { token: admin.token })).status, 200)
+
+  // El empleado cambia el stock, pero no el resto del producto
+  const price = await request('PATCH', '/products/1', { token: employee.token, body: { price: 1 } })
+  assert.equal(price.status, 403)
+  const stock = await request('PATCH', '/products/1', { token: employee.token, body: { stock: 10 } })
+  assert.equal(stock.status, 200)
+  assert.equal(stock.body.product.stock, 10)
+  assert.equal(stock.body.product.price, 1000)
+})
+
+test('un cambio de rol vale enseguida para los tokens ya emitidos', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const admin = await login(request, 'admin@test.com')
+  const customer = await login(request, 'customer@test.com')
+
+  assert.equal((await request('GET', '/orders', { token: customer.token })).status, 403)
+  const promoted = await request('PATCH', '/users/3/role', { token: admin.token, body: { role: 'employee' } })
+  assert.equal(promoted.status, 200)
+  assert.deepEqual(promoted.body.user.permissions, permissionsFor('employee'))
+  assert.equal((await request('GET', '/orders', { token: customer.token })).status, 200)
+
+  await request('PATCH', '/users/3/role', { token: admin.token, body: { role: 'customer' } })
+  assert.equal((await request('GET', '/orders', { token: customer.token })).status, 403)
+})
+
+test('un administrador no puede cambiar su propio rol', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const admin = await login(request, 'admin@test.com')
+
+  const { status, body } = await request('PATCH', '/users/1/role', { token: admin.token, body: { role: 'customer' } })
+  assert.equal(status, 409)
+  assert.equal(body.error.code, 'CANNOT_CHANGE_OWN_ROLE')
+})
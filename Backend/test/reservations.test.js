@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { openTempRepositories } from './helpers.js'
+import { checkAvailability, reserveCart } from '../reservations.js'
+
+// Repositorios JSON en un directorio temporal con un producto de 6 unidades
+const openWithProduct = (t) => openTempRepositories(t, {
+  products: [{ id: 1, name: 'Auriculares', category: 'Audio', price: 1000, stock: 6, archived: false }]
+})
+
+test('reserveCart suma las líneas repetidas de un producto antes de controlar el stock', async (t) => {
+  const repos = await openWithProduct(t)
+
+  await assert.rejects(
+    repos.transaction(tx => reserveCart(tx, 10, [{ id: 1, quantity: 5 }, { id: 1, quantity: 5 }])),
+    { code: 'INSUFFICIENT_STOCK' }
+  )
+  assert.deepEqual(await repos.reservations.findAll(), [])
+})
+
+test('checkAvailability acepta líneas repetidas que entran en el stock', async (t) => {
+  const repos = await openWithProduct(t)
+
+  const products = await checkAvailability(repos, [{ id: 1, quantity: 3 }, { id: 1, quantity: 3 }], 10)
+  assert.equal(products.length, 2)
+})
+
+test('checkAvailability descuenta lo reservado por otros usuarios pero no lo propio', async (t) => {
+  const repos = await openWithProduct(t)
+
+  await repos.transaction(tx => reserveCart(tx, 20, [{ id: 1, quantity: 4 }]))
+  await assert.rejects(checkAvailability(repos, [{ id: 1, quantity: 3 }], 10), { code: 'INSUFFICIENT_STOCK' })
+  await repos.transaction(tx => reserveCart(tx, 20, [{ id: 1, quantity: 6 }]))
+})
@@ -0,0 +1,16 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toCSV } from '../csv.js'
+import { PRODUCT_COLUMNS, parseProductImport } from '../spreadsheets.js'
+import { productImportRow } from '../schemas.js'
+
+test('un export de productos se vuelve a importar sin la columna archived', () => {
+  const csv = toCSV(PRODUCT_COLUMNS, [
+    { id: 1, name: 'Auriculares', category: 'Audio', price: 1000, stock: 6, image: '', lowStockThreshold: 2, weight: 0.3, archived: true }
+  ])
+
+  const { rows, fields } = parseProductImport(csv, productImportRow)
+  assert.deepEqual(fields, {})
+  assert.equal(rows.length, 1)
+  assert.deepEqual(rows[0].values, { id: 1, name: 'Auriculares', category: 'Audio', price: 1000, stock: 6, lowStockThreshold: 2, weight: 0.3 })
+})
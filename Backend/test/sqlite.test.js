@@ -0,0 +1,33 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import path from 'path'
+import { openSqliteRepositories } from '../repositories/sqlite.js'
+import { tempDir } from './helpers.js'
+
+test('las lecturas fuera de la transacción no ven lo que todavía no se confirmó', async (t) => {
+  const dir = await tempDir(t)
+  const repos = await openSqliteRepositories(path.join(dir, 'test.db'))
+  const product = await repos.products.create({ name: 'Auriculares', category: 'Audio', price: 1000, stock: 6 })
+
+  // La transacción escribe y se queda esperando hasta que el test la deje terminar
+  let finish
+  const waiting = new Promise(resolve => { finish = resolve })
+  let markWritten
+  const written = new Promise(resolve => { markWritten = resolve })
+  const failed = repos.transaction(async (tx) => {
+    await tx.products.update(product.id, { stock: 1 })
+    await tx.products.create({ name: 'Mouse', category: 'Accesorios', price: 500, stock: 3 })
+    markWritten()
+    await waiting
+    throw new Error('Se deshace')
+  })
+
+  await written
+  assert.equal((await repos.products.findById(product.id)).stock, 6)
+  assert.deepEqual((await repos.products.findAll()).map(p => p.name), ['Auriculares'])
+
+  finish()
+  await assert.rejects(failed, { message: 'Se deshace' })
+  assert.equal((await repos.products.findById(product.id)).stock, 6)
+  assert.equal((await repos.products.findAll()).length, 1)
+})
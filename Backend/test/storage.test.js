@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdir, readFile, rm, writeFile, access } from 'fs/promises'
+import path from 'path'
+import { openStorage } from '../storage.js'
+import { tempDir } from './helpers.js'
+
+const readJson = async (dir, name) => JSON.parse(await readFile(path.join(dir, name), 'utf-8'))
+
+test('los cambios de una transacción no se ven hasta que se confirman', async (t) => {
+  const dir = await tempDir(t)
+  const storage = await openStorage(dir, ['products'])
+
+  await storage.transaction(({ data, touch }) => {
+    touch('products')
+    data.products.push({ id: 1 })
+    assert.deepEqual(storage.data.products, [])
+  })
+
+  assert.deepEqual(storage.data.products, [{ id: 1 }])
+  assert.deepEqual(await readJson(dir, 'products.json'), [{ id: 1 }])
+})
+
+test('si la transacción falla no cambia nada', async (t) => {
+  const dir = await tempDir(t)
+  const storage = await openStorage(dir, ['products'])
+
+  await assert.rejects(storage.transaction(({ data, touch }) => {
+    touch('products')
+    data.products.push({ id: 1 })
+    throw new Error('falla')
+  }), /falla/)
+
+  assert.deepEqual(storage.data.products, [])
+  await assert.rejects(access(path.join(dir, 'products.json')))
+})
+
+test('si falla la escritura con journal se restauran los archivos y se borra el journal', async (t) => {
+  const dir = await tempDir(t)
+  await writeFile(path.join(dir, 'a.json'), JSON.stringify([{ id: 1 }]))
+  const storage = await openStorage(dir, ['a', 'b'])
+
+  // Un directorio con el nombre del archivo hace fallar el rename del segundo, después de reemplazar el primero
+  await mkdir(path.join(dir, 'b.json'))
+
+  await assert.rejects(storage.transaction(({ data, touch }) => {
+    touch('a')
+    touch('b')
+    data.a.push({ id: 2 })
+    data.b.push({ id: 1 })
+  }))
+
+  assert.deepEqual(storage.data.a, [{ id: 1 }])
+  assert.deepEqual(await readJson(dir, 'a.json'), [{ id: 1 }])
+  await assert.rejects(access(path.join(dir, '.journal.json')))
+
+  // Al reabrir no hay nada que recuperar: queda el estado anterior a la transacción
+  await rm(path.join(dir, 'b.json'), { recursive: true })
+  const reopened = await openStorage(dir, ['a', 'b'])
+  assert.deepEqual(reopened.data.a, [{ id: 1 }])
+})
@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, testUsers, login, TEST_PASSWORD } from './helpers.js'
+
+const setStatus = (request, token, id, disabled) =>
+  request('PATCH', `/users/${id}/status`, { token, body: { disabled } })
+
+test('deshabilitar una cuenta cierra sus sesiones y bloquea el login', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const admin = await login(request, 'admin@test.com')
+  const customer = await login(request, 'customer@test.com')
+
+  const disabled = await setStatus(request, admin.token, 3, true)
+  assert.equal(disabled.status, 200)
+  assert.equal(disabled.body.user.disabled, true)
+
+  const profile = await request('GET', '/auth/profile', { token: customer.token })
+  assert.equal(profile.status, 403)
+  assert.equal(profile.body.error.code, 'ACCOUNT_DISABLED')
+  assert.equal((await request('POST', '/auth/refresh', { body: { refreshToken: customer.refreshToken } })).status, 401)
+
+  const relogin = await request('POST', '/auth/login', { body: { email: 'customer@test.com', password: TEST_PASSWORD } })
+  assert.equal(relogin.status, 403)
+  assert.equal(relogin.body.error.code, 'ACCOUNT_DISABLED')
+  assert.equal(relogin.body.token, undefined)
+})
+
+test('al habilitar la cuenta de nuevo las sesiones viejas siguen revocadas', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const admin = await login(request, 'admin@test.com')
+  const customer = await login(request, 'customer@test.com')
+
+  await setStatus(request, admin.token, 3, true)
+  const enabled = await setStatus(request, admin.token, 3, false)
+  assert.equal(enabled.status, 200)
+  assert.equal(enabled.body.user.disabled, false)
+
+  const profile = await request('GET', '/auth/profile', { token: customer.token })
+  assert.equal(profile.status, 403)
+  assert.equal(profile.body.error.code, 'INVALID_TOKEN')
+  assert.equal((await request('POST', '/auth/refresh', { body: { refreshToken: customer.refreshToken } })).status, 401)
+
+  const fresh = await login(request, 'customer@test.com')
+  assert.equal((await request('GET', '/auth/profile', { token: fresh.token })).status, 200)
+})
+
+test('un administrador no puede deshabilitar su propia cuenta', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const admin = await login(request, 'admin@test.com')
+
+  const { status, body } = await setStatus(request, admin.token, 1, true)
+  assert.equal(status, 409)
+  assert.equal(body.error.code, 'CANNOT_DISABLE_OWN_ACCOUNT')
+  assert.equal((await request('GET', '/auth/profile', { token: admin.token })).status, 200)
+})
+
+test('solo quien tiene users:manage deshabilita cuentas', async (t) => {
+  const { request } = await startServer(t, { users: await testUsers() })
+  const employee = await login(request, 'employee@test.com')
+  const customer = await login(request, 'customer@test.com')
+
+  assert.equal((await setStatus(request, employee.token, 3, true)).status, 403)
+  assert.equal((await setStatus(request, customer.token, 2, true)).status, 403)
+  assert.equal((await request('GET', '/auth/profile', { token: customer.token })).status, 200)
+})
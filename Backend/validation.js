@@ -0,0 +1,147 @@
+import { HttpError } from './errors.js'
+
+// Cada regla es una función (valor, opciones) que devuelve { value } o { error }.
+// Con coerce (params y query) los números y booleanos pueden llegar como texto.
+// Los campos opcionales ausentes devuelven { value: undefined } y no se incluyen en el resultado.
+
+const missing = (value) => value === undefined || value === null
+
+const optional = (required, check) => (value, options = {}) => {
+  if (missing(value)) return required ? { error: 'Es requerido' } : { value: undefined }
+  return check(value, options)
+}
+
+export const string = ({ required = true, min = required ? 1 : 0, max = 255, pattern, message } = {}) =>
+  optional(required, (value) => {
+    if (typeof value !== 'string') return { error: 'Debe ser un texto' }
+    const trimmed = value.trim()
+    if (trimmed.length < min) return { error: min === 1 ? 'Es requerido' : `Debe tener al menos ${min} caracteres` }
+    if (trimmed.length > max) return { error: `Debe tener como máximo ${max} caracteres` }
+    if (pattern && trimmed !== '' && !pattern.test(trimmed)) return { error: message || 'Formato inválido' }
+    return { value: trimmed }
+  })
+
+export const email = ({ required = true } = {}) =>
+  string({ required, max: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Debe ser un email válido' })
+
+export const url = ({ required = false } = {}) =>
+  string({ required, max: 2048, pattern: /^https?:\/\/\S+$/, message: 'Debe ser una URL http(s)' })
+
+// Fecha AAAA-MM-DD (por ejemplo en filtros de rango); se devuelve como texto
+export const date = ({ required = true } = {}) =>
+  optional(required, (value) => {
+    const checked = string({ pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'Debe ser una fecha AAAA-MM-DD' })(value)
+    if (checked.error) return checked
+    const parsed = new Date(`${checked.value}T00:00:00Z`)
+    if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== checked.value) {
+      return { error: 'No es una fecha válida' }
+    }
+    return checked
+  })
+
+export const number = ({ required = true, min, max, integer = false } = {}) =>
+  optional(required, (value, { coerce }) => {
+    if (coerce && typeof value === 'string' && value.trim() !== '') value = Number(value)
+    if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'Debe ser un número' }
+    if (integer && !Number.isInteger(value)) return { error: 'Debe ser un número entero' }
+    if (min !== undefined && value < min) return { error: `Debe ser mayor o igual a ${min}` }
+    if (max !== undefined && value > max) return { error: `Debe ser menor o igual a ${max}` }
+    return { value }
+  })
+
+// Precio o monto: número mayor a 0
+export const positive = ({ required = true } = {}) =>
+  optional(required, (value, options) => {
+    const result = number()(value, options)
+    if (result.error) return result
+    return result.value > 0 ? result : { error: 'Debe ser mayor a 0' }
+  })
+
+export const id = ({ required = true } = {}) => number({ required, min: 1, integer: true })
+
+export const boolean = ({ required = true } = {}) =>
+  optional(required, (value, { coerce }) => {
+    if (coerce && (value === 'true' || value === 'false')) value = value === 'true'
+    return typeof value === 'boolean' ? { value } : { error: 'Debe ser verdadero o falso' }
+  })
+
+export const oneOf = (values, { required = true } = {}) =>
+  optional(required, (value) =>
+    values.includes(value) ? { value } : { error: `Valores posibles: ${values.join(', ')}` }
+  )
+
+// Los errores de los elementos se reportan con su ruta (items.0.quantity)
+// unique es un campo de los elementos (objetos) que no se puede repetir en la lista
+export const array = (item, { required = true, min = 0, max = 100, unique } = {}) =>
+  optional(required, (value, options) => {
+    if (!Array.isArray(value)) return { error: 'Debe ser una lista' }
+    if (value.length < min) return { error: min === 1 ? 'No puede estar vacío' : `Debe tener al menos ${min} elementos` }
+    if (value.length > max) return { error: `Debe tener como máximo ${max} elementos` }
+
+    const result = []
+    const fields = {}
+    const seen = new Set()
+    value.forEach((element, index) => {
+      const checked = item(element, options)
+      if (checked.fields) {
+        for (const [path, error] of Object.entries(checked.fields)) fields[`${index}.${path}`] = error
+      } else if (checked.error) {
+        fields[index] = checked.error
+      } else if (unique && seen.has(checked.value[unique])) {
+        fields[`${index}.${unique}`] = 'Está repetido'
+      } else {
+        if (unique) seen.add(checked.value[unique])
+        result.push(checked.value)
+      }
+    })
+    return Object.keys(fields).length > 0 ? { fields } : { value: result }
+  })
+
+// Los campos que no están en el esquema se descartan
+export const object = (shape, { required = true } = {}) =>
+  optional(required, (value, options) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return { error: 'Debe ser un objeto' }
+    return checkShape(shape, value, options)
+  })
+
+const checkShape = (shape, input, options) => {
+  const value = {}
+  const fields = {}
+
+  for (const [key, rule] of Object.entries(shape)) {
+    const checked = rule(input[key], options)
+    if (checked.fields) {
+      for (const [path, error] of Object.entries(checked.fields)) fields[`${key}.${path}`] = error
+    } else if (checked.error) {
+      fields[key] = checked.error
+    } else if (checked.value !== undefined) {
+      value[key] = checked.value
+    }
+  }
+
+  return Object.keys(fields).length > 0 ? { fields } : { value }
+}
+
+// Middleware: valida body, params y query contra el esquema y los reemplaza por los valores limpios.
+// Si algo falla responde 400 con un error por campo
+export const validate = (schema) => (req, res, next) => {
+  const fields = {}
+  const results = {}
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) continue
+    const checked = checkShape(schema[location], req[location] || {}, { coerce: location !== 'body' })
+    if (checked.fields) Object.assign(fields, checked.fields)
+    else results[location] = checked.value
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(400, 'Hay datos inválidos en la solicitud', { code: 'VALIDATION_ERROR', fields })
+  }
+
+  if (results.body) req.body = results.body
+  if (results.params) req.params = results.params
+  // En Express 5 req.query es un getter: se tapa con los valores validados
+  if (results.query) Object.defineProperty(req, 'query', { value: results.query })
+  next()
+}
@@ -1,8 +1,45 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { ShoppingCart, Filter, X, Plus, Minus, Check, Loader, AlertCircle, User, LogOut, Package } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, createContext, useContext } from 'react';
+import { ShoppingCart, Filter, X, Plus, Minus, Check, Loader, AlertCircle, User, LogOut, Package, BarChart3, Download, Upload, Boxes, Clock, Tag, ClipboardList, Users } from 'lucide-react';
 
 const API_URL = 'http://localhost:5555';
 
+// Error de la API: el backend responde { error: { code, message, fields } }
+class ApiError extends Error {
+  constructor(data, fallback) {
+    super(data?.error?.message || fallback);
+    this.code = data?.error?.code;
+    this.fields = data?.error?.fields || {};
+  }
+}
+
+// Mensaje de error debajo de un campo de formulario
+function FieldError({ message }) {
+  if (!message) return null;
+  return <p className="text-xs text-red-600 mt-1">{message}</p>;
+}
+
+// Umbral de stock bajo si el producto no tiene uno propio (igual que en el backend)
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+const isLowStock = (product, stock = product.stock) => stock <= (product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD);
+
+// Stock que se puede comprar: el total menos lo reservado en checkouts de otros usuarios
+const availableStock = (product) => product.available ?? product.stock;
+
+// Descarga un archivo de la API (las exportaciones requieren el token)
+const downloadFile = async (authFetch, path) => {
+  const response = await authFetch(path);
+  if (!response.ok) throw new ApiError(await response.json(), 'No se pudo descargar el archivo');
+
+  const filename = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'export';
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
 // Context para autenticación
 const AuthContext = createContext();
 
@@ -17,6 +54,9 @@ function AuthProvider({ children }) {
   const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  // Refresh en curso: si varias peticiones fallan a la vez se renueva una sola vez
+  const refreshing = useRef(null);
+
   useEffect(() => {
     const savedToken = localStorage.getItem('token');
     const savedUser = localStorage.getItem('user');
@@ -28,23 +68,106 @@ function AuthProvider({ children }) {
     setLoading(false);
   }, []);
 
-  const login = (userData, userToken) => {
+  const login = (userData, userToken, refreshToken) => {
     setUser(userData);
     setToken(userToken);
     localStorage.setItem('token', userToken);
+    localStorage.setItem('refreshToken', refreshToken);
     localStorage.setItem('user', JSON.stringify(userData));
   };
 
-  const logout = () => {
+  // Reemplaza los datos del usuario guardado, solo si es el mismo que tiene la sesión abierta
+  const updateUser = useCallback((userData) => {
+    const savedUser = JSON.parse(localStorage.getItem('user') || 'null');
+    if (savedUser?.id !== userData.id) return;
+    setUser(userData);
+    localStorage.setItem('user', JSON.stringify(userData));
+  }, []);
+
+  const clearSession = useCallback(() => {
     setUser(null);
     setToken(null);
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
-    localStorage.removeItem('cart');
+  }, []);
+
+  // Pide un access token nuevo; si el refresh token ya no sirve se cierra la sesión
+  const refreshSession = useCallback(() => {
+    if (!refreshing.current) {
+      refreshing.current = (async () => {
+        try {
+          const response = await fetch(API_URL + '/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+          });
+          if (!response.ok) throw new Error('Sesión expirada');
+
+          const data = await response.json();
+          setToken(data.token);
+          localStorage.setItem('token', data.token);
+          localStorage.setItem('refreshToken', data.refreshToken);
+          return data.token;
+        } catch {
+          clearSession();
+          return null;
+        } finally {
+          refreshing.current = null;
+        }
+      })();
+    }
+    return refreshing.current;
+  }, [clearSession]);
+
+  // fetch con el token del usuario; si el token venció lo renueva y reintenta una vez
+  const authFetch = useCallback(async (path, options = {}) => {
+    const send = (accessToken) => fetch(API_URL + path, {
+      ...options,
+      headers: { ...options.headers, 'Authorization': 'Bearer ' + accessToken }
+    });
+
+    let response = await send(localStorage.getItem('token'));
+    if (response.status === 403) {
+      const data = await response.clone().json().catch(() => null);
+      if (data?.error?.code === 'INVALID_TOKEN') {
+        const newToken = await refreshSession();
+        if (newToken) response = await send(newToken);
+      }
+      // Un administrador deshabilitó la cuenta: la sesión ya no sirve
+      if (data?.error?.code === 'ACCOUNT_DISABLED') clearSession();
+    }
+    return response;
+  }, [refreshSession, clearSession]);
+
+  // El rol y los permisos pueden cambiar: al abrir la app se actualizan los datos guardados
+  useEffect(() => {
+    if (!localStorage.getItem('token')) return;
+    (async () => {
+      try {
+        const response = await authFetch('/auth/profile');
+        if (response.ok) updateUser(await response.json());
+      } catch (err) {
+        console.error('Error loading profile:', err);
+      }
+    })();
+  }, [authFetch, updateUser]);
+
+  // Permisos del usuario según su rol (los define el backend)
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
+
+  // Revoca la sesión en el backend; aunque falle, se cierra localmente
+  const logout = async () => {
+    try {
+      await authFetch('/auth/logout', { method: 'POST' });
+    } catch {
+      // Sin conexión: el refresh token vence solo
+    }
+    clearSession();
   };
 
   return (
-    <AuthContext.Provider value={{ user, token, login, logout, loading, isAuthenticated: !!token }}>
+    <AuthContext.Provider value={{ user, token, login, logout, updateUser, clearSession, authFetch, can, loading, isAuthenticated: !!token }}>
       {children}
     </AuthContext.Provider>
   );
@@ -59,43 +182,85 @@ const useCart = () => {
   return context;
 };
 
+// Carrito armado sin sesión
+const readSavedCart = () => {
+  try {
+    return JSON.parse(localStorage.getItem('cart') || '[]');
+  } catch (e) {
+    console.error('Error loading cart:', e);
+    return [];
+  }
+};
+
+// Sin sesión el carrito vive en localStorage; con sesión se guarda en el servidor (/cart)
 function CartProvider({ children }) {
-  const [cart, setCart] = useState([]);
+  const [cart, setCart] = useState(readSavedCart);
+  // Cupón que se manda en el presupuesto y en la orden; el servidor decide si se puede usar
+  const [couponCode, setCouponCode] = useState(() => localStorage.getItem('coupon') || '');
+  const { user, authFetch, loading } = useAuth();
+  const userId = user?.id;
+
+  // Ejecuta una operación de /cart y reemplaza el carrito por el que devuelve el servidor
+  const syncCart = useCallback(async (path, { method = 'GET', body } = {}) => {
+    const response = await authFetch(path, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) throw new ApiError(data, 'Error al actualizar el carrito');
+    setCart(data.items);
+    return data;
+  }, [authFetch]);
 
+  // Al iniciar sesión el carrito local se suma al guardado (ver POST /cart/merge).
+  // Al cerrarla el carrito queda en el servidor y en este navegador se vacía
   useEffect(() => {
-    const savedCart = localStorage.getItem('cart');
-    if (savedCart) {
+    if (loading || !userId) return;
+    (async () => {
       try {
-        setCart(JSON.parse(savedCart));
-      } catch (e) {
-        console.error('Error loading cart:', e);
+        await syncCart('/cart/merge', { method: 'POST', body: { items: readSavedCart() } });
+        localStorage.removeItem('cart');
+      } catch (err) {
+        console.error('Error loading cart:', err);
       }
-    }
-  }, []);
+    })();
+    return () => setCart([]);
+  }, [loading, userId, syncCart]);
+
+  useEffect(() => {
+    if (!loading && !userId) localStorage.setItem('cart', JSON.stringify(cart));
+  }, [cart, loading, userId]);
 
   useEffect(() => {
-    localStorage.setItem('cart', JSON.stringify(cart));
-  }, [cart]);
+    if (couponCode) localStorage.setItem('coupon', couponCode);
+    else localStorage.removeItem('coupon');
+  }, [couponCode]);
+
+  const showError = (err) => alert(err.message);
 
   const addToCart = (product) => {
-    setCart(prev => {
-      const existing = prev.find(item => item.id === product.id);
-      if (existing) {
-        if (existing.quantity >= product.stock) {
-          alert('Stock máximo disponible: ' + product.stock);
-          return prev;
-        }
-        return prev.map(item =>
-          item.id === product.id
-            ? { ...item, quantity: item.quantity + 1 }
-            : item
-        );
-      }
-      return [...prev, { ...product, quantity: 1 }];
-    });
+    const existing = cart.find(item => item.id === product.id);
+    if (existing && existing.quantity >= availableStock(product)) {
+      alert('Stock máximo disponible: ' + availableStock(product));
+      return;
+    }
+
+    if (userId) {
+      syncCart('/cart/items', { method: 'POST', body: { id: product.id, quantity: 1 } }).catch(showError);
+      return;
+    }
+    setCart(prev => prev.some(item => item.id === product.id)
+      ? prev.map(item => item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item)
+      : [...prev, { ...product, quantity: 1 }]
+    );
   };
 
   const removeFromCart = (productId) => {
+    if (userId) {
+      syncCart('/cart/items/' + productId, { method: 'DELETE' }).catch(showError);
+      return;
+    }
     setCart(prev => prev.filter(item => item.id !== productId));
   };
 
@@ -108,6 +273,11 @@ function CartProvider({ children }) {
       alert('Stock máximo disponible: ' + maxStock);
       return;
     }
+
+    if (userId) {
+      syncCart('/cart/items/' + productId, { method: 'PATCH', body: { quantity } }).catch(showError);
+      return;
+    }
     setCart(prev =>
       prev.map(item =>
         item.id === productId ? { ...item, quantity } : item
@@ -115,7 +285,25 @@ function CartProvider({ children }) {
     );
   };
 
-  const clearCart = () => setCart([]);
+  // Vuelve a pedir el carrito al servidor, con los precios y el stock actuales
+  const refreshCart = () => {
+    if (userId) syncCart('/cart').catch(showError);
+  };
+
+  // Volver a comprar: suma al carrito lo que haya de una compra anterior y devuelve
+  // qué se agregó de cada producto (ver POST /cart/reorder)
+  const reorder = async (items) => {
+    const data = await syncCart('/cart/reorder', { method: 'POST', body: { items } });
+    return data.reorder;
+  };
+
+  const clearCart = () => {
+    if (userId) {
+      syncCart('/cart', { method: 'DELETE' }).catch(showError);
+      return;
+    }
+    setCart([]);
+  };
 
   const total = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
   const itemCount = cart.reduce((sum, item) => sum + item.quantity, 0);
@@ -127,6 +315,10 @@ function CartProvider({ children }) {
       removeFromCart,
       updateQuantity,
       clearCart,
+      refreshCart,
+      reorder,
+      couponCode,
+      setCouponCode,
       total,
       itemCount
     }}>
@@ -135,8 +327,16 @@ function CartProvider({ children }) {
   );
 }
 
-// Componente de Login/Register
-function AuthModal({ isOpen, onClose, mode: initialMode }) {
+// Títulos y endpoints de cada pantalla del modal de cuenta
+const AUTH_SCREENS = {
+  login: { title: 'Iniciar Sesión', endpoint: '/auth/login' },
+  register: { title: 'Registrarse', endpoint: '/auth/register' },
+  forgot: { title: 'Recuperar Contraseña', endpoint: '/auth/forgot-password', submit: 'Enviar link' },
+  reset: { title: 'Nueva Contraseña', endpoint: '/auth/reset-password', submit: 'Guardar contraseña' }
+};
+
+// Componente de Login/Register y recuperación de contraseña
+function AuthModal({ isOpen, onClose, mode: initialMode, resetToken }) {
   const [mode, setMode] = useState(initialMode || 'login');
   const [formData, setFormData] = useState({
     name: '',
@@ -147,12 +347,16 @@ function AuthModal({ isOpen, onClose, mode: initialMode }) {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [notice, setNotice] = useState('');
   const { login } = useAuth();
 
   useEffect(() => {
     if (isOpen) {
       setMode(initialMode || 'login');
       setError('');
+      setFieldErrors({});
+      setNotice('');
       setFormData({
         name: '',
         email: '',
@@ -167,30 +371,45 @@ function AuthModal({ isOpen, onClose, mode: initialMode }) {
 
   const handleSubmit = async () => {
     setError('');
+    setFieldErrors({});
+    setNotice('');
     setLoading(true);
 
     try {
-      const endpoint = mode === 'login' ? '/auth/login' : '/auth/register';
-      const body = mode === 'login' 
-        ? { email: formData.email, password: formData.password }
-        : formData;
+      const bodies = {
+        login: { email: formData.email, password: formData.password },
+        register: formData,
+        forgot: { email: formData.email },
+        reset: { token: resetToken, password: formData.password }
+      };
 
-      const response = await fetch(API_URL + endpoint, {
+      const response = await fetch(API_URL + AUTH_SCREENS[mode].endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
+        body: JSON.stringify(bodies[mode])
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Error en la operación');
+        throw new ApiError(data, 'Error en la operación');
+      }
+
+      // Recuperar y restablecer no inician sesión: se muestra el mensaje del backend
+      if (mode === 'forgot' || mode === 'reset') {
+        setNotice(data.message);
+        if (mode === 'reset') {
+          setMode('login');
+          setFormData({ ...formData, password: '' });
+        }
+        return;
       }
 
-      login(data.user, data.token);
+      login(data.user, data.token, data.refreshToken);
       onClose();
     } catch (err) {
       setError(err.message);
+      setFieldErrors(err.fields || {});
     } finally {
       setLoading(false);
     }
@@ -202,7 +421,7 @@ function AuthModal({ isOpen, onClose, mode: initialMode }) {
       <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white rounded-lg p-6 w-full max-w-md z-50 max-h-screen overflow-y-auto">
         <div className="flex items-center justify-between mb-6">
           <h2 className="text-2xl font-bold text-gray-800">
-            {mode === 'login' ? 'Iniciar Sesión' : 'Registrarse'}
+            {AUTH_SCREENS[mode].title}
           </h2>
           <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
             <X size={24} />
@@ -216,6 +435,19 @@ function AuthModal({ isOpen, onClose, mode: initialMode }) {
           </div>
         )}
 
+        {notice && (
+          <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg flex items-start gap-2">
+            <Check size={20} className="text-green-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-green-700">{notice}</p>
+          </div>
+        )}
+
+        {mode === 'forgot' && (
+          <p className="mb-4 text-sm text-gray-600">
+            Ingresa tu email y te enviaremos un link para elegir una contraseña nueva.
+          </p>
+        )}
+
         <div className="space-y-4">
           {mode === 'register' && (
             <div>
@@ -229,34 +461,41 @@ function AuthModal({ isOpen, onClose, mode: initialMode }) {
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 placeholder="Juan Pérez"
               />
+              <FieldError message={fieldErrors.name} />
             </div>
           )}
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Email
-            </label>
-            <input
-              type="email"
-              value={formData.email}
-              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="tu@email.com"
-            />
-          </div>
+          {mode !== 'reset' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Email
+              </label>
+              <input
+                type="email"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="tu@email.com"
+              />
+              <FieldError message={fieldErrors.email} />
+            </div>
+          )}
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Contraseña
-            </label>
-            <input
-              type="password"
-              value={formData.password}
-              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="••••••••"
-            />
-          </div>
+          {mode !== 'forgot' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {mode === 'reset' ? 'Nueva Contraseña' : 'Contraseña'}
+              </label>
+              <input
+                type="password"
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder="••••••••"
+              />
+              <FieldError message={fieldErrors.password} />
+            </div>
+          )}
 
           {mode === 'register' && (
             <>
@@ -271,6 +510,7 @@ function AuthModal({ isOpen, onClose, mode: initialMode }) {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                   placeholder="+54 351 123 4567"
                 />
+                <FieldError message={fieldErrors.phone} />
               </div>
 
               <div>
@@ -284,6 +524,7 @@ function AuthModal({ isOpen, onClose, mode: initialMode }) {
                   rows="2"
                   placeholder="Calle 123, Ciudad"
                 />
+                <FieldError message={fieldErrors.address} />
               </div>
             </>
           )}
@@ -299,7 +540,7 @@ function AuthModal({ isOpen, onClose, mode: initialMode }) {
                 Procesando...
               </>
             ) : (
-              mode === 'login' ? 'Iniciar Sesión' : 'Registrarse'
+              AUTH_SCREENS[mode].submit || AUTH_SCREENS[mode].title
             )}
           </button>
 
@@ -308,17 +549,47 @@ function AuthModal({ isOpen, onClose, mode: initialMode }) {
               <>
                 ¿No tienes cuenta?{' '}
                 <button
-                  onClick={() => setMode('register')}
+                  onClick={() => {
+                    setMode('register');
+                    setFieldErrors({});
+                  }}
                   className="text-blue-500 hover:text-blue-600 font-semibold"
                 >
                   Regístrate
                 </button>
+                <div className="mt-2">
+                  <button
+                    onClick={() => {
+                      setMode('forgot');
+                      setError('');
+                      setFieldErrors({});
+                      setNotice('');
+                    }}
+                    className="text-blue-500 hover:text-blue-600"
+                  >
+                    ¿Olvidaste tu contraseña?
+                  </button>
+                </div>
               </>
+            ) : mode !== 'register' ? (
+              <button
+                onClick={() => {
+                  setMode('login');
+                  setError('');
+                  setFieldErrors({});
+                }}
+                className="text-blue-500 hover:text-blue-600 font-semibold"
+              >
+                Volver a iniciar sesión
+              </button>
             ) : (
               <>
                 ¿Ya tienes cuenta?{' '}
                 <button
-                  onClick={() => setMode('login')}
+                  onClick={() => {
+                    setMode('login');
+                    setFieldErrors({});
+                  }}
                   className="text-blue-500 hover:text-blue-600 font-semibold"
                 >
                   Inicia sesión
@@ -336,9 +607,10 @@ function ProductCard({ product }) {
   const { addToCart } = useCart();
   const [added, setAdded] = useState(false);
   const [imageError, setImageError] = useState(false);
+  const stock = availableStock(product);
 
   const handleAdd = () => {
-    if (product.stock <= 0) {
+    if (stock <= 0) {
       alert('Producto sin stock');
       return;
     }
@@ -365,12 +637,12 @@ function ProductCard({ product }) {
         <div className="absolute top-2 right-2 bg-blue-500 text-white px-2 py-1 rounded text-xs font-semibold">
           {product.category}
         </div>
-        {product.stock <= 5 && product.stock > 0 && (
+        {isLowStock(product, stock) && stock > 0 && (
           <div className="absolute top-2 left-2 bg-orange-500 text-white px-2 py-1 rounded text-xs font-semibold">
-            Últimas {product.stock}
+            Últimas {stock}
           </div>
         )}
-        {product.stock === 0 && (
+        {stock === 0 && (
           <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center">
             <span className="text-white font-bold text-lg">SIN STOCK</span>
           </div>
@@ -383,16 +655,17 @@ function ProductCard({ product }) {
         <div className="flex items-center justify-between mb-2">
           <span className="text-2xl font-bold text-blue-600">
             ${product.price.toLocaleString('es-AR')}
+            <span className="ml-1 text-xs font-normal text-gray-500">+ IVA</span>
           </span>
-          <span className={product.stock > 5 ? 'text-sm text-green-600' : 'text-sm text-orange-600'}>
-            Stock: {product.stock}
+          <span className={isLowStock(product, stock) ? 'text-sm text-orange-600' : 'text-sm text-green-600'}>
+            Stock: {stock}
           </span>
         </div>
         <button
           onClick={handleAdd}
-          disabled={added || product.stock === 0}
+          disabled={added || stock === 0}
           className={
-            product.stock === 0
+            stock === 0
               ? 'w-full mt-2 py-2 px-4 rounded-lg font-medium transition-all duration-300 flex items-center justify-center gap-2 bg-gray-300 text-gray-500 cursor-not-allowed'
               : added
               ? 'w-full mt-2 py-2 px-4 rounded-lg font-medium transition-all duration-300 flex items-center justify-center gap-2 bg-green-500 text-white'
@@ -407,7 +680,7 @@ function ProductCard({ product }) {
           ) : (
             <>
               <Plus size={20} />
-              {product.stock === 0 ? 'Sin Stock' : 'Agregar al carrito'}
+              {stock === 0 ? 'Sin Stock' : 'Agregar al carrito'}
             </>
           )}
         </button>
@@ -416,11 +689,130 @@ function ProductCard({ product }) {
   );
 }
 
+// Presupuesto del carrito con las promociones y el cupón (POST /cart/quote).
+// Se pide de nuevo cuando cambian el carrito o el cupón; sin sesión no se pueden usar cupones
+function useCartQuote(cart, couponCode) {
+  const [quote, setQuote] = useState(null);
+  const { authFetch, isAuthenticated } = useAuth();
+
+  useEffect(() => {
+    if (cart.length === 0) return;
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      try {
+        const send = isAuthenticated ? authFetch : (path, options) => fetch(API_URL + path, options);
+        const response = await send('/cart/quote', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            items: cart.map(({ id, quantity, price }) => ({ id, quantity, price })),
+            couponCode: couponCode || undefined
+          })
+        });
+        const data = await response.json();
+        if (!cancelled && response.ok) setQuote(data);
+      } catch (err) {
+        console.error('Error loading quote:', err);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cart, couponCode, authFetch, isAuthenticated]);
+
+  return cart.length > 0 ? quote : null;
+}
+
+// Subtotal, descuentos, IVA, envío y total de un presupuesto.
+// Sin provincia de entrega el envío todavía no está calculado
+function PriceSummary({ quote }) {
+  return (
+    <div className="space-y-1">
+      <div className="flex justify-between text-sm text-gray-600">
+        <span>Subtotal</span>
+        <span>${quote.subtotal.toLocaleString('es-AR')}</span>
+      </div>
+      {quote.discounts.map(discount => (
+        <div key={discount.type + discount.id} className="flex justify-between text-sm text-green-600">
+          <span>{discount.type === 'coupon' ? 'Cupón ' + discount.code : discount.name}</span>
+          <span>-${discount.amount.toLocaleString('es-AR')}</span>
+        </div>
+      ))}
+      <div className="flex justify-between text-sm text-gray-600">
+        <span>IVA</span>
+        <span>${quote.taxTotal.toLocaleString('es-AR')}</span>
+      </div>
+      <div className="flex justify-between text-sm text-gray-600">
+        <span>Envío{quote.shipping && ' (' + quote.shipping.zoneName + ', ' + quote.shipping.weight + ' kg)'}</span>
+        {quote.shipping ? (
+          <span className={quote.shipping.free ? 'text-green-600' : ''}>
+            {quote.shipping.free ? 'Gratis' : '$' + quote.shipping.cost.toLocaleString('es-AR')}
+          </span>
+        ) : (
+          <span>{quote.freeShipping ? 'Gratis con tu cupón' : 'Se calcula en el checkout'}</span>
+        )}
+      </div>
+      <div className="flex justify-between text-xl font-bold pt-1">
+        <span>Total:</span>
+        <span className="text-blue-600">${quote.total.toLocaleString('es-AR')}</span>
+      </div>
+    </div>
+  );
+}
+
+// Campo para cargar o quitar el cupón del carrito
+function CouponInput({ couponError }) {
+  const { couponCode, setCouponCode } = useCart();
+  const { isAuthenticated } = useAuth();
+  const [code, setCode] = useState('');
+
+  if (couponCode) {
+    return (
+      <div className="mb-3">
+        <div className="flex items-center justify-between text-sm">
+          <span className="flex items-center gap-1 font-semibold text-gray-700">
+            <Tag size={16} />
+            {couponCode}
+          </span>
+          <button onClick={() => setCouponCode('')} className="text-red-500 hover:text-red-700">
+            Quitar
+          </button>
+        </div>
+        <FieldError message={couponError?.message} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-3 flex gap-2">
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm uppercase"
+        placeholder={isAuthenticated ? 'Código de descuento' : 'Inicia sesión para usar cupones'}
+        disabled={!isAuthenticated}
+      />
+      <button
+        onClick={() => setCouponCode(code.trim())}
+        disabled={!code.trim()}
+        className="bg-gray-200 text-gray-700 px-3 py-2 rounded-lg text-sm hover:bg-gray-300 transition-colors disabled:opacity-50"
+      >
+        Aplicar
+      </button>
+    </div>
+  );
+}
+
 function CartSidebar({ isOpen, onClose }) {
-  const { cart, updateQuantity, removeFromCart, total } = useCart();
+  const { cart, updateQuantity, removeFromCart, total, couponCode } = useCart();
   const { isAuthenticated } = useAuth();
   const [showCheckout, setShowCheckout] = useState(false);
   const [showAuthPrompt, setShowAuthPrompt] = useState(false);
+  const quote = useCartQuote(cart, couponCode);
 
   const handleCheckout = () => {
     if (!isAuthenticated) {
@@ -476,14 +868,14 @@ function CartSidebar({ isOpen, onClose }) {
                       </p>
                       <div className="flex items-center gap-2 mt-2">
                         <button
-                          onClick={() => updateQuantity(item.id, item.quantity - 1, item.stock)}
+                          onClick={() => updateQuantity(item.id, item.quantity - 1, availableStock(item))}
                           className="bg-gray-200 hover:bg-gray-300 rounded p-1"
                         >
                           <Minus size={16} />
                         </button>
                         <span className="w-8 text-center font-semibold">{item.quantity}</span>
                         <button
-                          onClick={() => updateQuantity(item.id, item.quantity + 1, item.stock)}
+                          onClick={() => updateQuantity(item.id, item.quantity + 1, availableStock(item))}
                           className="bg-gray-200 hover:bg-gray-300 rounded p-1"
                         >
                           <Plus size={16} />
@@ -505,9 +897,16 @@ function CartSidebar({ isOpen, onClose }) {
             </div>
 
             <div className="border-t p-4 bg-gray-50">
-              <div className="flex justify-between mb-4 text-xl font-bold">
-                <span>Total:</span>
-                <span className="text-blue-600">${total.toLocaleString('es-AR')}</span>
+              <CouponInput couponError={quote?.couponError} />
+              <div className="mb-4">
+                {quote ? (
+                  <PriceSummary quote={quote} />
+                ) : (
+                  <div className="flex justify-between text-xl font-bold">
+                    <span>Total:</span>
+                    <span className="text-blue-600">${total.toLocaleString('es-AR')}</span>
+                  </div>
+                )}
               </div>
               <button
                 onClick={handleCheckout}
@@ -532,69 +931,294 @@ function CartSidebar({ isOpen, onClose }) {
         <CheckoutModal
           onClose={() => setShowCheckout(false)}
           cart={cart}
-          total={total}
         />
       )}
     </>
   );
 }
 
-function CheckoutModal({ onClose, cart, total }) {
+// Inicia el pago de una orden pendiente y manda al navegador a la página del proveedor
+const startPayment = async (authFetch, orderId) => {
+  const response = await authFetch('/orders/' + orderId + '/payment', { method: 'POST' });
+  const data = await response.json();
+  if (!response.ok) throw new ApiError(data, 'No se pudo iniciar el pago');
+  window.location.assign(data.checkoutUrl);
+};
+
+// Campos de texto de una dirección; la provincia se elige de la lista
+const ADDRESS_FIELDS = [
+  { key: 'street', placeholder: 'Calle' },
+  { key: 'number', placeholder: 'Número' },
+  { key: 'city', placeholder: 'Ciudad' },
+  { key: 'postalCode', placeholder: 'Código postal' },
+  { key: 'notes', placeholder: 'Indicaciones para la entrega (opcional)' }
+];
+
+const EMPTY_ADDRESS = { label: '', street: '', number: '', city: '', province: '', postalCode: '', notes: '' };
+
+// Valores del formulario a partir de una dirección guardada (los opcionales vacíos llegan como null)
+const addressValues = (address) => Object.fromEntries(Object.keys(EMPTY_ADDRESS).map(key => [key, address[key] ?? '']));
+
+// Sin los campos vacíos, para que los opcionales no se guarden como texto vacío
+const compactAddress = (address) => Object.fromEntries(Object.entries(address).filter(([, value]) => value !== ''));
+
+const formatAddress = (address) =>
+  [address.street + (address.number ? ' ' + address.number : ''), address.city, address.province].join(', ') +
+  ' (' + address.postalCode + ')';
+
+// Provincias con y sin envío, para elegir la de una dirección
+const useProvinces = () => {
+  const [provinces, setProvinces] = useState([]);
+
+  useEffect(() => {
+    fetch(API_URL + '/shipping/provinces')
+      .then(response => response.json())
+      .then(setProvinces)
+      .catch(err => console.error('Error loading provinces:', err));
+  }, []);
+
+  return provinces;
+};
+
+// Formulario de una dirección. errors usa los nombres de los campos (street, province...)
+function AddressFields({ address, onChange, provinces, errors }) {
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="space-y-2">
+      {ADDRESS_FIELDS.map(field => (
+        <div key={field.key}>
+          <input
+            type="text"
+            value={address[field.key]}
+            onChange={(e) => onChange({ ...address, [field.key]: e.target.value })}
+            className={inputClass}
+            placeholder={field.placeholder}
+          />
+          <FieldError message={errors[field.key]} />
+        </div>
+      ))}
+      <select
+        value={address.province}
+        onChange={(e) => onChange({ ...address, province: e.target.value })}
+        className={inputClass}
+      >
+        <option value="">Provincia</option>
+        {provinces.map(option => (
+          <option key={option.province} value={option.province} disabled={!option.available}>
+            {option.province}{!option.available && ' (sin envíos)'}
+          </option>
+        ))}
+      </select>
+      <FieldError message={errors.province} />
+    </div>
+  );
+}
+
+// Segundos restantes como 14:05
+const formatCountdown = (seconds) => Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+
+function CheckoutModal({ onClose, cart }) {
   const [loading, setLoading] = useState(false);
-  const [success, setSuccess] = useState(false);
+  // Orden ya creada: si no se pudo iniciar el pago, el botón solo reintenta el pago
+  const [order, setOrder] = useState(null);
+  // Una clave por intento de compra: si la respuesta se pierde y se reintenta, el servidor no crea otra orden
+  const [idempotencyKey] = useState(() => crypto.randomUUID());
   const [error, setError] = useState('');
-  const { token, user } = useAuth();
-  const { clearCart } = useCart();
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [quote, setQuote] = useState(null);
+  const [reservation, setReservation] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const provinces = useProvinces();
+  const { authFetch, user } = useAuth();
+  // Direcciones de la libreta y la elegida. 'new' es una escrita acá, que se puede guardar en la libreta
+  const [addresses, setAddresses] = useState([]);
+  const [addressId, setAddressId] = useState('new');
+  const [newAddress, setNewAddress] = useState({ ...EMPTY_ADDRESS, street: user?.address || '' });
+  const [saveAddress, setSaveAddress] = useState(true);
+  const { refreshCart, couponCode, setCouponCode } = useCart();
+  const selectedAddress = addresses.find(address => address.id === addressId);
+  const province = selectedAddress ? selectedAddress.province : newAddress.province;
 
-  const handleSubmit = async () => {
-    setLoading(true);
+  // Se propone la dirección predeterminada, que llega primera
+  useEffect(() => {
+    (async () => {
+      try {
+        const response = await authFetch('/auth/profile/addresses');
+        if (!response.ok) return;
+        const data = await response.json();
+        setAddresses(data);
+        if (data.length > 0) setAddressId(data[0].id);
+      } catch (err) {
+        console.error('Error loading addresses:', err);
+      }
+    })();
+  }, [authFetch]);
+
+  // El total sale del presupuesto del servidor, que compara los precios que ve el usuario con los actuales
+  // y calcula el envío a la provincia elegida. Si se puede comprar, el stock del carrito queda reservado mientras el checkout está abierto
+  const prepare = useCallback(async () => {
     setError('');
+    setFieldErrors({});
 
     try {
-      const response = await fetch(API_URL + '/orders', {
+      const quoteResponse = await authFetch('/cart/quote', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': 'Bearer ' + token
-        },
-        body: JSON.stringify({ items: cart })
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          items: cart.map(({ id, quantity, price }) => ({ id, quantity, price })),
+          couponCode: couponCode || undefined,
+          province: province || undefined
+        })
       });
+      const quoteData = await quoteResponse.json();
+      if (!quoteResponse.ok) throw new ApiError(quoteData, 'No se pudo calcular el total');
+      setQuote(quoteData);
+
+      if (!quoteData.canOrder) {
+        setReservation(null);
+        return;
+      }
 
+      const response = await authFetch('/reservations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items: cart })
+      });
       const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'No se pudo reservar el stock');
 
-      if (!response.ok) {
-        throw new Error(data.error || 'Error al procesar la orden');
-      }
+      setReservation(data);
+      setNow(Date.now());
+    } catch (err) {
+      setReservation(null);
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    }
+  }, [authFetch, cart, couponCode, province]);
+
+  useEffect(() => {
+    prepare();
+  }, [prepare]);
 
-      setSuccess(true);
-      setTimeout(() => {
-        clearCart();
-        onClose();
-      }, 2500);
+  useEffect(() => {
+    if (!reservation) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [reservation]);
+
+  const secondsLeft = reservation
+    ? Math.max(0, Math.floor((new Date(reservation.expiresAt).getTime() - now) / 1000))
+    : 0;
+  const expired = reservation !== null && secondsLeft === 0;
+
+  // Si se cierra sin comprar se libera la reserva para que otros puedan comprar ese stock
+  const handleClose = () => {
+    if (!order) authFetch('/reservations', { method: 'DELETE' }).catch(() => {});
+    onClose();
+  };
+
+  // Entrega de la orden. Si se pidió, la dirección nueva se guarda antes en la libreta y queda elegida,
+  // así un reintento no la guarda dos veces
+  const orderAddress = async () => {
+    if (selectedAddress) return { addressId: selectedAddress.id };
+    if (!saveAddress) return { shippingAddress: compactAddress(newAddress) };
+
+    const response = await authFetch('/auth/profile/addresses', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(compactAddress(newAddress))
+    });
+    const data = await response.json();
+    if (!response.ok) throw new ApiError(data, 'No se pudo guardar la dirección');
+
+    setAddresses(prev => [...prev, data.address]);
+    setAddressId(data.address.id);
+    return { addressId: data.address.id };
+  };
+
+  const createOrder = async () => {
+    const delivery = await orderAddress();
+
+    // Si los precios cambiaron desde el presupuesto el servidor rechaza la orden
+    const response = await authFetch('/orders', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+      body: JSON.stringify({
+        items: cart,
+        ...delivery,
+        couponCode: couponCode || undefined,
+        expectedTotal: quote.total
+      })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      if (data?.error?.code === 'PRICE_CHANGED') await prepare();
+      throw new ApiError(data, 'Error al procesar la orden');
+    }
+    return data.order;
+  };
+
+  const handleSubmit = async () => {
+    setLoading(true);
+    setError('');
+    setFieldErrors({});
+
+    // Si sale bien el navegador se va a la página de pago y vuelve con ?order=&payment=
+    try {
+      const created = order || await createOrder();
+      setOrder(created);
+      await startPayment(authFetch, created.id);
     } catch (err) {
       setError(err.message);
-    } finally {
+      setFieldErrors(err.fields || {});
       setLoading(false);
     }
   };
 
+  // Los errores de línea llegan como items.<índice>.<campo>: se muestran con el nombre del producto.
+  // Los de la dirección (de la orden o de la libreta) se muestran debajo de cada campo
+  const lineErrors = Object.entries(fieldErrors).filter(([path]) => path.startsWith('items.')).map(([path, message]) => {
+    const [, index] = path.split('.');
+    const item = cart[Number(index)];
+    return { key: path, text: item ? `${item.name}: ${message}` : message };
+  });
+  const addressErrors = Object.fromEntries(
+    Object.entries(fieldErrors).map(([path, message]) => [path.replace(/^shippingAddress\./, ''), message])
+  );
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex items-center justify-center p-4">
       <div className="bg-white rounded-lg max-w-md w-full p-6 max-h-screen overflow-y-auto">
-        {success ? (
+        {order ? (
           <div className="text-center">
-            <div className="bg-green-100 rounded-full w-16 h-16 flex items-center justify-center mx-auto mb-4">
-              <Check size={32} className="text-green-600" />
-            </div>
-            <h3 className="text-2xl font-bold text-gray-800 mb-2">Compra Exitosa</h3>
-            <p className="text-gray-600">Tu orden ha sido procesada correctamente.</p>
-            <p className="text-sm text-gray-500 mt-2">El stock se ha actualizado automáticamente.</p>
+            <h3 className="text-2xl font-bold text-gray-800 mb-2">Orden {order.number}</h3>
+            {error ? (
+              <>
+                <p className="text-gray-600 mb-2">Tu orden quedó registrada, pero no pudimos iniciar el pago.</p>
+                <p className="text-sm text-red-700 mb-4">{error}</p>
+                <button
+                  onClick={handleSubmit}
+                  disabled={loading}
+                  className="w-full bg-blue-500 text-white py-3 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+                >
+                  Reintentar pago
+                </button>
+              </>
+            ) : (
+              <p className="text-gray-600 flex items-center justify-center gap-2">
+                <Loader className="animate-spin text-blue-500" size={20} />
+                Te estamos llevando a la página de pago...
+              </p>
+            )}
           </div>
         ) : (
           <>
             <div className="flex items-center justify-between mb-6">
               <h3 className="text-2xl font-bold text-gray-800">Confirmar Compra</h3>
-              <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <button onClick={handleClose} className="text-gray-500 hover:text-gray-700">
                 <X size={24} />
               </button>
             </div>
@@ -602,11 +1226,84 @@ function CheckoutModal({ onClose, cart, total }) {
             {error && (
               <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
                 <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
-                <p className="text-sm text-red-700">{error}</p>
+                <div>
+                  <p className="text-sm text-red-700">{error}</p>
+                  {lineErrors.length > 0 && (
+                    <ul className="mt-1 text-xs text-red-600 list-disc list-inside">
+                      {lineErrors.map(lineError => (
+                        <li key={lineError.key}>{lineError.text}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {reservation && !expired && (
+              <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg flex items-center gap-2 text-sm text-green-700">
+                <Clock size={18} className="flex-shrink-0" />
+                Reservamos el stock de tu carrito por {formatCountdown(secondsLeft)}
+              </div>
+            )}
+
+            {expired && (
+              <div className="mb-4 p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-700">
+                <p>La reserva venció y el stock puede haberse vendido.</p>
+                <button onClick={prepare} className="mt-1 font-semibold underline hover:text-orange-800">
+                  Reservar de nuevo
+                </button>
+              </div>
+            )}
+
+            {quote?.changed && (
+              <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <p className="font-semibold">Tu carrito cambió desde que lo armaste</p>
+                <ul className="mt-1 text-xs list-disc list-inside">
+                  {quote.issues.map(issue => (
+                    <li key={issue.field}>{issue.message}</li>
+                  ))}
+                </ul>
+                {quote.canOrder ? (
+                  <button onClick={refreshCart} className="mt-2 font-semibold underline hover:text-yellow-900">
+                    Actualizar precios y revisar de nuevo
+                  </button>
+                ) : (
+                  <p className="mt-2">Cierra el resumen y ajusta tu carrito para continuar.</p>
+                )}
               </div>
             )}
 
-            <div className="mb-6 p-4 bg-blue-50 rounded-lg">
+            {quote?.couponError && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                <p>No se pudo aplicar el cupón {couponCode}: {quote.couponError.message}</p>
+                <button onClick={() => setCouponCode('')} className="mt-1 font-semibold underline hover:text-red-800">
+                  Comprar sin el cupón
+                </button>
+              </div>
+            )}
+
+            {quote && (
+              <div className="mb-4 border rounded-lg divide-y">
+                {quote.lines.map(line => (
+                  <div key={line.productId} className="flex justify-between gap-2 p-2 text-sm">
+                    <span className="text-gray-700">{line.quantity} × {line.productName}</span>
+                    <span className="text-right whitespace-nowrap">
+                      {line.previousPrice !== null && (
+                        <span className="mr-2 text-gray-400 line-through">
+                          ${(line.previousPrice * line.quantity).toLocaleString('es-AR')}
+                        </span>
+                      )}
+                      ${line.subtotal.toLocaleString('es-AR')}
+                      {line.discount > 0 && (
+                        <span className="block text-xs text-green-600">-${line.discount.toLocaleString('es-AR')}</span>
+                      )}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="mb-4 p-4 bg-blue-50 rounded-lg">
               <p className="text-sm text-gray-700">
                 <strong>Usuario:</strong> {user?.name}
               </p>
@@ -615,14 +1312,66 @@ function CheckoutModal({ onClose, cart, total }) {
               </p>
             </div>
 
+            <div className="mb-6 space-y-2">
+              <h4 className="font-semibold text-gray-800">Dirección de entrega</h4>
+              {addresses.map(address => (
+                <label
+                  key={address.id}
+                  className={`flex items-start gap-2 p-2 border rounded-lg cursor-pointer text-sm ${
+                    addressId === address.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    checked={addressId === address.id}
+                    onChange={() => setAddressId(address.id)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-semibold text-gray-800">{address.label || 'Dirección'}</span>
+                    <span className="block text-gray-600">{formatAddress(address)}</span>
+                  </span>
+                </label>
+              ))}
+              {addresses.length > 0 && (
+                <label className={`flex items-center gap-2 p-2 border rounded-lg cursor-pointer text-sm ${
+                  addressId === 'new' ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
+                }`}>
+                  <input type="radio" checked={addressId === 'new'} onChange={() => setAddressId('new')} />
+                  <span className="font-semibold text-gray-800">Otra dirección</span>
+                </label>
+              )}
+              {selectedAddress ? (
+                <FieldError message={fieldErrors.addressId || quote?.shippingError?.message} />
+              ) : (
+                <>
+                  <AddressFields
+                    address={newAddress}
+                    onChange={setNewAddress}
+                    provinces={provinces}
+                    errors={{ ...addressErrors, province: addressErrors.province || quote?.shippingError?.message }}
+                  />
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={saveAddress} onChange={(e) => setSaveAddress(e.target.checked)} />
+                    Guardar en mis direcciones
+                  </label>
+                </>
+              )}
+            </div>
+
             <div className="border-t pt-4">
-              <div className="flex justify-between text-lg font-bold mb-4">
-                <span>Total a pagar:</span>
-                <span className="text-blue-600">${total.toLocaleString('es-AR')}</span>
+              <div className="mb-4">
+                {quote ? (
+                  <PriceSummary quote={quote} />
+                ) : (
+                  <div className="flex justify-center">
+                    <Loader className="animate-spin text-blue-500" size={24} />
+                  </div>
+                )}
               </div>
               <button
                 onClick={handleSubmit}
-                disabled={loading}
+                disabled={loading || !quote || quote.changed || Boolean(quote.couponError) || !quote.shipping || !reservation || expired}
                 className="w-full bg-blue-500 text-white py-3 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400 flex items-center justify-center gap-2"
               >
                 {loading ? (
@@ -631,42 +1380,2793 @@ function CheckoutModal({ onClose, cart, total }) {
                     Procesando...
                   </>
                 ) : (
-                  'Confirmar Compra'
+                  'Ir a pagar'
                 )}
               </button>
             </div>
-          </>
-        )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Resultado del pago al volver de la página del proveedor (?order=&payment=).
+// El estado sale de la orden, que el webhook ya actualizó; si todavía no llegó el aviso se puede consultar de nuevo
+function PaymentResultModal({ orderId, onClose }) {
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Resultado de volver a agregar al carrito los productos de una orden cancelada
+  const [notice, setNotice] = useState(null);
+  const { authFetch } = useAuth();
+  const { reorder } = useCart();
+
+  const loadOrder = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authFetch('/orders/' + orderId);
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'No se pudo cargar la orden');
+      setOrder(data);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, orderId]);
+
+  useEffect(() => {
+    loadOrder();
+  }, [loadOrder]);
+
+  // Una orden sin pagar se cancela y su stock se libera: para comprar de nuevo se vuelven a agregar al carrito
+  const handleReorder = async () => {
+    try {
+      setLoading(true);
+      const results = await reorder(order.lines.map(line => ({ id: line.productId, quantity: line.quantity })));
+      setNotice(reorderNotice(results, order));
+    } catch (err) {
+      setNotice({ type: 'error', message: err.message, details: [] });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelled = order?.status === 'cancelled';
+  const paid = !cancelled && (order?.status === 'paid' || order?.paymentStatus === 'approved');
+  const rejected = order?.paymentStatus === 'rejected';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg max-w-md w-full p-6 text-center">
+        {loading && !order ? (
+          <Loader className="animate-spin text-blue-500 mx-auto" size={32} />
+        ) : (
+          <>
+            {paid && (
+              <>
+                <div className="bg-green-100 rounded-full w-16 h-16 flex items-center justify-center mx-auto mb-4">
+                  <Check size={32} className="text-green-600" />
+                </div>
+                <h3 className="text-2xl font-bold text-gray-800 mb-2">Pago aprobado</h3>
+                <p className="text-gray-600">
+                  Tu orden {order.number} por ${order.total.toLocaleString('es-AR')} ya está paga. Te avisaremos cuando la enviemos.
+                </p>
+              </>
+            )}
+
+            {cancelled && (
+              <>
+                <div className="bg-red-100 rounded-full w-16 h-16 flex items-center justify-center mx-auto mb-4">
+                  <X size={32} className="text-red-600" />
+                </div>
+                <h3 className="text-2xl font-bold text-gray-800 mb-2">
+                  {rejected ? 'El pago fue rechazado' : 'La orden se canceló'}
+                </h3>
+                <p className="text-gray-600 mb-4">
+                  Tu orden {order.number} se canceló{rejected ? '' : ' porque no se pagó a tiempo'}. Puedes volver a agregar sus productos al carrito y comprarlos de nuevo.
+                </p>
+                {notice ? (
+                  <div className={`p-3 rounded-lg border text-sm text-left ${
+                    notice.type === 'success' ? 'bg-green-50 border-green-200 text-green-700' : 'bg-red-50 border-red-200 text-red-700'
+                  }`}>
+                    <p>{notice.message}</p>
+                    {notice.details.length > 0 && (
+                      <ul className="list-disc list-inside mt-1">
+                        {notice.details.map(detail => <li key={detail}>{detail}</li>)}
+                      </ul>
+                    )}
+                  </div>
+                ) : (
+                  <button
+                    onClick={handleReorder}
+                    disabled={loading}
+                    className="w-full bg-blue-500 text-white py-3 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+                  >
+                    {loading ? 'Agregando...' : 'Volver a comprar'}
+                  </button>
+                )}
+              </>
+            )}
+
+            {order && !paid && !cancelled && (
+              <>
+                <h3 className="text-2xl font-bold text-gray-800 mb-2">Estamos confirmando tu pago</h3>
+                <p className="text-gray-600 mb-4">Orden {order.number}: todavía no recibimos la confirmación del proveedor.</p>
+                <button
+                  onClick={loadOrder}
+                  disabled={loading}
+                  className="w-full bg-blue-500 text-white py-3 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+                >
+                  Consultar de nuevo
+                </button>
+              </>
+            )}
+
+            {error && <p className="mt-3 text-sm text-red-700">{error}</p>}
+
+            <button onClick={onClose} className="mt-4 text-gray-500 hover:text-gray-700 font-semibold">
+              Volver a la tienda
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Resultado de un formulario del perfil: error en rojo o confirmación en verde
+function FormStatus({ error, notice }) {
+  if (error) return <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-2">{error}</p>;
+  if (notice) return <p className="text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg p-2">{notice}</p>;
+  return null;
+}
+
+// Nombre y teléfono. El email no se puede cambiar y las direcciones están en la libreta
+function ProfileForm() {
+  const { user, authFetch, updateUser } = useAuth();
+  const [formData, setFormData] = useState({ name: user.name, phone: user.phone || '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError('');
+    setNotice('');
+    setFieldErrors({});
+
+    try {
+      const response = await authFetch('/auth/profile', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData)
+      });
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'No se pudo guardar el perfil');
+
+      // Así el nombre del header se actualiza sin volver a iniciar sesión
+      updateUser(data.user);
+      setNotice(data.message);
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+      <h3 className="text-xl font-bold text-gray-800">Datos personales</h3>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+        <p className="text-gray-600">{user.email}</p>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Nombre</label>
+        <input
+          type="text"
+          value={formData.name}
+          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          className={INPUT_CLASS}
+        />
+        <FieldError message={fieldErrors.name} />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Teléfono (opcional)</label>
+        <input
+          type="tel"
+          value={formData.phone}
+          onChange={(e) => setFormData({ ...formData, phone: e.target.value })}
+          className={INPUT_CLASS}
+          placeholder="+54 11 1234-5678"
+        />
+        <FieldError message={fieldErrors.phone} />
+      </div>
+      <FormStatus error={error} notice={notice} />
+      <button
+        onClick={handleSubmit}
+        disabled={saving}
+        className="bg-blue-500 text-white px-6 py-2 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+      >
+        {saving ? 'Guardando...' : 'Guardar cambios'}
+      </button>
+    </div>
+  );
+}
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+// Cambio de contraseña con la actual. Las demás sesiones se cierran; esta sigue abierta
+function PasswordForm() {
+  const { authFetch } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_PASSWORDS);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleSubmit = async () => {
+    setError('');
+    setNotice('');
+    setFieldErrors({});
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setFieldErrors({ confirmPassword: 'Las contraseñas no coinciden' });
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await authFetch('/auth/password', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword: formData.currentPassword, newPassword: formData.newPassword })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'No se pudo cambiar la contraseña');
+
+      setFormData(EMPTY_PASSWORDS);
+      setNotice(data.message);
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const passwordInput = (key, label) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input
+        type="password"
+        value={formData[key]}
+        onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+        className={INPUT_CLASS}
+      />
+      <FieldError message={fieldErrors[key]} />
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+      <h3 className="text-xl font-bold text-gray-800">Contraseña</h3>
+      {passwordInput('currentPassword', 'Contraseña actual')}
+      {passwordInput('newPassword', 'Contraseña nueva')}
+      {passwordInput('confirmPassword', 'Repetir contraseña nueva')}
+      <FormStatus error={error} notice={notice} />
+      <button
+        onClick={handleSubmit}
+        disabled={saving}
+        className="bg-blue-500 text-white px-6 py-2 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+      >
+        {saving ? 'Guardando...' : 'Cambiar contraseña'}
+      </button>
+    </div>
+  );
+}
+
+// Baja de la cuenta, confirmando con la contraseña. No se puede si ya hizo compras
+function DeleteAccountForm({ onDeleted }) {
+  const { authFetch, clearSession } = useAuth();
+  const [password, setPassword] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleDelete = async () => {
+    if (!window.confirm('¿Eliminar tu cuenta? No se puede deshacer.')) return;
+
+    setDeleting(true);
+    setError('');
+    setFieldErrors({});
+    try {
+      const response = await authFetch('/auth/profile', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'No se pudo eliminar la cuenta');
+
+      // La sesión ya no existe en el servidor: solo queda cerrarla en este navegador
+      clearSession();
+      onDeleted(data.message);
+    } catch (err) {
+      setError(err.code === 'USER_HAS_SALES'
+        ? 'Tu cuenta tiene compras registradas y no se puede eliminar. Escríbenos si necesitas darla de baja.'
+        : err.message);
+      setFieldErrors(err.fields || {});
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-4 border border-red-200">
+      <h3 className="text-xl font-bold text-red-700">Eliminar cuenta</h3>
+      <p className="text-sm text-gray-600">
+        Se borran tus datos, tu carrito y tus sesiones abiertas. Las cuentas con compras no se pueden eliminar.
+      </p>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Contraseña</label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className={INPUT_CLASS}
+        />
+        <FieldError message={fieldErrors.password} />
+      </div>
+      <FormStatus error={error} />
+      <button
+        onClick={handleDelete}
+        disabled={deleting || !password}
+        className="bg-red-500 text-white px-6 py-2 rounded-lg font-semibold hover:bg-red-600 transition-colors disabled:bg-gray-400"
+      >
+        {deleting ? 'Eliminando...' : 'Eliminar mi cuenta'}
+      </button>
+    </div>
+  );
+}
+
+// Libreta de direcciones del perfil: alta, edición, baja y cuál es la predeterminada
+function AddressBook() {
+  const [addresses, setAddresses] = useState(null);
+  // Dirección que se está editando: { id, values }; sin id es una nueva
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { authFetch } = useAuth();
+  const provinces = useProvinces();
+
+  const loadAddresses = useCallback(async () => {
+    try {
+      const response = await authFetch('/auth/profile/addresses');
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'Error al cargar tus direcciones');
+      setAddresses(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    loadAddresses();
+  }, [loadAddresses]);
+
+  const send = async (path, method, body) => {
+    setSaving(true);
+    setError('');
+    setFieldErrors({});
+    try {
+      const response = await authFetch(path, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'No se pudo guardar la dirección');
+      setEditing(null);
+      await loadAddresses();
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const body = compactAddress(editing.values);
+    if (editing.id) send('/auth/profile/addresses/' + editing.id, 'PUT', body);
+    else send('/auth/profile/addresses', 'POST', body);
+  };
+
+  // PUT reemplaza todo: se mandan los datos actuales con isDefault
+  const makeDefault = (address) =>
+    send('/auth/profile/addresses/' + address.id, 'PUT', { ...compactAddress(addressValues(address)), isDefault: true });
+
+  const handleDelete = (address) => {
+    if (!window.confirm('¿Eliminar la dirección ' + formatAddress(address) + '?')) return;
+    send('/auth/profile/addresses/' + address.id, 'DELETE');
+  };
+
+  const startEditing = (address) => {
+    setError('');
+    setFieldErrors({});
+    setEditing(address ? { id: address.id, values: addressValues(address) } : { id: null, values: EMPTY_ADDRESS });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-xl font-bold text-gray-800">Direcciones</h3>
+        {!editing && (
+          <button
+            onClick={() => startEditing(null)}
+            className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors flex items-center gap-2 text-sm"
+          >
+            <Plus size={16} />
+            Agregar
+          </button>
+        )}
+      </div>
+
+      <FormStatus error={error} />
+
+      {addresses === null ? (
+        <div className="flex justify-center py-4">
+          <Loader className="animate-spin text-blue-500" size={24} />
+        </div>
+      ) : addresses.length === 0 && !editing ? (
+        <p className="text-sm text-gray-500">Todavía no guardaste ninguna dirección. La que uses en tu próxima compra puede quedar guardada.</p>
+      ) : (
+        <div className="divide-y">
+          {addresses.map(address => (
+            <div key={address.id} className="py-3 flex items-start justify-between gap-3">
+              <div className="text-sm">
+                <p className="font-semibold text-gray-800">
+                  {address.label || 'Dirección'}
+                  {address.isDefault && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-700">Predeterminada</span>
+                  )}
+                </p>
+                <p className="text-gray-600">{formatAddress(address)}</p>
+                {address.notes && <p className="text-gray-400">{address.notes}</p>}
+              </div>
+              <div className="text-sm whitespace-nowrap">
+                {!address.isDefault && (
+                  <button
+                    onClick={() => makeDefault(address)}
+                    disabled={saving}
+                    className="text-gray-500 hover:text-gray-700 font-semibold mr-3"
+                  >
+                    Predeterminada
+                  </button>
+                )}
+                <button
+                  onClick={() => startEditing(address)}
+                  className="text-blue-500 hover:text-blue-700 font-semibold mr-3"
+                >
+                  Editar
+                </button>
+                <button
+                  onClick={() => handleDelete(address)}
+                  disabled={saving}
+                  className="text-red-500 hover:text-red-700 font-semibold"
+                >
+                  Eliminar
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing && (
+        <div className="bg-gray-50 rounded-lg p-4 space-y-2">
+          <input
+            type="text"
+            value={editing.values.label}
+            onChange={(e) => setEditing({ ...editing, values: { ...editing.values, label: e.target.value } })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="Nombre (Casa, Trabajo...) (opcional)"
+          />
+          <FieldError message={fieldErrors.label} />
+          <AddressFields
+            address={editing.values}
+            onChange={(values) => setEditing({ ...editing, values })}
+            provinces={provinces}
+            errors={fieldErrors}
+          />
+          <div className="flex gap-3 pt-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="bg-blue-500 text-white px-6 py-2 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+            >
+              {saving ? 'Guardando...' : 'Guardar dirección'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="text-gray-500 hover:text-gray-700 font-semibold"
+            >
+              Cancelar
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MyProfile({ onBack, onDeleted }) {
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-2">
+          <User size={24} className="text-gray-600" />
+          <h2 className="text-2xl font-bold text-gray-800">Mi perfil</h2>
+        </div>
+        <button
+          onClick={onBack}
+          className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          Volver a la tienda
+        </button>
+      </div>
+
+      <div className="space-y-6">
+        <ProfileForm />
+        <AddressBook />
+        <PasswordForm />
+        <DeleteAccountForm onDeleted={onDeleted} />
+      </div>
+    </div>
+  );
+}
+
+// Estados de una orden como los ve el cliente
+const ORDER_STATUS_LABELS = {
+  pending: { label: 'Pendiente de pago', className: 'bg-yellow-100 text-yellow-800' },
+  paid: { label: 'Pagada', className: 'bg-green-100 text-green-700' },
+  preparing: { label: 'En preparación', className: 'bg-blue-100 text-blue-700' },
+  shipped: { label: 'Enviada', className: 'bg-blue-100 text-blue-700' },
+  delivered: { label: 'Entregada', className: 'bg-green-100 text-green-700' },
+  cancelled: { label: 'Cancelada', className: 'bg-gray-100 text-gray-600' },
+  refunded: { label: 'Reembolsada', className: 'bg-gray-100 text-gray-600' }
+};
+
+// Las compras anteriores a las órdenes llegan sin número ni estado (legacy)
+const LEGACY_ORDER_STATUS = { label: 'Compra anterior', className: 'bg-gray-100 text-gray-600' };
+
+function OrderStatusBadge({ order }) {
+  const { label, className } = order.legacy ? LEGACY_ORDER_STATUS : ORDER_STATUS_LABELS[order.status];
+  return <span className={'px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ' + className}>{label}</span>;
+}
+
+const orderKey = (order) => order.id ?? 'venta-' + order.createdAt + '-' + order.lines[0].productId;
+
+const orderTitle = (order) => order.legacy ? order.lines[0].productName : 'Orden ' + order.number;
+
+// Agrupa las órdenes (ya ordenadas de la más reciente a la más antigua) por día de compra
+const groupOrdersByDate = (orders) => {
+  const groups = [];
+  for (const order of orders) {
+    const date = new Date(order.createdAt).toLocaleDateString('es-AR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    const last = groups.at(-1);
+    if (last?.date === date) last.orders.push(order);
+    else groups.push({ date, orders: [order] });
+  }
+  return groups;
+};
+
+const REORDER_REASONS = {
+  UNAVAILABLE: 'ya no está a la venta',
+  OUT_OF_STOCK: 'no tiene stock',
+  LIMITED_STOCK: 'tiene stock limitado'
+};
+
+// Aviso de volver a comprar: qué se agregó al carrito, qué no y qué cambió de precio desde la compra
+const reorderNotice = (results, order) => {
+  const addedUnits = results.reduce((sum, result) => sum + result.added, 0);
+  const details = results.flatMap(result => {
+    const line = order.lines.find(l => l.productId === result.productId);
+    const name = result.productName || line.productName;
+    if (result.reason === 'LIMITED_STOCK') {
+      return [name + ' ' + REORDER_REASONS.LIMITED_STOCK + ': se agregaron ' + result.added + ' de ' + result.requested];
+    }
+    if (result.reason) return [name + ' ' + REORDER_REASONS[result.reason]];
+    if (result.price !== line.unitPrice) {
+      return [name + ' ahora cuesta ' + formatMoney(result.price) + ' (pagaste ' + formatMoney(line.unitPrice) + ')'];
+    }
+    return [];
+  });
+
+  return {
+    type: addedUnits > 0 ? 'success' : 'error',
+    message: addedUnits > 0
+      ? 'Agregamos ' + addedUnits + (addedUnits === 1 ? ' unidad' : ' unidades') + ' al carrito con los precios actuales.'
+      : 'No se pudo agregar ningún producto de esta compra.',
+    details
+  };
+};
+
+// Detalle de una compra: productos, importes, entrega e historial de estados
+function OrderDetailModal({ order, onClose, onReorder, reordering }) {
+  const [paying, setPaying] = useState(false);
+  const [error, setError] = useState('');
+  const { authFetch } = useAuth();
+
+  const pay = async () => {
+    try {
+      setPaying(true);
+      await startPayment(authFetch, order.id);
+    } catch (err) {
+      setError(err.message);
+      setPaying(false);
+    }
+  };
+
+  const address = order.shippingAddress;
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-50" onClick={onClose} />
+      <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white rounded-lg p-6 w-full max-w-2xl z-50 max-h-screen overflow-y-auto">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">{order.legacy ? 'Compra anterior' : 'Orden ' + order.number}</h2>
+            <p className="text-sm text-gray-500">
+              {new Date(order.createdAt).toLocaleString('es-AR', { dateStyle: 'long', timeStyle: 'short' })}
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            <OrderStatusBadge order={order} />
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <X size={24} />
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+            <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        <div className="divide-y mb-4">
+          {order.lines.map(line => (
+            <div key={line.productId} className="flex items-center gap-3 py-3">
+              {line.productImage ? (
+                <img src={line.productImage} alt={line.productName} className="w-14 h-14 object-cover rounded" />
+              ) : (
+                <div className="w-14 h-14 bg-gray-100 rounded flex items-center justify-center">
+                  <Package size={20} className="text-gray-400" />
+                </div>
+              )}
+              <div className="flex-1">
+                <p className="font-semibold text-gray-800">{line.productName}</p>
+                <p className="text-sm text-gray-500">
+                  {line.quantity} x {formatMoney(line.unitPrice)}
+                  {line.taxRate !== undefined && ' · IVA ' + line.taxRate + '%'}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className="font-semibold text-gray-800">{formatMoney(line.subtotal - (line.discount || 0))}</p>
+                {line.discount > 0 && (
+                  <p className="text-xs text-gray-400 line-through">{formatMoney(line.subtotal)}</p>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Las órdenes anteriores a los descuentos, el IVA o el envío no tienen esos campos */}
+        <div className="space-y-1 mb-4">
+          {order.subtotal !== undefined && (
+            <div className="flex justify-between text-sm text-gray-600">
+              <span>Subtotal</span>
+              <span>{formatMoney(order.subtotal)}</span>
+            </div>
+          )}
+          {(order.discounts || []).map(discount => (
+            <div key={discount.type + discount.id} className="flex justify-between text-sm text-green-600">
+              <span>{discount.type === 'coupon' ? 'Cupón ' + discount.code : discount.name}</span>
+              <span>-{formatMoney(discount.amount)}</span>
+            </div>
+          ))}
+          {order.taxTotal !== undefined && (
+            <div className="flex justify-between text-sm text-gray-600">
+              <span>IVA</span>
+              <span>{formatMoney(order.taxTotal)}</span>
+            </div>
+          )}
+          {order.shippingCost !== undefined && (
+            <div className="flex justify-between text-sm text-gray-600">
+              <span>Envío{order.shippingZone && ' (' + order.shippingZone + ')'}</span>
+              <span>{order.shippingCost === 0 ? 'Gratis' : formatMoney(order.shippingCost)}</span>
+            </div>
+          )}
+          <div className="flex justify-between text-xl font-bold pt-1">
+            <span>Total:</span>
+            <span className="text-blue-600">{formatMoney(order.total)}</span>
+          </div>
+        </div>
+
+        {address && (
+          <div className="bg-gray-50 rounded-lg p-3 mb-4 text-sm text-gray-600">
+            <p className="font-semibold text-gray-700 mb-1">Entrega</p>
+            <p>{formatAddress(address)}</p>
+            {address.notes && <p className="text-gray-400">{address.notes}</p>}
+          </div>
+        )}
+
+        {order.statusHistory && (
+          <div className="mb-4">
+            <p className="font-semibold text-gray-700 mb-2 text-sm">Seguimiento</p>
+            <ul className="space-y-1 text-sm">
+              {order.statusHistory.map(entry => (
+                <li key={entry.status + entry.date} className="flex justify-between gap-3">
+                  <span className="text-gray-700">
+                    {ORDER_STATUS_LABELS[entry.status].label}
+                    {entry.note && <span className="text-gray-400"> · {entry.note}</span>}
+                  </span>
+                  <span className="text-gray-500 whitespace-nowrap">
+                    {new Date(entry.date).toLocaleString('es-AR', { dateStyle: 'short', timeStyle: 'short' })}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          {order.status === 'pending' && (
+            <button
+              onClick={pay}
+              disabled={paying}
+              className="flex-1 bg-green-500 text-white py-3 rounded-lg font-semibold hover:bg-green-600 transition-colors disabled:bg-gray-400"
+            >
+              {paying ? 'Redirigiendo...' : 'Pagar'}
+            </button>
+          )}
+          <button
+            onClick={() => onReorder(order)}
+            disabled={reordering}
+            className="flex-1 bg-blue-500 text-white py-3 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+          >
+            {reordering ? 'Agregando...' : 'Volver a comprar'}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Historial de compras del usuario, de la más reciente a la más antigua
+function MyOrders({ onBack, onReordered }) {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+  // Orden que se está agregando al carrito y resultado de la última
+  const [reordering, setReordering] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const { authFetch } = useAuth();
+  const { reorder } = useCart();
+
+  const loadOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authFetch('/orders/my-orders');
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'Error al cargar tus pedidos');
+      setOrders(data);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    loadOrders();
+  }, [loadOrders]);
+
+  const handleReorder = async (order) => {
+    setReordering(orderKey(order));
+    setNotice(null);
+    try {
+      const results = await reorder(order.lines.map(line => ({ id: line.productId, quantity: line.quantity })));
+      const result = reorderNotice(results, order);
+      setNotice(result);
+      setSelected(null);
+      if (result.type === 'success') onReordered();
+    } catch (err) {
+      setNotice({ type: 'error', message: err.message, details: [] });
+    } finally {
+      setReordering(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-2">
+          <ClipboardList size={24} className="text-gray-600" />
+          <h2 className="text-2xl font-bold text-gray-800">Mis pedidos</h2>
+        </div>
+        <button
+          onClick={onBack}
+          className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          Volver a la tienda
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {notice && (
+        <div className={`mb-4 p-3 rounded-lg border flex items-start gap-2 ${
+          notice.type === 'success' ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+        }`}>
+          {notice.type === 'success'
+            ? <Check size={20} className="text-green-600 flex-shrink-0 mt-0.5" />
+            : <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />}
+          <div className={`flex-1 text-sm ${notice.type === 'success' ? 'text-green-700' : 'text-red-700'}`}>
+            <p>{notice.message}</p>
+            {notice.details.length > 0 && (
+              <ul className="list-disc list-inside mt-1">
+                {notice.details.map(detail => <li key={detail}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+          <button onClick={() => setNotice(null)} className="text-gray-500 hover:text-gray-700">
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-20">
+          <Loader className="animate-spin text-blue-500" size={48} />
+        </div>
+      ) : orders.length === 0 ? (
+        <div className="text-center py-20">
+          <Package size={64} className="mx-auto text-gray-300 mb-4" />
+          <p className="text-gray-500 text-lg">Todavía no hiciste ninguna compra</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {groupOrdersByDate(orders).map(group => (
+            <div key={group.date}>
+              <h3 className="text-sm font-semibold text-gray-500 uppercase mb-2">{group.date}</h3>
+              <div className="space-y-3">
+                {group.orders.map(order => (
+                  <div key={orderKey(order)} className="bg-white rounded-lg shadow-md p-4">
+                    <div className="flex items-start justify-between gap-3 mb-3">
+                      <div>
+                        <p className="font-bold text-gray-800">{orderTitle(order)}</p>
+                        <p className="text-sm text-gray-500">
+                          {order.itemCount} {order.itemCount === 1 ? 'producto' : 'productos'} · {formatMoney(order.total)}
+                        </p>
+                      </div>
+                      <OrderStatusBadge order={order} />
+                    </div>
+
+                    <div className="space-y-1 mb-3">
+                      {order.lines.map(line => (
+                        <div key={line.productId} className="flex justify-between text-sm text-gray-600">
+                          <span>{line.quantity} x {line.productName}</span>
+                          <span>{formatMoney(line.subtotal - (line.discount || 0))}</span>
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="flex justify-end gap-4">
+                      <button
+                        onClick={() => setSelected(order)}
+                        className="text-blue-500 hover:text-blue-700 font-semibold text-sm"
+                      >
+                        Ver detalle
+                      </button>
+                      <button
+                        onClick={() => handleReorder(order)}
+                        disabled={reordering !== null}
+                        className="text-blue-500 hover:text-blue-700 font-semibold text-sm disabled:text-gray-400"
+                      >
+                        {reordering === orderKey(order) ? 'Agregando...' : 'Volver a comprar'}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selected && (
+        <OrderDetailModal
+          order={selected}
+          onClose={() => setSelected(null)}
+          onReorder={handleReorder}
+          reordering={reordering !== null}
+        />
+      )}
+    </div>
+  );
+}
+
+// Formulario de alta/edición de productos (ADMIN)
+function ProductFormModal({ product, onClose, onSaved }) {
+  const isNew = !product.id;
+  const [formData, setFormData] = useState({
+    name: product.name || '',
+    category: product.category || '',
+    price: product.price ?? '',
+    stock: product.stock ?? '',
+    image: product.image || '',
+    lowStockThreshold: product.lowStockThreshold ?? '',
+    weight: product.weight ?? ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { authFetch } = useAuth();
+
+  const handleSubmit = async () => {
+    setError('');
+    setFieldErrors({});
+    setLoading(true);
+
+    try {
+      const response = await authFetch('/products' + (isNew ? '' : '/' + product.id), {
+        method: isNew ? 'POST' : 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: formData.name,
+          category: formData.category,
+          price: formData.price === '' ? undefined : Number(formData.price),
+          stock: formData.stock === '' ? undefined : Number(formData.stock),
+          image: formData.image,
+          lowStockThreshold: formData.lowStockThreshold === '' ? undefined : Number(formData.lowStockThreshold),
+          weight: formData.weight === '' ? undefined : Number(formData.weight)
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new ApiError(data, 'Error al guardar el producto');
+      }
+
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fields = [
+    { key: 'name', label: 'Nombre', type: 'text', placeholder: 'Notebook Lenovo IdeaPad 3' },
+    { key: 'category', label: 'Categoría', type: 'text', placeholder: 'Computadoras' },
+    { key: 'price', label: 'Precio', type: 'number', placeholder: '680000' },
+    { key: 'stock', label: 'Stock', type: 'number', placeholder: '10' },
+    { key: 'image', label: 'Imagen (URL, opcional)', type: 'url', placeholder: 'https://...' },
+    { key: 'lowStockThreshold', label: 'Aviso de stock bajo (opcional)', type: 'number', placeholder: String(DEFAULT_LOW_STOCK_THRESHOLD) },
+    { key: 'weight', label: 'Peso en kg para el envío (opcional)', type: 'number', placeholder: '1' }
+  ];
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-50" onClick={onClose} />
+      <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white rounded-lg p-6 w-full max-w-md z-50 max-h-screen overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">
+            {isNew ? 'Nuevo Producto' : 'Editar Producto'}
+          </h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+            <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {fields.map(field => (
+            <div key={field.key}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {field.label}
+              </label>
+              <input
+                type={field.type}
+                value={formData[field.key]}
+                onChange={(e) => setFormData({ ...formData, [field.key]: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder={field.placeholder}
+              />
+              <FieldError message={fieldErrors[field.key]} />
+            </div>
+          ))}
+
+          <button
+            onClick={handleSubmit}
+            disabled={loading}
+            className="w-full bg-blue-500 text-white py-3 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400 flex items-center justify-center gap-2"
+          >
+            {loading ? (
+              <>
+                <Loader className="animate-spin" size={20} />
+                Guardando...
+              </>
+            ) : (
+              isNew ? 'Crear Producto' : 'Guardar Cambios'
+            )}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Pantalla de administración de productos (ADMIN)
+function AdminProducts({ onBack, onChanged }) {
+  const [products, setProducts] = useState([]);
+  const [archived, setArchived] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { authFetch } = useAuth();
+
+  const loadProducts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [activeResponse, archivedResponse] = await Promise.all([
+        fetch(API_URL + '/products?pageSize=100'),
+        authFetch('/products/archived')
+      ]);
+      if (!activeResponse.ok || !archivedResponse.ok) throw new Error('Error al cargar productos');
+      setProducts((await activeResponse.json()).items);
+      setArchived(await archivedResponse.json());
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  const runAction = async (path, method) => {
+    try {
+      const response = await authFetch(path, { method });
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'Error en la operación');
+      await loadProducts();
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleArchive = (product) => {
+    if (!window.confirm(`¿Archivar "${product.name}"? Dejará de mostrarse en la tienda.`)) return;
+    runAction('/products/' + product.id, 'DELETE');
+  };
+
+  const handleRestore = (product) => runAction('/products/' + product.id + '/restore', 'POST');
+
+  const handleSaved = async () => {
+    setEditing(null);
+    await loadProducts();
+    onChanged();
+  };
+
+  const handleExport = async (format) => {
+    try {
+      await downloadFile(authFetch, '/export/products?format=' + format);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Importa un CSV de productos; si alguna fila tiene errores no se guarda nada y se listan por línea
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setImportResult(null);
+    try {
+      const response = await authFetch('/products/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: await file.text()
+      });
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'Error al importar productos');
+
+      setImportResult({ message: `${data.message}: ${data.created} nuevos, ${data.updated} actualizados`, errors: [] });
+      await loadProducts();
+      onChanged();
+    } catch (err) {
+      const errors = Object.entries(err.fields || {}).map(([path, message]) => {
+        const [, line, field] = path.split('.');
+        return path.startsWith('lines.') ? `Línea ${line}, ${field}: ${message}` : message;
+      });
+      setImportResult({ message: err.message, errors, failed: true });
+    }
+  };
+
+  const rows = showArchived ? archived : products;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-2">
+          <Package size={24} className="text-gray-600" />
+          <h2 className="text-2xl font-bold text-gray-800">Administrar Productos</h2>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onBack}
+            className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            Volver a la tienda
+          </button>
+          <button
+            onClick={() => handleExport('csv')}
+            className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+          >
+            <Download size={18} />
+            CSV
+          </button>
+          <button
+            onClick={() => handleExport('xlsx')}
+            className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+          >
+            <Download size={18} />
+            Excel
+          </button>
+          <label className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2 cursor-pointer">
+            <Upload size={18} />
+            Importar CSV
+            <input type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+          </label>
+          <button
+            onClick={() => setEditing({})}
+            className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors flex items-center gap-2"
+          >
+            <Plus size={18} />
+            Nuevo Producto
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {importResult && (
+        <div className={`mb-4 p-3 border rounded-lg flex items-start gap-2 ${
+          importResult.failed ? 'bg-red-50 border-red-200' : 'bg-green-50 border-green-200'
+        }`}>
+          {importResult.failed
+            ? <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+            : <Check size={20} className="text-green-600 flex-shrink-0 mt-0.5" />}
+          <div className={`flex-1 text-sm ${importResult.failed ? 'text-red-700' : 'text-green-700'}`}>
+            <p>{importResult.message}</p>
+            {importResult.errors.length > 0 && (
+              <ul className="mt-2 list-disc list-inside max-h-40 overflow-y-auto">
+                {importResult.errors.map(message => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+          </div>
+          <button onClick={() => setImportResult(null)} className="text-gray-500 hover:text-gray-700">
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-4">
+        <button
+          onClick={() => setShowArchived(false)}
+          className={!showArchived ? 'px-4 py-2 rounded-lg font-semibold bg-blue-500 text-white' : 'px-4 py-2 rounded-lg font-semibold bg-white text-gray-700 hover:bg-gray-200'}
+        >
+          A la venta ({products.length})
+        </button>
+        <button
+          onClick={() => setShowArchived(true)}
+          className={showArchived ? 'px-4 py-2 rounded-lg font-semibold bg-blue-500 text-white' : 'px-4 py-2 rounded-lg font-semibold bg-white text-gray-700 hover:bg-gray-200'}
+        >
+          Archivados ({archived.length})
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-20">
+          <Loader className="animate-spin text-blue-500" size={48} />
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-4 py-3">Producto</th>
+                <th className="px-4 py-3">Categoría</th>
+                <th className="px-4 py-3 text-right">Precio</th>
+                <th className="px-4 py-3 text-right">Stock</th>
+                <th className="px-4 py-3 text-right">Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(product => (
+                <tr key={product.id} className="border-t">
+                  <td className="px-4 py-3 font-medium text-gray-800">{product.name}</td>
+                  <td className="px-4 py-3 text-gray-600">{product.category}</td>
+                  <td className="px-4 py-3 text-right">${product.price.toLocaleString('es-AR')}</td>
+                  <td className={isLowStock(product) ? 'px-4 py-3 text-right text-orange-600' : 'px-4 py-3 text-right text-green-600'}>
+                    {product.stock}
+                  </td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">
+                    {showArchived ? (
+                      <button
+                        onClick={() => handleRestore(product)}
+                        className="text-blue-500 hover:text-blue-700 font-semibold"
+                      >
+                        Restaurar
+                      </button>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => setEditing(product)}
+                          className="text-blue-500 hover:text-blue-700 font-semibold mr-4"
+                        >
+                          Editar
+                        </button>
+                        <button
+                          onClick={() => handleArchive(product)}
+                          className="text-red-500 hover:text-red-700 font-semibold"
+                        >
+                          Archivar
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {rows.length === 0 && (
+            <div className="text-center py-12 text-gray-400">
+              <p className="text-xl">{showArchived ? 'No hay productos archivados' : 'No hay productos'}</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {editing && (
+        <ProductFormModal
+          product={editing}
+          onClose={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+}
+
+// Reposición, ajuste e historial de movimientos de stock de un producto (ADMIN y EMPLEADO)
+function StockModal({ product, onClose, onChanged }) {
+  const [history, setHistory] = useState(null);
+  const [form, setForm] = useState({ type: 'restock', quantity: '', reason: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { authFetch } = useAuth();
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const response = await authFetch('/products/' + product.id + '/stock-movements');
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'Error al cargar los movimientos');
+      setHistory(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [authFetch, product.id]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleSubmit = async () => {
+    setError('');
+    setFieldErrors({});
+    setSaving(true);
+
+    try {
+      // En un ajuste "Descontar" manda la cantidad en negativo
+      const quantity = form.quantity === '' ? undefined : Number(form.quantity) * (form.type === 'remove' ? -1 : 1);
+      const response = await authFetch('/products/' + product.id + (form.type === 'restock' ? '/restock' : '/adjust'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ quantity, reason: form.reason || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'Error al actualizar el stock');
+
+      setForm({ ...form, quantity: '', reason: '' });
+      await loadHistory();
+      onChanged();
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-50" onClick={onClose} />
+      <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white rounded-lg p-6 w-full max-w-2xl z-50 max-h-screen overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Stock</h2>
+            <p className="text-sm text-gray-500">{product.name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+            <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        {history && (
+          <div className="flex gap-4 mb-4 text-sm">
+            <p>Stock actual: <span className="font-bold">{history.stock}</span></p>
+            <p className={history.stock === history.ledgerStock ? 'text-gray-500' : 'text-red-600 font-semibold'}>
+              Según movimientos: {history.ledgerStock}
+            </p>
+          </div>
+        )}
+
+        <div className="bg-gray-50 rounded-lg p-4 mb-4 grid sm:grid-cols-4 gap-3 items-start">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Operación</label>
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="restock">Reponer</option>
+              <option value="add">Ajuste: sumar</option>
+              <option value="remove">Ajuste: descontar</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Cantidad</label>
+            <input
+              type="number"
+              min="1"
+              value={form.quantity}
+              onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              placeholder="10"
+            />
+            <FieldError message={fieldErrors.quantity} />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">
+              Motivo{form.type === 'restock' ? ' (opcional)' : ''}
+            </label>
+            <input
+              type="text"
+              value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              placeholder={form.type === 'restock' ? 'Proveedor' : 'Rotura, conteo...'}
+            />
+            <FieldError message={fieldErrors.reason} />
+          </div>
+          <button
+            onClick={handleSubmit}
+            disabled={saving}
+            className="sm:mt-5 bg-blue-500 text-white py-2 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400"
+          >
+            {saving ? 'Guardando...' : 'Aplicar'}
+          </button>
+        </div>
+
+        {!history ? (
+          <div className="flex items-center justify-center py-10">
+            <Loader className="animate-spin text-blue-500" size={32} />
+          </div>
+        ) : history.movements.length === 0 ? (
+          <p className="text-center py-8 text-gray-400">Todavía no hay movimientos registrados</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-3 py-2">Fecha</th>
+                <th className="px-3 py-2">Tipo</th>
+                <th className="px-3 py-2 text-right">Cantidad</th>
+                <th className="px-3 py-2 text-right">Stock</th>
+                <th className="px-3 py-2">Motivo</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.movements.map(movement => (
+                <tr key={movement.id} className="border-t">
+                  <td className="px-3 py-2 text-gray-600 whitespace-nowrap">
+                    {new Date(movement.date).toLocaleString('es-AR', { dateStyle: 'short', timeStyle: 'short' })}
+                  </td>
+                  <td className="px-3 py-2">{movement.typeLabel}</td>
+                  <td className={movement.quantity > 0 ? 'px-3 py-2 text-right text-green-600' : 'px-3 py-2 text-right text-red-600'}>
+                    {movement.quantity > 0 ? '+' : ''}{movement.quantity}
+                  </td>
+                  <td className="px-3 py-2 text-right">{movement.stockAfter}</td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {movement.reason}
+                    {movement.userName && <span className="text-gray-400"> · {movement.userName}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </>
+  );
+}
+
+// Inventario: stock de cada producto, stock bajo y movimientos (ADMIN y EMPLEADO)
+function AdminInventory({ onBack, onChanged }) {
+  const [products, setProducts] = useState([]);
+  const [lowStock, setLowStock] = useState([]);
+  const [onlyLow, setOnlyLow] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { authFetch } = useAuth();
+
+  const loadInventory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [productsResponse, lowStockResponse] = await Promise.all([
+        fetch(API_URL + '/products?pageSize=100&sort=stock'),
+        authFetch('/inventory/low-stock')
+      ]);
+      if (!productsResponse.ok || !lowStockResponse.ok) throw new Error('Error al cargar el inventario');
+      setProducts((await productsResponse.json()).items);
+      setLowStock(await lowStockResponse.json());
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    loadInventory();
+  }, [loadInventory]);
+
+  const handleChanged = () => {
+    loadInventory();
+    onChanged();
+  };
+
+  const rows = onlyLow ? lowStock : products;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-2">
+          <Boxes size={24} className="text-gray-600" />
+          <h2 className="text-2xl font-bold text-gray-800">Inventario</h2>
+        </div>
+        <button
+          onClick={onBack}
+          className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          Volver a la tienda
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-4">
+        <button
+          onClick={() => setOnlyLow(false)}
+          className={!onlyLow ? 'px-4 py-2 rounded-lg font-semibold bg-blue-500 text-white' : 'px-4 py-2 rounded-lg font-semibold bg-white text-gray-700 hover:bg-gray-200'}
+        >
+          Todos ({products.length})
+        </button>
+        <button
+          onClick={() => setOnlyLow(true)}
+          className={onlyLow ? 'px-4 py-2 rounded-lg font-semibold bg-orange-500 text-white' : 'px-4 py-2 rounded-lg font-semibold bg-white text-orange-600 hover:bg-orange-50'}
+        >
+          Stock bajo ({lowStock.length})
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-20">
+          <Loader className="animate-spin text-blue-500" size={48} />
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-4 py-3">Producto</th>
+                <th className="px-4 py-3">Categoría</th>
+                <th className="px-4 py-3 text-right">Stock</th>
+                <th className="px-4 py-3 text-right">Aviso en</th>
+                <th className="px-4 py-3 text-right">Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(product => (
+                <tr key={product.id} className="border-t">
+                  <td className="px-4 py-3 font-medium text-gray-800">{product.name}</td>
+                  <td className="px-4 py-3 text-gray-600">{product.category}</td>
+                  <td className={isLowStock(product) ? 'px-4 py-3 text-right font-semibold text-orange-600' : 'px-4 py-3 text-right text-green-600'}>
+                    {product.stock}
+                  </td>
+                  <td className="px-4 py-3 text-right text-gray-500">
+                    {product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      onClick={() => setSelected(product)}
+                      className="text-blue-500 hover:text-blue-700 font-semibold"
+                    >
+                      Movimientos
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {rows.length === 0 && (
+            <div className="text-center py-12 text-gray-400">
+              <p className="text-xl">{onlyLow ? 'No hay productos con stock bajo' : 'No hay productos'}</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {selected && (
+        <StockModal
+          product={selected}
+          onClose={() => setSelected(null)}
+          onChanged={handleChanged}
+        />
+      )}
+    </div>
+  );
+}
+
+const COUPON_TYPE_LABELS = { percentage: 'Porcentaje', fixed: 'Monto fijo', free_shipping: 'Envío gratis' };
+const PROMOTION_TYPE_LABELS = { percentage: 'Porcentaje', bundle: 'Lleva X, paga Y' };
+
+// Campos de cada formulario; showFor limita un campo a algunos tipos
+const DISCOUNT_FORMS = {
+  coupons: {
+    title: 'Cupón',
+    fields: [
+      { key: 'code', label: 'Código', type: 'text', placeholder: 'VERANO10' },
+      { key: 'description', label: 'Descripción (opcional)', type: 'text', placeholder: '10% en toda la tienda' },
+      { key: 'type', label: 'Tipo', type: 'select', options: COUPON_TYPE_LABELS },
+      { key: 'value', label: 'Valor (% o $)', type: 'number', placeholder: '10', showFor: ['percentage', 'fixed'] },
+      { key: 'minOrderAmount', label: 'Compra mínima (opcional)', type: 'number', placeholder: '100000' },
+      { key: 'maxUses', label: 'Usos totales (opcional)', type: 'number', placeholder: '100' },
+      { key: 'maxUsesPerUser', label: 'Usos por cliente (opcional)', type: 'number', placeholder: '1' }
+    ]
+  },
+  promotions: {
+    title: 'Promoción',
+    fields: [
+      { key: 'name', label: 'Nombre', type: 'text', placeholder: '3x2 en Audio' },
+      { key: 'type', label: 'Tipo', type: 'select', options: PROMOTION_TYPE_LABELS },
+      { key: 'value', label: 'Porcentaje de descuento', type: 'number', placeholder: '15', showFor: ['percentage'] },
+      { key: 'buyQuantity', label: 'Unidades que se llevan', type: 'number', placeholder: '3', showFor: ['bundle'] },
+      { key: 'payQuantity', label: 'Unidades que se pagan', type: 'number', placeholder: '2', showFor: ['bundle'] }
+    ]
+  }
+};
+
+// Campos comunes a cupones y promociones
+const DISCOUNT_SCOPE_FIELDS = [
+  { key: 'categories', label: 'Categorías (separadas por coma, opcional)', type: 'text', placeholder: 'Audio, Tablets' },
+  { key: 'productIds', label: 'IDs de productos (separados por coma, opcional)', type: 'text', placeholder: '1, 4' },
+  { key: 'startsAt', label: 'Desde (opcional)', type: 'date' },
+  { key: 'endsAt', label: 'Hasta (opcional)', type: 'date' }
+];
+
+const NUMBER_FIELDS = ['value', 'minOrderAmount', 'maxUses', 'maxUsesPerUser', 'buyQuantity', 'payQuantity'];
+
+const splitList = (text) => text.split(',').map(part => part.trim()).filter(Boolean);
+
+// Alta y edición de cupones (kind 'coupons') y promociones (kind 'promotions')
+function DiscountFormModal({ kind, item, onClose, onSaved }) {
+  const isNew = !item.id;
+  const { title, fields } = DISCOUNT_FORMS[kind];
+  const allFields = [...fields, ...DISCOUNT_SCOPE_FIELDS];
+  const [formData, setFormData] = useState(() => {
+    const initial = { active: item.active ?? true };
+    for (const field of allFields) {
+      const value = item[field.key];
+      if (field.type === 'select') initial[field.key] = value || Object.keys(field.options)[0];
+      else if (Array.isArray(value)) initial[field.key] = value.join(', ');
+      else initial[field.key] = value ?? '';
+    }
+    return initial;
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { authFetch } = useAuth();
+
+  const visibleFields = allFields.filter(field => !field.showFor || field.showFor.includes(formData.type));
+
+  const handleSubmit = async () => {
+    setError('');
+    setFieldErrors({});
+    setLoading(true);
+
+    // PUT reemplaza todo, así que se mandan solo los campos visibles y con valor
+    const body = { active: formData.active };
+    for (const field of visibleFields) {
+      const value = formData[field.key];
+      if (value === '') continue;
+      if (field.key === 'categories') body.categories = splitList(value);
+      else if (field.key === 'productIds') body.productIds = splitList(value).map(Number);
+      else body[field.key] = NUMBER_FIELDS.includes(field.key) ? Number(value) : value;
+    }
+
+    try {
+      const response = await authFetch('/' + kind + (isNew ? '' : '/' + item.id), {
+        method: isNew ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new ApiError(data, 'Error al guardar');
+      }
+
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+      setFieldErrors(err.fields || {});
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Los errores de listas vienen como categories.0 o productIds.1
+  const fieldError = (key) => fieldErrors[key] ||
+    Object.entries(fieldErrors).find(([field]) => field.startsWith(key + '.'))?.[1];
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-50" onClick={onClose} />
+      <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white rounded-lg p-6 w-full max-w-md z-50 max-h-screen overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800">
+            {isNew ? 'Nuevo ' + title : 'Editar ' + title}
+          </h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+            <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {visibleFields.map(field => (
+            <div key={field.key}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {field.label}
+              </label>
+              {field.type === 'select' ? (
+                <select
+                  value={formData[field.key]}
+                  onChange={(e) => setFormData({ ...formData, [field.key]: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {Object.entries(field.options).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={field.type}
+                  value={formData[field.key]}
+                  onChange={(e) => setFormData({ ...formData, [field.key]: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder={field.placeholder}
+                />
+              )}
+              <FieldError message={fieldError(field.key)} />
+            </div>
+          ))}
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.active}
+              onChange={(e) => setFormData({ ...formData, active: e.target.checked })}
+            />
+            Activo
+          </label>
+
+          <button
+            onClick={handleSubmit}
+            disabled={loading}
+            className="w-full bg-blue-500 text-white py-3 rounded-lg font-semibold hover:bg-blue-600 transition-colors disabled:bg-gray-400 flex items-center justify-center gap-2"
+          >
+            {loading ? (
+              <>
+                <Loader className="animate-spin" size={20} />
+                Guardando...
+              </>
+            ) : (
+              isNew ? 'Crear' : 'Guardar Cambios'
+            )}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const formatScope = (rule) => {
+  const parts = [...rule.categories, ...rule.productIds.map(id => 'Producto #' + id)];
+  return parts.length > 0 ? parts.join(', ') : 'Todo el catálogo';
+};
+
+const formatValidity = (rule) => {
+  if (!rule.startsAt && !rule.endsAt) return 'Sin vencimiento';
+  return (rule.startsAt ? 'Desde ' + rule.startsAt : '') + (rule.startsAt && rule.endsAt ? ' ' : '') +
+    (rule.endsAt ? 'hasta ' + rule.endsAt : '');
+};
+
+const formatCouponValue = (coupon) => {
+  if (coupon.type === 'percentage') return coupon.value + '%';
+  if (coupon.type === 'fixed') return formatMoney(coupon.value);
+  return COUPON_TYPE_LABELS.free_shipping;
+};
+
+const formatPromotionValue = (promotion) => promotion.type === 'bundle'
+  ? promotion.buyQuantity + 'x' + promotion.payQuantity
+  : promotion.value + '%';
+
+// Pantalla de cupones y promociones automáticas
+function AdminPromotions({ onBack }) {
+  const [coupons, setCoupons] = useState([]);
+  const [promotions, setPromotions] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { authFetch } = useAuth();
+
+  const loadDiscounts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [couponsResponse, promotionsResponse] = await Promise.all([
+        authFetch('/coupons'),
+        authFetch('/promotions')
+      ]);
+      if (!couponsResponse.ok || !promotionsResponse.ok) throw new Error('Error al cargar las promociones');
+      setCoupons(await couponsResponse.json());
+      setPromotions(await promotionsResponse.json());
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    loadDiscounts();
+  }, [loadDiscounts]);
+
+  const handleDelete = async (kind, item) => {
+    const label = kind === 'coupons' ? 'el cupón ' + item.code : 'la promoción "' + item.name + '"';
+    if (!window.confirm('¿Eliminar ' + label + '?')) return;
+
+    try {
+      const response = await authFetch('/' + kind + '/' + item.id, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new ApiError(await response.json(), 'Error al eliminar');
+      }
+      loadDiscounts();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const stateBadge = (active) => (
+    <span className={active ? 'text-green-600 font-semibold' : 'text-gray-400'}>
+      {active ? 'Activo' : 'Inactivo'}
+    </span>
+  );
+
+  const actions = (kind, item) => (
+    <td className="px-4 py-3 text-right whitespace-nowrap">
+      <button
+        onClick={() => setEditing({ kind, item })}
+        className="text-blue-500 hover:text-blue-700 font-semibold mr-3"
+      >
+        Editar
+      </button>
+      <button
+        onClick={() => handleDelete(kind, item)}
+        className="text-red-500 hover:text-red-700 font-semibold"
+      >
+        Eliminar
+      </button>
+    </td>
+  );
+
+  const sectionHeader = (kind, title) => (
+    <div className="flex items-center justify-between mb-3">
+      <h3 className="text-xl font-bold text-gray-800">{title}</h3>
+      <button
+        onClick={() => setEditing({ kind, item: {} })}
+        className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors flex items-center gap-2"
+      >
+        <Plus size={18} />
+        Nuevo
+      </button>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-2">
+          <Tag size={24} className="text-gray-600" />
+          <h2 className="text-2xl font-bold text-gray-800">Cupones y promociones</h2>
+        </div>
+        <button
+          onClick={onBack}
+          className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          Volver a la tienda
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-20">
+          <Loader className="animate-spin text-blue-500" size={48} />
+        </div>
+      ) : (
+        <div className="space-y-8">
+          <div>
+            {sectionHeader('promotions', 'Promociones automáticas')}
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600 text-left">
+                  <tr>
+                    <th className="px-4 py-3">Nombre</th>
+                    <th className="px-4 py-3">Descuento</th>
+                    <th className="px-4 py-3">Aplica a</th>
+                    <th className="px-4 py-3">Vigencia</th>
+                    <th className="px-4 py-3">Estado</th>
+                    <th className="px-4 py-3 text-right">Acciones</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {promotions.map(promotion => (
+                    <tr key={promotion.id} className="border-t">
+                      <td className="px-4 py-3 font-medium text-gray-800">{promotion.name}</td>
+                      <td className="px-4 py-3 text-gray-600">{formatPromotionValue(promotion)}</td>
+                      <td className="px-4 py-3 text-gray-600">{formatScope(promotion)}</td>
+                      <td className="px-4 py-3 text-gray-600">{formatValidity(promotion)}</td>
+                      <td className="px-4 py-3">{stateBadge(promotion.active)}</td>
+                      {actions('promotions', promotion)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {promotions.length === 0 && (
+                <p className="text-center py-8 text-gray-400">No hay promociones</p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            {sectionHeader('coupons', 'Cupones')}
+            <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600 text-left">
+                  <tr>
+                    <th className="px-4 py-3">Código</th>
+                    <th className="px-4 py-3">Descuento</th>
+                    <th className="px-4 py-3">Aplica a</th>
+                    <th className="px-4 py-3">Vigencia</th>
+                    <th className="px-4 py-3 text-right">Usos</th>
+                    <th className="px-4 py-3">Estado</th>
+                    <th className="px-4 py-3 text-right">Acciones</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coupons.map(coupon => (
+                    <tr key={coupon.id} className="border-t">
+                      <td className="px-4 py-3">
+                        <p className="font-medium text-gray-800">{coupon.code}</p>
+                        {coupon.description && <p className="text-xs text-gray-500">{coupon.description}</p>}
+                      </td>
+                      <td className="px-4 py-3 text-gray-600">
+                        {formatCouponValue(coupon)}
+                        {coupon.minOrderAmount !== null && (
+                          <span className="block text-xs text-gray-500">Mínimo {formatMoney(coupon.minOrderAmount)}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-gray-600">{formatScope(coupon)}</td>
+                      <td className="px-4 py-3 text-gray-600">{formatValidity(coupon)}</td>
+                      <td className="px-4 py-3 text-right text-gray-600">
+                        {coupon.uses}{coupon.maxUses !== null && ' / ' + coupon.maxUses}
+                      </td>
+                      <td className="px-4 py-3">{stateBadge(coupon.active)}</td>
+                      {actions('coupons', coupon)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {coupons.length === 0 && (
+                <p className="text-center py-8 text-gray-400">No hay cupones</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {editing && (
+        <DiscountFormModal
+          kind={editing.kind}
+          item={editing.item}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            loadDiscounts();
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+const ROLE_LABELS = { customer: 'Cliente', employee: 'Empleado', admin: 'Administrador' };
+
+const USER_STATUS_FILTERS = [
+  { value: '', label: 'Todas las cuentas' },
+  { value: 'false', label: 'Activas' },
+  { value: 'true', label: 'Deshabilitadas' }
+];
+
+const USERS_PAGE_SIZE = 20;
+
+// Detalle de un usuario con sus compras; desde acá se cambia el rol, se deshabilita o se elimina (ADMIN)
+function UserDetailModal({ userId, onClose, onChanged }) {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { user: currentUser, authFetch, can } = useAuth();
+
+  const loadDetail = useCallback(async () => {
+    try {
+      const response = await authFetch('/users/' + userId);
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'Error al cargar el usuario');
+      setDetail(data);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [authFetch, userId]);
+
+  useEffect(() => {
+    loadDetail();
+  }, [loadDetail]);
+
+  const runAction = async (path, options) => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await authFetch(path, options);
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'Error en la operación');
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const patch = async (path, body) => {
+    const done = await runAction(path, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (done) await loadDetail();
+  };
+
+  const handleStatus = () => {
+    const disabled = !detail.user.disabled;
+    if (disabled && !window.confirm(`¿Deshabilitar la cuenta de ${detail.user.name}? Se cerrarán sus sesiones y no podrá iniciar sesión.`)) return;
+    patch('/users/' + userId + '/status', { disabled });
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`¿Eliminar la cuenta de ${detail.user.name}? No se puede deshacer.`)) return;
+    if (await runAction('/users/' + userId, { method: 'DELETE' })) onClose();
+  };
+
+  const isSelf = currentUser?.id === userId;
+  const summary = detail?.orders;
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-50 z-50" onClick={onClose} />
+      <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white rounded-lg p-6 w-full max-w-2xl z-50 max-h-screen overflow-y-auto">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">{detail ? detail.user.name : 'Usuario'}</h2>
+            {detail && <p className="text-sm text-gray-500">{detail.user.email}</p>}
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={24} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+            <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+
+        {!detail ? (
+          !error && (
+            <div className="flex items-center justify-center py-12">
+              <Loader className="animate-spin text-blue-500" size={32} />
+            </div>
+          )
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-3 text-sm mb-6">
+              <div>
+                <p className="text-gray-500">Teléfono</p>
+                <p className="text-gray-800">{detail.user.phone || '-'}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Registro</p>
+                <p className="text-gray-800">
+                  {detail.user.createdAt ? new Date(detail.user.createdAt).toLocaleDateString('es-AR') : '-'}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">Email</p>
+                <p className="text-gray-800">{detail.user.emailVerified ? 'Verificado' : 'Sin verificar'}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">Estado</p>
+                <p className={detail.user.disabled ? 'text-red-600' : 'text-green-600'}>
+                  {detail.user.disabled
+                    ? 'Deshabilitada desde el ' + new Date(detail.user.disabledAt).toLocaleDateString('es-AR')
+                    : 'Activa'}
+                </p>
+              </div>
+            </div>
+
+            <h3 className="font-semibold text-gray-800 mb-2">Compras</h3>
+            <div className="grid grid-cols-3 gap-3 mb-4">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">Órdenes pagadas</p>
+                <p className="text-lg font-bold text-gray-800">{summary.orderCount}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">Total gastado</p>
+                <p className="text-lg font-bold text-gray-800">{formatMoney(summary.totalSpent)}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">Última orden</p>
+                <p className="text-lg font-bold text-gray-800">
+                  {summary.lastOrderAt ? new Date(summary.lastOrderAt).toLocaleDateString('es-AR') : '-'}
+                </p>
+              </div>
+            </div>
+
+            {summary.recentOrders.length > 0 && (
+              <div className="space-y-2 mb-6">
+                {summary.recentOrders.map((order, index) => (
+                  <div key={order.id ?? 'venta-' + index} className="flex items-center justify-between gap-3 text-sm border-b pb-2">
+                    <div>
+                      <p className="font-medium text-gray-800">{order.legacy ? order.productName : 'Orden ' + order.number}</p>
+                      <p className="text-gray-500">
+                        {new Date(order.createdAt).toLocaleDateString('es-AR')} · {formatMoney(order.total)}
+                      </p>
+                    </div>
+                    <OrderStatusBadge order={order} />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {isSelf ? (
+              <p className="text-sm text-gray-500">Es tu cuenta: el rol y el estado se cambian desde otra cuenta de administrador.</p>
+            ) : (
+              <div className="flex flex-wrap items-center justify-between gap-3 border-t pt-4">
+                {can('users:manage') && (
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    Rol
+                    <select
+                      value={detail.user.role}
+                      onChange={(e) => patch('/users/' + userId + '/role', { role: e.target.value })}
+                      disabled={saving}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                <div className="flex gap-2">
+                  {can('users:manage') && (
+                    <button
+                      onClick={handleStatus}
+                      disabled={saving}
+                      className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors disabled:opacity-50"
+                    >
+                      {detail.user.disabled ? 'Habilitar' : 'Deshabilitar'}
+                    </button>
+                  )}
+                  {can('users:delete') && (
+                    <button
+                      onClick={handleDelete}
+                      disabled={saving}
+                      className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 transition-colors disabled:opacity-50"
+                    >
+                      Eliminar
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+// Listado de usuarios con búsqueda por nombre o email y filtros por rol y estado (ADMIN)
+function AdminUsers({ onBack }) {
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [filters, setFilters] = useState({ q: '', role: '', disabled: '', page: 1 });
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { authFetch } = useAuth();
+
+  const loadUsers = useCallback(async () => {
+    const params = new URLSearchParams({ page: filters.page, pageSize: USERS_PAGE_SIZE });
+    if (filters.q) params.set('q', filters.q);
+    if (filters.role) params.set('role', filters.role);
+    if (filters.disabled) params.set('disabled', filters.disabled);
+
+    try {
+      setLoading(true);
+      const response = await authFetch('/users?' + params);
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'Error al cargar los usuarios');
+      setUsers(data.items);
+      setPagination({ total: data.total, totalPages: data.totalPages });
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, filters]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters({ ...filters, q: search.trim(), page: 1 });
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-2">
+          <Users size={24} className="text-gray-600" />
+          <h2 className="text-2xl font-bold text-gray-800">Usuarios</h2>
+        </div>
+        <button
+          onClick={onBack}
+          className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+        >
+          Volver a la tienda
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <form onSubmit={handleSearch} className="flex gap-2 flex-1">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Buscar por nombre o email"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <button type="submit" className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors text-sm">
+            Buscar
+          </button>
+        </form>
+        <select
+          value={filters.role}
+          onChange={(e) => setFilters({ ...filters, role: e.target.value, page: 1 })}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value="">Todos los roles</option>
+          {Object.entries(ROLE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={filters.disabled}
+          onChange={(e) => setFilters({ ...filters, disabled: e.target.value, page: 1 })}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        >
+          {USER_STATUS_FILTERS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-20">
+          <Loader className="animate-spin text-blue-500" size={48} />
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 text-left">
+              <tr>
+                <th className="px-4 py-3">Usuario</th>
+                <th className="px-4 py-3">Rol</th>
+                <th className="px-4 py-3">Estado</th>
+                <th className="px-4 py-3 text-right">Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(account => (
+                <tr key={account.id} className="border-t">
+                  <td className="px-4 py-3">
+                    <p className="font-medium text-gray-800">{account.name}</p>
+                    <p className="text-gray-500">{account.email}</p>
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{ROLE_LABELS[account.role] || account.role}</td>
+                  <td className={account.disabled ? 'px-4 py-3 text-red-600' : 'px-4 py-3 text-green-600'}>
+                    {account.disabled ? 'Deshabilitada' : 'Activa'}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    <button
+                      onClick={() => setSelected(account.id)}
+                      className="text-blue-500 hover:text-blue-700 font-semibold"
+                    >
+                      Ver detalle
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {users.length === 0 && (
+            <div className="text-center py-12 text-gray-400">
+              <p className="text-xl">No hay usuarios que coincidan</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-center gap-4 mt-6">
+          <button
+            onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+            disabled={filters.page <= 1}
+            className="bg-white text-gray-700 px-4 py-2 rounded-lg shadow hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Anterior
+          </button>
+          <span className="text-sm text-gray-600">
+            Página {filters.page} de {pagination.totalPages} ({pagination.total} usuarios)
+          </span>
+          <button
+            onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+            disabled={filters.page >= pagination.totalPages}
+            className="bg-white text-gray-700 px-4 py-2 rounded-lg shadow hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Siguiente
+          </button>
+        </div>
+      )}
+
+      {selected && (
+        <UserDetailModal
+          userId={selected}
+          onClose={() => setSelected(null)}
+          onChanged={loadUsers}
+        />
+      )}
+    </div>
+  );
+}
+
+const formatMoney = (value) => '$' + Math.round(value).toLocaleString('es-AR');
+
+// Etiqueta corta de un período del reporte (2025-10-06 o 2025-10)
+const formatPeriod = (period, groupBy) => {
+  if (groupBy === 'month') {
+    const [year, month] = period.split('-');
+    return new Date(Number(year), Number(month) - 1, 1).toLocaleDateString('es-AR', { month: 'short', year: '2-digit' });
+  }
+  const [year, month, day] = period.split('-');
+  return new Date(Number(year), Number(month) - 1, Number(day)).toLocaleDateString('es-AR', { day: 'numeric', month: 'short' });
+};
+
+// Gráfico de barras de ingresos por período, en SVG para no sumar dependencias
+function RevenueChart({ data, groupBy }) {
+  if (data.length === 0) {
+    return <p className="text-center py-12 text-gray-400">No hay ventas en el período</p>;
+  }
+
+  const width = 640;
+  const height = 220;
+  const padding = { top: 10, bottom: 24, left: 8, right: 8 };
+  const chartHeight = height - padding.top - padding.bottom;
+  const slot = (width - padding.left - padding.right) / data.length;
+  const max = Math.max(...data.map(d => d.revenue), 1);
+  // Con muchos períodos se muestra solo una parte de las etiquetas
+  const labelEvery = Math.ceil(data.length / 10);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-56">
+      <line
+        x1={padding.left}
+        x2={width - padding.right}
+        y1={height - padding.bottom}
+        y2={height - padding.bottom}
+        className="stroke-gray-300"
+      />
+      {data.map((d, index) => {
+        const barHeight = (d.revenue / max) * chartHeight;
+        const x = padding.left + index * slot;
+        return (
+          <g key={d.period}>
+            <rect
+              x={x + slot * 0.15}
+              y={height - padding.bottom - barHeight}
+              width={slot * 0.7}
+              height={barHeight}
+              rx="2"
+              className="fill-blue-500 hover:fill-blue-600"
+            >
+              <title>{`${formatPeriod(d.period, groupBy)}: ${formatMoney(d.revenue)} (${d.orders} compras)`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text x={x + slot / 2} y={height - 6} textAnchor="middle" className="fill-gray-500 text-[10px]">
+                {formatPeriod(d.period, groupBy)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Ranking con barras horizontales proporcionales al valor
+function RankingBars({ rows, emptyMessage }) {
+  if (rows.length === 0) {
+    return <p className="text-center py-8 text-gray-400">{emptyMessage}</p>;
+  }
+
+  const max = Math.max(...rows.map(row => row.value), 1);
+
+  return (
+    <div className="space-y-3">
+      {rows.map(row => (
+        <div key={row.key}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="text-gray-700 truncate pr-2">{row.label}</span>
+            <span className="font-semibold text-gray-800 whitespace-nowrap">{formatMoney(row.value)}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded-full">
+            <div className="h-2 bg-blue-500 rounded-full" style={{ width: `${(row.value / max) * 100}%` }} />
+          </div>
+          {row.detail && <p className="text-xs text-gray-500 mt-1">{row.detail}</p>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Rangos rápidos del dashboard, en días hacia atrás desde hoy (null = sin límite)
+const DASHBOARD_RANGES = [
+  { label: '7 días', days: 7 },
+  { label: '30 días', days: 30 },
+  { label: '90 días', days: 90 },
+  { label: 'Todo', days: null }
+];
+
+const toDateInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+};
+
+function AdminDashboard({ onBack }) {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [groupBy, setGroupBy] = useState('day');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { authFetch } = useAuth();
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const report = (path, extra = {}) => {
+        const params = new URLSearchParams(extra);
+        if (range.from) params.set('from', range.from);
+        if (range.to) params.set('to', range.to);
+        return authFetch('/analytics/' + path + '?' + params);
+      };
+
+      const responses = await Promise.all([
+        report('summary'),
+        report('revenue', { groupBy }),
+        report('top-products', { limit: 5 }),
+        report('categories'),
+        report('top-customers', { limit: 5 })
+      ]);
+      const [summary, revenue, products, categories, customers] = await Promise.all(responses.map(r => r.json()));
+
+      const failed = responses.findIndex(r => !r.ok);
+      if (failed !== -1) {
+        throw new ApiError([summary, revenue, products, categories, customers][failed], 'Error al cargar el reporte');
+      }
+
+      setReport({ summary, revenue, products, categories, customers });
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authFetch, range, groupBy]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handleExport = async (format) => {
+    const params = new URLSearchParams({ format });
+    if (range.from) params.set('from', range.from);
+    if (range.to) params.set('to', range.to);
+    try {
+      await downloadFile(authFetch, '/export/sales?' + params);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const selectRange = (days) => {
+    if (days === null) {
+      setRange({ from: '', to: '' });
+      return;
+    }
+    const from = new Date();
+    from.setDate(from.getDate() - (days - 1));
+    setRange({ from: toDateInput(from), to: toDateInput(new Date()) });
+  };
+
+  const cards = report ? [
+    { label: 'Ingresos', value: formatMoney(report.summary.revenue) },
+    { label: 'Compras', value: report.summary.orders },
+    { label: 'Unidades vendidas', value: report.summary.units },
+    { label: 'Ticket promedio', value: formatMoney(report.summary.averageOrderValue) }
+  ] : [];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-2">
+          <BarChart3 size={24} className="text-gray-600" />
+          <h2 className="text-2xl font-bold text-gray-800">Dashboard de Ventas</h2>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onBack}
+            className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            Volver a la tienda
+          </button>
+          <button
+            onClick={() => handleExport('csv')}
+            className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+          >
+            <Download size={18} />
+            CSV
+          </button>
+          <button
+            onClick={() => handleExport('xlsx')}
+            className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+          >
+            <Download size={18} />
+            Excel
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4 mb-6 flex flex-wrap items-end gap-4">
+        <div className="flex gap-2">
+          {DASHBOARD_RANGES.map(option => (
+            <button
+              key={option.label}
+              onClick={() => selectRange(option.days)}
+              className="px-3 py-2 rounded-lg text-sm font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Desde</label>
+          <input
+            type="date"
+            value={range.from}
+            onChange={(e) => setRange({ ...range, from: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Hasta</label>
+          <input
+            type="date"
+            value={range.to}
+            onChange={(e) => setRange({ ...range, to: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Agrupar por</label>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="day">Día</option>
+            <option value="week">Semana</option>
+            <option value="month">Mes</option>
+          </select>
+        </div>
       </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2">
+          <AlertCircle size={20} className="text-red-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {loading && !report ? (
+        <div className="flex items-center justify-center py-20">
+          <Loader className="animate-spin text-blue-500" size={48} />
+        </div>
+      ) : report && (
+        <div className={loading ? 'opacity-50 transition-opacity' : 'transition-opacity'}>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            {cards.map(card => (
+              <div key={card.label} className="bg-white rounded-lg shadow-md p-4">
+                <p className="text-sm text-gray-500">{card.label}</p>
+                <p className="text-2xl font-bold text-gray-800">{card.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+            <h3 className="font-semibold text-gray-800 mb-2">Ingresos</h3>
+            <RevenueChart data={report.revenue} groupBy={groupBy} />
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-6">
+            <div className="bg-white rounded-lg shadow-md p-4">
+              <h3 className="font-semibold text-gray-800 mb-4">Productos más vendidos</h3>
+              <RankingBars
+                emptyMessage="Sin ventas"
+                rows={report.products.map(p => ({
+                  key: p.productId,
+                  label: p.name,
+                  value: p.revenue,
+                  detail: `${p.units} unidades`
+                }))}
+              />
+            </div>
+            <div className="bg-white rounded-lg shadow-md p-4">
+              <h3 className="font-semibold text-gray-800 mb-4">Ingresos por categoría</h3>
+              <RankingBars
+                emptyMessage="Sin ventas"
+                rows={report.categories.map(c => ({
+                  key: c.category,
+                  label: c.category,
+                  value: c.revenue,
+                  detail: `${c.units} unidades`
+                }))}
+              />
+            </div>
+            <div className="bg-white rounded-lg shadow-md p-4">
+              <h3 className="font-semibold text-gray-800 mb-4">Mejores clientes</h3>
+              <RankingBars
+                emptyMessage="Sin ventas"
+                rows={report.customers.map(c => ({
+                  key: c.userId,
+                  label: c.name,
+                  value: c.revenue,
+                  detail: `${c.orders} ${c.orders === 1 ? 'compra' : 'compras'}${c.email ? ' · ' + c.email : ''}`
+                }))}
+              />
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
+// Filtros del catálogo: los aplicados se guardan en la URL para poder compartirla o volver atrás
+const DEFAULT_FILTERS = { q: '', category: 'Todos', minPrice: '', maxPrice: '', inStock: false, sort: '', page: 1 };
+const PAGE_SIZE = 12;
+
+const readFiltersFromURL = () => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    q: params.get('q') || '',
+    category: params.get('category') || 'Todos',
+    minPrice: params.get('minPrice') || '',
+    maxPrice: params.get('maxPrice') || '',
+    inStock: params.get('inStock') === 'true',
+    sort: params.get('sort') || '',
+    page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+  };
+};
+
+const filtersToParams = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.q.trim()) params.set('q', filters.q.trim());
+  if (filters.category !== 'Todos') params.set('category', filters.category);
+  if (filters.minPrice !== '') params.set('minPrice', filters.minPrice);
+  if (filters.maxPrice !== '') params.set('maxPrice', filters.maxPrice);
+  if (filters.inStock) params.set('inStock', 'true');
+  if (filters.sort) params.set('sort', filters.sort);
+  if (filters.page > 1) params.set('page', String(filters.page));
+  return params;
+};
+
 function App() {
   const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
-  const [selectedCategory, setSelectedCategory] = useState('Todos');
-  const [tempCategory, setTempCategory] = useState('Todos');
+  const [filters, setFilters] = useState(readFiltersFromURL);
+  const [tempFilters, setTempFilters] = useState(filters);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
   const [cartOpen, setCartOpen] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [authModalOpen, setAuthModalOpen] = useState(false);
   const [authMode, setAuthMode] = useState('login');
-  const { itemCount } = useCart();
-  const { user, logout, isAuthenticated } = useAuth();
-
-  useEffect(() => {
-    loadProducts();
-    loadCategories();
-  }, []);
+  const [view, setView] = useState('store');
+  const [resetToken, setResetToken] = useState(null);
+  const [accountNotice, setAccountNotice] = useState(null);
+  const [paymentOrderId, setPaymentOrderId] = useState(null);
+  const { itemCount, setCouponCode } = useCart();
+  const { user, logout, updateUser, authFetch, can, isAuthenticated } = useAuth();
 
-  const loadProducts = async () => {
+  const loadProducts = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await fetch(API_URL + '/products');
+      const params = filtersToParams(filters);
+      params.set('pageSize', String(PAGE_SIZE));
+      const response = await fetch(API_URL + '/products?' + params);
       if (!response.ok) throw new Error('Error al cargar productos');
       const data = await response.json();
-      setProducts(data);
+      setProducts(data.items);
+      setPagination({ total: data.total, totalPages: data.totalPages });
       setError('');
     } catch (err) {
       setError('No se pudieron cargar los productos. Verifica que el servidor esté corriendo.');
@@ -674,7 +4174,26 @@ function App() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [filters]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
+  // Con los botones atrás/adelante del navegador se vuelven a leer los filtros de la URL
+  useEffect(() => {
+    const handlePopState = () => {
+      const urlFilters = readFiltersFromURL();
+      setFilters(urlFilters);
+      setTempFilters(urlFilters);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
   const loadCategories = async () => {
     try {
@@ -688,13 +4207,73 @@ function App() {
     }
   };
 
+  const applyFilters = (nextFilters) => {
+    setFilters(nextFilters);
+    setTempFilters(nextFilters);
+    const query = filtersToParams(nextFilters).toString();
+    window.history.pushState(null, '', query ? '?' + query : window.location.pathname);
+  };
+
   const handleApplyFilter = () => {
-    setSelectedCategory(tempCategory);
+    applyFilters({ ...tempFilters, page: 1 });
   };
 
-  const filteredProducts = selectedCategory === 'Todos'
-    ? products
-    : products.filter(p => p.category === selectedCategory);
+  const hasActiveFilters = filtersToParams({ ...filters, sort: '', page: 1 }).toString() !== '';
+
+  // Links de los emails de cuenta: ?resetToken= abre el modal y ?verifyToken= confirma el email.
+  // Al volver del pago llegan ?order=&payment=: la orden ya se creó, así que el cupón se descarta
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const urlResetToken = params.get('resetToken');
+    const urlVerifyToken = params.get('verifyToken');
+    const urlOrderId = params.get('payment') && params.get('order');
+    if (!urlResetToken && !urlVerifyToken && !urlOrderId) return;
+
+    // Se sacan de la URL para que no queden en el historial
+    for (const key of ['resetToken', 'verifyToken', 'order', 'payment']) params.delete(key);
+    const query = params.toString();
+    window.history.replaceState(null, '', query ? '?' + query : window.location.pathname);
+
+    if (urlOrderId) {
+      setPaymentOrderId(urlOrderId);
+      setCouponCode('');
+    }
+
+    if (urlResetToken) {
+      setResetToken(urlResetToken);
+      setAuthMode('reset');
+      setAuthModalOpen(true);
+    }
+
+    if (urlVerifyToken) {
+      (async () => {
+        try {
+          const response = await fetch(API_URL + '/auth/verify-email', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: urlVerifyToken })
+          });
+          const data = await response.json();
+          if (!response.ok) throw new ApiError(data, 'No se pudo confirmar el email');
+          updateUser(data.user);
+          setAccountNotice({ type: 'success', message: '¡Listo! Tu email quedó confirmado.' });
+        } catch (err) {
+          setAccountNotice({ type: 'error', message: err.message });
+        }
+      })();
+    }
+  }, [updateUser, setCouponCode]);
+
+  const resendVerification = async () => {
+    try {
+      const response = await authFetch('/auth/resend-verification', { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new ApiError(data, 'No se pudo enviar el email');
+      setAccountNotice({ type: 'success', message: data.message });
+    } catch (err) {
+      setAccountNotice({ type: 'error', message: err.message });
+    }
+  };
 
   const openAuthModal = (mode) => {
     setAuthMode(mode);
@@ -713,12 +4292,71 @@ function App() {
           <div className="flex items-center gap-4">
             {isAuthenticated ? (
               <div className="flex items-center gap-3">
-                <div className="text-right">
+                <button
+                  onClick={() => setView('my-orders')}
+                  className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+                >
+                  <ClipboardList size={18} />
+                  Mis pedidos
+                </button>
+                {can('sales:read') && (
+                  <button
+                    onClick={() => setView('admin-dashboard')}
+                    className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+                  >
+                    <BarChart3 size={18} />
+                    Dashboard
+                  </button>
+                )}
+                {can('products:stock') && (
+                  <button
+                    onClick={() => setView('admin-inventory')}
+                    className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+                  >
+                    <Boxes size={18} />
+                    Inventario
+                  </button>
+                )}
+                {can('promotions:manage') && (
+                  <button
+                    onClick={() => setView('admin-promotions')}
+                    className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+                  >
+                    <Tag size={18} />
+                    Promociones
+                  </button>
+                )}
+                {can('users:read') && (
+                  <button
+                    onClick={() => setView('admin-users')}
+                    className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+                  >
+                    <Users size={18} />
+                    Usuarios
+                  </button>
+                )}
+                {can('products:write') && (
+                  <button
+                    onClick={() => setView('admin-products')}
+                    className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+                  >
+                    <Package size={18} />
+                    Productos
+                  </button>
+                )}
+                <button
+                  onClick={() => setView('profile')}
+                  className="text-right hover:opacity-75 transition-opacity"
+                  title="Mi perfil"
+                >
                   <p className="text-sm font-semibold text-gray-700">{user?.name}</p>
                   <p className="text-xs text-gray-500">{user?.email}</p>
-                </div>
+                </button>
                 <button
-                  onClick={logout}
+                  onClick={() => {
+                    logout();
+                    setView('store');
+                  }}
                   className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 transition-colors flex items-center gap-2"
                 >
                   <LogOut size={18} />
@@ -760,97 +4398,268 @@ function App() {
       </header>
 
       <div className="max-w-7xl mx-auto px-4 py-8">
-        {error && (
-          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
-            <AlertCircle size={24} className="text-red-500 flex-shrink-0" />
-            <div>
-              <p className="text-red-700 font-medium">{error}</p>
-              <p className="text-sm text-red-600 mt-1">
-                Asegúrate de ejecutar npm run dev en tu backend
-              </p>
-              <button
-                onClick={loadProducts}
-                className="mt-2 text-sm text-red-700 underline hover:text-red-800"
-              >
-                Reintentar
-              </button>
-            </div>
+        {accountNotice && (
+          <div className={`mb-6 p-4 rounded-lg border flex items-start gap-3 ${
+            accountNotice.type === 'success' ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+          }`}>
+            {accountNotice.type === 'success'
+              ? <Check size={24} className="text-green-600 flex-shrink-0" />
+              : <AlertCircle size={24} className="text-red-500 flex-shrink-0" />}
+            <p className={`flex-1 ${accountNotice.type === 'success' ? 'text-green-700' : 'text-red-700'}`}>
+              {accountNotice.message}
+            </p>
+            <button onClick={() => setAccountNotice(null)} className="text-gray-500 hover:text-gray-700">
+              <X size={20} />
+            </button>
           </div>
         )}
 
-        <div className="mb-8">
-          <div className="flex items-center gap-2 mb-4">
-            <Filter size={20} className="text-gray-600" />
-            <h2 className="text-xl font-semibold text-gray-800">Filtrar por Categoría</h2>
-          </div>
-          
-          <div className="bg-white p-4 rounded-lg shadow-md max-w-md">
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Selecciona una categoría:
-            </label>
-            <select
-              value={tempCategory}
-              onChange={(e) => setTempCategory(e.target.value)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3"
-            >
-              <option value="Todos">Todas las categorías</option>
-              {categories.map(cat => (
-                <option key={cat} value={cat}>
-                  {cat}
-                </option>
-              ))}
-            </select>
-            
+        {isAuthenticated && user && !user.emailVerified && !accountNotice && (
+          <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center justify-between gap-3">
+            <p className="text-sm text-yellow-800">
+              Confirma tu email: te enviamos un link a <span className="font-semibold">{user.email}</span>.
+            </p>
             <button
-              onClick={handleApplyFilter}
-              className="w-full bg-blue-500 text-white py-2 px-4 rounded-lg font-semibold hover:bg-blue-600 transition-colors flex items-center justify-center gap-2"
+              onClick={resendVerification}
+              className="text-sm text-yellow-800 font-semibold hover:underline flex-shrink-0"
             >
-              <Filter size={18} />
-              Aplicar Filtro
+              Reenviar email
             </button>
-            
-            {selectedCategory !== 'Todos' && (
-              <div className="mt-3 flex items-center justify-between text-sm">
-                <span className="text-gray-600">
-                  Filtrando por: <strong>{selectedCategory}</strong>
-                </span>
+          </div>
+        )}
+
+        {view === 'profile' && isAuthenticated ? (
+          <MyProfile
+            onBack={() => setView('store')}
+            onDeleted={(message) => {
+              setView('store');
+              setAccountNotice({ type: 'success', message });
+            }}
+          />
+        ) : view === 'my-orders' && isAuthenticated ? (
+          <MyOrders onBack={() => setView('store')} onReordered={() => setCartOpen(true)} />
+        ) : view === 'admin-dashboard' && can('sales:read') ? (
+          <AdminDashboard onBack={() => setView('store')} />
+        ) : view === 'admin-inventory' && can('products:stock') ? (
+          <AdminInventory
+            onBack={() => setView('store')}
+            onChanged={loadProducts}
+          />
+        ) : view === 'admin-users' && can('users:read') ? (
+          <AdminUsers onBack={() => setView('store')} />
+        ) : view === 'admin-promotions' && can('promotions:manage') ? (
+          <AdminPromotions onBack={() => setView('store')} />
+        ) : view === 'admin-products' && can('products:write') ? (
+          <AdminProducts
+            onBack={() => setView('store')}
+            onChanged={() => {
+              loadProducts();
+              loadCategories();
+            }}
+          />
+        ) : (
+          <>
+            {error && (
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+                <AlertCircle size={24} className="text-red-500 flex-shrink-0" />
+                <div>
+                  <p className="text-red-700 font-medium">{error}</p>
+                  <p className="text-sm text-red-600 mt-1">
+                    Asegúrate de ejecutar npm run dev en tu backend
+                  </p>
+                  <button
+                    onClick={loadProducts}
+                    className="mt-2 text-sm text-red-700 underline hover:text-red-800"
+                  >
+                    Reintentar
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="mb-8">
+              <div className="flex items-center gap-2 mb-4">
+                <Filter size={20} className="text-gray-600" />
+                <h2 className="text-xl font-semibold text-gray-800">Buscar y Filtrar</h2>
+              </div>
+
+              <div className="bg-white p-4 rounded-lg shadow-md">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Buscar:
+                    </label>
+                    <input
+                      type="text"
+                      value={tempFilters.q}
+                      onChange={(e) => setTempFilters({ ...tempFilters, q: e.target.value })}
+                      onKeyDown={(e) => e.key === 'Enter' && handleApplyFilter()}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Nombre del producto"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Categoría:
+                    </label>
+                    <select
+                      value={tempFilters.category}
+                      onChange={(e) => setTempFilters({ ...tempFilters, category: e.target.value })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="Todos">Todas las categorías</option>
+                      {categories.map(cat => (
+                        <option key={cat} value={cat}>
+                          {cat}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Precio:
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        value={tempFilters.minPrice}
+                        onChange={(e) => setTempFilters({ ...tempFilters, minPrice: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Mín."
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        value={tempFilters.maxPrice}
+                        onChange={(e) => setTempFilters({ ...tempFilters, maxPrice: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        placeholder="Máx."
+                      />
+                    </div>
+                  </div>
+
+                  <div className="flex items-end">
+                    <label className="flex items-center gap-2 text-sm text-gray-700 py-2">
+                      <input
+                        type="checkbox"
+                        checked={tempFilters.inStock}
+                        onChange={(e) => setTempFilters({ ...tempFilters, inStock: e.target.checked })}
+                        className="w-4 h-4"
+                      />
+                      Solo con stock
+                    </label>
+                  </div>
+                </div>
+
                 <button
-                  onClick={() => {
-                    setSelectedCategory('Todos');
-                    setTempCategory('Todos');
-                  }}
-                  className="text-red-500 hover:text-red-700 underline"
+                  onClick={handleApplyFilter}
+                  className="w-full md:w-auto bg-blue-500 text-white py-2 px-6 rounded-lg font-semibold hover:bg-blue-600 transition-colors flex items-center justify-center gap-2"
                 >
-                  Limpiar
+                  <Filter size={18} />
+                  Aplicar Filtros
                 </button>
+
+                {hasActiveFilters && (
+                  <div className="mt-3 flex items-center justify-between text-sm">
+                    <span className="text-gray-600">
+                      Filtrando por:{' '}
+                      <strong>
+                        {[
+                          filters.q && `"${filters.q}"`,
+                          filters.category !== 'Todos' && filters.category,
+                          filters.minPrice !== '' && `desde $${Number(filters.minPrice).toLocaleString('es-AR')}`,
+                          filters.maxPrice !== '' && `hasta $${Number(filters.maxPrice).toLocaleString('es-AR')}`,
+                          filters.inStock && 'con stock'
+                        ].filter(Boolean).join(', ')}
+                      </strong>
+                    </span>
+                    <button
+                      onClick={() => applyFilters({ ...DEFAULT_FILTERS, sort: filters.sort })}
+                      className="text-red-500 hover:text-red-700 underline"
+                    >
+                      Limpiar
+                    </button>
+                  </div>
+                )}
               </div>
-            )}
-          </div>
-        </div>
+            </div>
 
-        {loading ? (
-          <div className="flex items-center justify-center py-20">
-            <Loader className="animate-spin text-blue-500" size={48} />
-          </div>
-        ) : (
-          <>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-              {filteredProducts.map(product => (
-                <ProductCard key={product.id} product={product} />
-              ))}
+            <div className="flex items-center justify-between mb-4">
+              <p className="text-sm text-gray-600">
+                {pagination.total} {pagination.total === 1 ? 'producto' : 'productos'}
+              </p>
+              <select
+                value={filters.sort}
+                onChange={(e) => applyFilters({ ...filters, sort: e.target.value, page: 1 })}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">Ordenar: destacados</option>
+                <option value="price">Menor precio</option>
+                <option value="-price">Mayor precio</option>
+                <option value="name">Nombre (A-Z)</option>
+                <option value="-name">Nombre (Z-A)</option>
+                <option value="-stock">Mayor stock</option>
+              </select>
             </div>
 
-            {filteredProducts.length === 0 && !error && (
-              <div className="text-center py-12 text-gray-400">
-                <p className="text-xl">No hay productos en esta categoría</p>
+            {loading ? (
+              <div className="flex items-center justify-center py-20">
+                <Loader className="animate-spin text-blue-500" size={48} />
               </div>
+            ) : (
+              <>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                  {products.map(product => (
+                    <ProductCard key={product.id} product={product} />
+                  ))}
+                </div>
+
+                {products.length === 0 && !error && (
+                  <div className="text-center py-12 text-gray-400">
+                    <p className="text-xl">No hay productos que coincidan con la búsqueda</p>
+                  </div>
+                )}
+
+                {pagination.totalPages > 1 && (
+                  <div className="flex items-center justify-center gap-4 mt-8">
+                    <button
+                      onClick={() => applyFilters({ ...filters, page: filters.page - 1 })}
+                      disabled={filters.page <= 1}
+                      className="bg-white text-gray-700 px-4 py-2 rounded-lg shadow hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Anterior
+                    </button>
+                    <span className="text-sm text-gray-600">
+                      Página {filters.page} de {pagination.totalPages}
+                    </span>
+                    <button
+                      onClick={() => applyFilters({ ...filters, page: filters.page + 1 })}
+                      disabled={filters.page >= pagination.totalPages}
+                      className="bg-white text-gray-700 px-4 py-2 rounded-lg shadow hover:bg-gray-200 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      Siguiente
+                    </button>
+                  </div>
+                )}
+              </>
             )}
           </>
         )}
       </div>
 
       <CartSidebar isOpen={cartOpen} onClose={() => setCartOpen(false)} />
-      <AuthModal isOpen={authModalOpen} onClose={() => setAuthModalOpen(false)} mode={authMode} />
+      {paymentOrderId && isAuthenticated && (
+        <PaymentResultModal orderId={paymentOrderId} onClose={() => setPaymentOrderId(null)} />
+      )}
+      <AuthModal
+        isOpen={authModalOpen}
+        onClose={() => setAuthModalOpen(false)}
+        mode={authMode}
+        resetToken={resetToken}
+      />
     </div>
   );
 }